@@ -0,0 +1,161 @@
+// SPDX-License-Identifier: MIT
+// adminHandover.js - Move DEFAULT_ADMIN_ROLE and ADMIN_ROLE from the deployer to their successors
+//
+// The handover runs in two phases so no contract is ever left without an admin:
+//   grant   the successor is granted both roles, then proven able to use them by simulating a
+//           privileged call from its address (eth_call, nothing is sent on its behalf)
+//   revoke  every proof is repeated; only if all of them pass is the deployer revoked, ADMIN_ROLE
+//           first and DEFAULT_ADMIN_ROLE (which authorizes the other revocation) last
+//
+// Successors default to the ones setup.js has always named: the timelock for JustToken and
+// JustGovernance, the multisig for JustTimelock and the helpers. HANDOVER_SUCCESSORS overrides them
+// with JSON such as {"JustGovernance":"multisig"} (labels as in rolePolicy.json, or addresses).
+
+const { ethers } = require("hardhat");
+const { CONTRACT_KEYS } = require("./deploymentManifest");
+const { getFeeOverrides, waitForTransaction } = require("./fees");
+const { roleId, resolveAccount, describeAccount } = require("./roleMatrix");
+
+// In revocation order
+const HANDOVER_ROLES = ["ADMIN_ROLE", "DEFAULT_ADMIN_ROLE"];
+
+const DEFAULT_SUCCESSORS = {
+  JustTimelock: "multisig",
+  JustToken: "JustTimelock",
+  JustGovernance: "JustTimelock",
+  JustDAOHelper: "multisig",
+  JustAnalyticsHelper: "multisig"
+};
+
+// A call only ADMIN_ROLE may make that changes nothing, per contract
+const ADMIN_PROBES = {
+  JustTimelock: async () => ["setBatchFunctionThreatLevels", [[], []]],
+  JustToken: async contract => ["setTimelock", [await contract.timelock()]],
+  JustGovernance: async () => ["updateSecurity", ["0x00000000", false, ethers.ZeroAddress, false]],
+  JustDAOHelper: async () => ["updateContractAddresses", [ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress]],
+  JustAnalyticsHelper: async () => ["updateContractAddresses", [ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress]]
+};
+
+function getSuccessors() {
+  const overrides = process.env.HANDOVER_SUCCESSORS ? JSON.parse(process.env.HANDOVER_SUCCESSORS) : {};
+  for (const key of Object.keys(overrides)) {
+    if (!CONTRACT_KEYS.includes(key)) {
+      throw new Error(`HANDOVER_SUCCESSORS: unknown contract "${key}"`);
+    }
+  }
+  return { ...DEFAULT_SUCCESSORS, ...overrides };
+}
+
+// One entry per contract and role, with who holds it now
+async function planHandover(contracts, labels, outgoing, keys = CONTRACT_KEYS) {
+  const successors = getSuccessors();
+  const entries = [];
+  for (const key of keys) {
+    const successor = resolveAccount(successors[key], labels);
+    if (successor.toLowerCase() === outgoing.toLowerCase()) {
+      throw new Error(`The successor for ${key} (${successors[key]}) is the outgoing admin ${outgoing}; set MULTISIG_ADDRESS or HANDOVER_SUCCESSORS`);
+    }
+    for (const role of HANDOVER_ROLES) {
+      entries.push({
+        contract: key,
+        role,
+        successor,
+        successorLabel: describeAccount(successor, labels),
+        successorHolds: await contracts[key].hasRole(roleId(role), successor),
+        outgoingHolds: await contracts[key].hasRole(roleId(role), outgoing)
+      });
+    }
+  }
+  return { outgoing, entries };
+}
+
+// Simulate, from the successor's address, a call only the role may make
+async function proveEntry(entry, contract, outgoing) {
+  const [method, args] = entry.role === "DEFAULT_ADMIN_ROLE"
+    ? ["revokeRole", [roleId("DEFAULT_ADMIN_ROLE"), outgoing]]
+    : await ADMIN_PROBES[entry.contract](contract);
+  const call = `${method}(${args.map(arg => JSON.stringify(arg)).join(", ")})`;
+  try {
+    await ethers.provider.call({
+      to: contract.target,
+      from: entry.successor,
+      data: contract.interface.encodeFunctionData(method, args)
+    });
+    return { ok: true, call };
+  } catch (error) {
+    return { ok: false, call, error: error.shortMessage || error.message };
+  }
+}
+
+async function proveHandover(handover, contracts) {
+  for (const entry of handover.entries) {
+    entry.successorHolds = await contracts[entry.contract].hasRole(roleId(entry.role), entry.successor);
+    entry.proof = await proveEntry(entry, contracts[entry.contract], handover.outgoing);
+  }
+  return handover.entries.every(entry => entry.proof.ok);
+}
+
+// Phase 1: grant every role the successor does not hold yet, then prove all of them
+async function grantSuccessors(handover, contracts, signer) {
+  for (const entry of handover.entries.filter(e => !e.successorHolds)) {
+    console.log(`Granting ${entry.role} on ${entry.contract} to ${entry.successorLabel}...`);
+    const tx = await contracts[entry.contract].grantRole(roleId(entry.role), entry.successor, await getFeeOverrides(ethers.provider));
+    await waitForTransaction(signer, tx);
+    entry.grantTxHash = tx.hash;
+  }
+  return proveHandover(handover, contracts);
+}
+
+// Phase 2: revoke the outgoing admin, but only when every successor has been proven again just now
+async function revokeOutgoing(handover, contracts, signer) {
+  if (!(await proveHandover(handover, contracts))) {
+    throw new Error("Not revoking anything: at least one successor could not use its role (see the proofs above)");
+  }
+  for (const key of [...new Set(handover.entries.map(entry => entry.contract))]) {
+    for (const role of HANDOVER_ROLES) {
+      const entry = handover.entries.find(e => e.contract === key && e.role === role);
+      const contract = contracts[key];
+      if (!(await contract.hasRole(roleId(role), handover.outgoing))) {
+        continue;
+      }
+      if (!(await contract.hasRole(roleId(role), entry.successor))) {
+        throw new Error(`${entry.successorLabel} lost ${role} on ${key}; stopping before revoking the deployer`);
+      }
+      console.log(`Revoking ${role} on ${key} from ${handover.outgoing}...`);
+      const tx = await contract.revokeRole(roleId(role), handover.outgoing, await getFeeOverrides(ethers.provider));
+      await waitForTransaction(signer, tx);
+      entry.revokeTxHash = tx.hash;
+    }
+  }
+  for (const entry of handover.entries) {
+    entry.outgoingHolds = await contracts[entry.contract].hasRole(roleId(entry.role), handover.outgoing);
+    entry.successorHolds = await contracts[entry.contract].hasRole(roleId(entry.role), entry.successor);
+  }
+}
+
+function printHandover(handover) {
+  console.log(`\n=== Admin handover from ${handover.outgoing} ===`);
+  for (const entry of handover.entries) {
+    const proof = entry.proof ? (entry.proof.ok ? `✅ ${entry.proof.call}` : `❌ ${entry.proof.call}: ${entry.proof.error}`) : "not proven yet";
+    console.log(`  ${entry.contract}.${entry.role} -> ${entry.successorLabel}`);
+    console.log(`    successor holds: ${entry.successorHolds ? "yes" : "no"}, outgoing holds: ${entry.outgoingHolds ? "yes" : "no"}, proof: ${proof}`);
+  }
+}
+
+// Summary signed by the account that ran the phase; verify with ethers.verifyMessage(digest, signature)
+async function signHandoverSummary(summary, signer) {
+  const digest = ethers.id(JSON.stringify(summary));
+  return { ...summary, digest, signedBy: signer.address, signature: await signer.signMessage(digest) };
+}
+
+module.exports = {
+  HANDOVER_ROLES,
+  DEFAULT_SUCCESSORS,
+  getSuccessors,
+  planHandover,
+  proveHandover,
+  grantSuccessors,
+  revokeOutgoing,
+  printHandover,
+  signHandoverSummary
+};
@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+// allowlist.js - List, plan or apply the selectors and targets JustGovernance allows in General proposals
+//
+//   npx hardhat run allowlist.js --network sepolia                          # list the current allowlist
+//   ALLOWLIST_MODE=plan npx hardhat run allowlist.js --network sepolia      # compare with allowlistPolicy.json
+//   ALLOWLIST_MODE=apply npx hardhat run allowlist.js --network sepolia     # send the additions and removals
+//   ALLOWLIST_CALLDATA=0xa9059cbb... npx hardhat run allowlist.js --network sepolia
+//                                                                           # would createProposal accept this calldata?
+//
+// The current allowlist is rebuilt from SecuritySettingUpdated events (see governanceAllowlist.js),
+// from the JustGovernance deployment block or ALLOWLIST_FROM_BLOCK. The report is written to
+// deployments/<network>.allowlist.json. Exits with code 1 if calldata would be rejected, the policy
+// names functions a contract does not expose, or an apply leaves differences behind.
+
+const { ethers, network } = require("hardhat");
+const { FACTORY_NAMES, getAddresses, getReportPath, writeJsonFile } = require("./deploymentManifest");
+const { guardDeployment } = require("./chainGuard");
+const { loadArtifactFunctions, loadAllowlistPolicy } = require("./functionSelectors");
+const {
+  rebuildAllowlist,
+  resolveAllowlistPolicy,
+  describeSelector,
+  planAllowlist,
+  printAllowlist,
+  printAllowlistPlan,
+  applyAllowlistPlan,
+  checkProposalCalldata
+} = require("./governanceAllowlist");
+
+const MODES = ["list", "plan", "apply"];
+
+async function main() {
+  const mode = process.env.ALLOWLIST_MODE || "list";
+  if (!MODES.includes(mode)) {
+    throw new Error(`ALLOWLIST_MODE must be one of ${MODES.join(", ")} (got "${mode}")`);
+  }
+
+  const { manifest } = await guardDeployment(ethers.provider, network.name, { sends: mode === "apply" });
+  const addresses = getAddresses(network.name);
+  const [signer] = await ethers.getSigners();
+  const governance = (await ethers.getContractFactory(FACTORY_NAMES.JustGovernance, signer)).attach(addresses.JustGovernance);
+  const functions = await loadArtifactFunctions();
+
+  const fromBlock = process.env.ALLOWLIST_FROM_BLOCK
+    ? Number(process.env.ALLOWLIST_FROM_BLOCK)
+    : manifest.contracts.JustGovernance.blockNumber;
+  const current = await rebuildAllowlist(ethers.provider, addresses.JustGovernance, { fromBlock });
+  console.log(`SecuritySettingUpdated events replayed from block ${current.fromBlock} to ${current.toBlock}`);
+  printAllowlist(current, functions, addresses);
+
+  const report = { network: network.name, mode, checkedAt: new Date().toISOString(), current };
+
+  if (process.env.ALLOWLIST_CALLDATA) {
+    const check = await checkProposalCalldata(governance, process.env.ALLOWLIST_CALLDATA);
+    report.calldataCheck = check;
+    if (check.allowed) {
+      console.log(`\n✅ createProposal accepts this calldata: ${describeSelector(check.selector, functions)} is allowed`);
+    } else {
+      console.log(`\n❌ createProposal would revert with ${check.reason}${check.selector ? ` for ${describeSelector(check.selector, functions)}` : ""}`);
+      process.exitCode = 1;
+    }
+  }
+
+  if (mode !== "list") {
+    const resolved = resolveAllowlistPolicy(loadAllowlistPolicy(), functions, addresses);
+    for (const entry of resolved.unknown) {
+      console.log(`⚠️ ${entry.contract} has no function ${entry.signature}; left out of the plan (run selectors.js for details)`);
+      process.exitCode = 1;
+    }
+    report.unknown = resolved.unknown;
+    report.plan = await planAllowlist(governance, resolved, current);
+    printAllowlistPlan(report.plan, functions);
+
+    if (mode === "apply" && report.plan.changes > 0) {
+      report.txHashes = await applyAllowlistPlan(governance, report.plan, signer);
+      const after = await rebuildAllowlist(ethers.provider, addresses.JustGovernance, { fromBlock });
+      report.remaining = await planAllowlist(governance, resolved, after);
+      printAllowlistPlan(report.remaining, functions);
+      if (report.remaining.changes > 0) {
+        process.exitCode = 1;
+      }
+    }
+  }
+
+  const reportPath = writeJsonFile(getReportPath(network.name, "allowlist"), report);
+  console.log(`\nReport written to ${reportPath}`);
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("Allowlist check failed:", error);
+    process.exit(1);
+  });
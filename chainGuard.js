@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+// chainGuard.js - Make sure a script run talks to the deployment it was pointed at
+//
+// Before anything is sent, guardDeployment checks that:
+//   - the connected chainId is the one recorded in deployments/<network>.json, so a script that
+//     picked (or defaulted to) the wrong deployment, or an RPC URL for another chain, stops early
+//   - every contract the script uses has code at its manifest address
+//   - on mainnet, the operator typed the network name to confirm. Non-interactive runs set
+//     CONFIRM_NETWORK=<network name> instead.
+
+const readline = require("readline");
+const { CONTRACT_KEYS, requireManifest } = require("./deploymentManifest");
+
+// Chains where a mistake costs real money
+const MAINNET_CHAIN_IDS = [1];
+
+function isMainnet(networkName, chainId) {
+  return networkName === "mainnet" || MAINNET_CHAIN_IDS.includes(Number(chainId));
+}
+
+// Ask one question on the terminal, for scripts that have no readline interface of their own.
+// Scripts that keep stdout for machine-readable output pass process.stderr as output.
+function askOnce(query, output = process.stdout) {
+  const rl = readline.createInterface({ input: process.stdin, output });
+  return new Promise(resolve => rl.question(query, answer => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+// On mainnet, require the network name typed back (or CONFIRM_NETWORK) before going on
+async function confirmMainnet(networkName, chainId, question = askOnce) {
+  if (!isMainnet(networkName, chainId)) {
+    return;
+  }
+  console.log(`\n⚠️ This run sends transactions on ${networkName} (chain ${chainId}).`);
+  let typed = process.env.CONFIRM_NETWORK;
+  if (typed === undefined) {
+    if (!process.stdin.isTTY) {
+      throw new Error(`Refusing to send on ${networkName} without confirmation: set CONFIRM_NETWORK=${networkName}`);
+    }
+    typed = await question(`Type the network name (${networkName}) to continue: `);
+  }
+  if (typed.trim() !== networkName) {
+    throw new Error(`Confirmation "${typed.trim()}" does not match ${networkName}; nothing was sent`);
+  }
+}
+
+// Check the chain and contract code for a deployment. Options:
+//   keys       contract keys the script uses (default: all five)
+//   addresses  addresses overriding the manifest, keyed by contract key
+//   sends      whether this run will send transactions (mainnet confirmation only then)
+//   question   prompt function of a script that already has a readline interface
+// Returns { manifest, chainId }.
+async function guardDeployment(provider, networkName, options = {}) {
+  const { keys = CONTRACT_KEYS, addresses = {}, sends = true, question } = options;
+  const manifest = requireManifest(networkName);
+  const chainId = Number((await provider.getNetwork()).chainId);
+  if (chainId !== manifest.chainId) {
+    throw new Error(
+      `Connected to chain ${chainId}, but the "${networkName}" deployment was recorded on chain ${manifest.chainId}. ` +
+      "Check the selected network and the RPC URL."
+    );
+  }
+
+  const missing = [];
+  for (const key of keys) {
+    const address = addresses[key] || (manifest.contracts[key] && manifest.contracts[key].proxy);
+    if (!address || (await provider.getCode(address)) === "0x") {
+      missing.push(`${key} (${address || "no address"})`);
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(`No contract code on chain ${chainId} for: ${missing.join(", ")}`);
+  }
+  console.log(`Deployment "${networkName}" matches chain ${chainId}; contract code found for ${keys.join(", ")}`);
+
+  if (sends) {
+    await confirmMainnet(networkName, chainId, question);
+  }
+  return { manifest, chainId };
+}
+
+module.exports = {
+  MAINNET_CHAIN_IDS,
+  isMainnet,
+  askOnce,
+  confirmMainnet,
+  guardDeployment
+};
@@ -0,0 +1,281 @@
+// SPDX-License-Identifier: MIT
+// configHistory.js - Timeline of configuration changes across the deployment, rebuilt from event logs
+//
+// Replays every configuration event the contracts emit:
+//   JustGovernance  GovParamChange, SecuritySettingUpdated
+//   JustTimelock    DelaysUpdated, ThreatLevelDelaysUpdated, FunctionThreatLevelSet,
+//                   AddressThreatLevelSet, ExecutorThresholdUpdated
+//   JustToken       MaxTokenSupplyUpdated, LockDurationsUpdated, TimelockUpdated
+// and turns each into one entry per setting it changed, with block time, transaction sender, and old
+// and new values in readable units. Events that carry only the new value take the old one from the
+// previous event for the same setting, or else from the getter one block earlier (which needs an
+// archive node; without one the old value is left empty, and any other failed read stops the run).
+// Settings an event re-sets to the value they already had are left out.
+//
+// Values set by initialize emit nothing and so appear only as old values. LockDurationsUpdated is
+// declared by JustToken but no function emits it, so it never shows up.
+
+const { ethers } = require("ethers");
+const { fetchLogs } = require("./roleHistory");
+const { describeDuration, formatTokens, formatPercentage } = require("./units");
+
+const THREAT_LEVELS = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+// How nodes without the state of an old block (geth, Erigon, Nethermind, hosted RPCs) refuse a call at it
+const MISSING_STATE_ERROR = /missing trie node|historical state|state (is )?not available|state histor|pruned|pruning|archive|header not found|unknown block/i;
+
+// JustGovernance parameter types as emitted by GovParamChange
+const GOV_PARAMS = [
+  { setting: "votingDuration", kind: "duration" },
+  { setting: "quorum", kind: "tokens" },
+  { setting: "timelockDelay", kind: "duration" },
+  { setting: "proposalCreationThreshold", kind: "tokens" },
+  { setting: "proposalStake", kind: "tokens" },
+  { setting: "defeatedRefundPercentage", kind: "percent" },
+  { setting: "canceledRefundPercentage", kind: "percent" },
+  { setting: "expiredRefundPercentage", kind: "percent" }
+];
+
+// Each event with its contract and the settings it changes: { setting, kind, newValue, oldValue?,
+// getter?, subject? }. getter is [fragment, ...args] for reading the value before the event.
+const CONFIG_EVENTS = [
+  {
+    contract: "JustGovernance",
+    event: "event GovParamChange(uint8 pType, uint256 oldVal, uint256 newVal)",
+    changes: ({ pType, oldVal, newVal }) => [{ ...GOV_PARAMS[Number(pType)], oldValue: oldVal, newValue: newVal }]
+  },
+  {
+    contract: "JustGovernance",
+    event: "event SecuritySettingUpdated(bytes4 selector, bool selectorAllowed, address target, bool targetAllowed)",
+    // A zero selector or target means "left unchanged", as in updateSecurity
+    changes: ({ selector, selectorAllowed, target, targetAllowed }) => [
+      ...(selector !== "0x00000000" ? [{
+        setting: `allowedFunctionSelectors[${selector}]`,
+        kind: "allowed",
+        subject: { selector },
+        newValue: selectorAllowed,
+        getter: ["function allowedFunctionSelectors(bytes4) view returns (bool)", selector]
+      }] : []),
+      ...(target !== ethers.ZeroAddress ? [{
+        setting: `allowedTargets[${target}]`,
+        kind: "allowed",
+        subject: { account: target },
+        newValue: targetAllowed,
+        getter: ["function allowedTargets(address) view returns (bool)", target]
+      }] : [])
+    ]
+  },
+  {
+    contract: "JustTimelock",
+    event: "event DelaysUpdated(uint256 newMinDelay, uint256 newMaxDelay, uint256 newGracePeriod)",
+    changes: ({ newMinDelay, newMaxDelay, newGracePeriod }) => [
+      { setting: "minDelay", kind: "duration", newValue: newMinDelay, getter: ["function minDelay() view returns (uint256)"] },
+      { setting: "maxDelay", kind: "duration", newValue: newMaxDelay, getter: ["function maxDelay() view returns (uint256)"] },
+      { setting: "gracePeriod", kind: "duration", newValue: newGracePeriod, getter: ["function gracePeriod() view returns (uint256)"] }
+    ]
+  },
+  {
+    contract: "JustTimelock",
+    event: "event ThreatLevelDelaysUpdated(uint256 lowDelay, uint256 mediumDelay, uint256 highDelay, uint256 criticalDelay)",
+    changes: ({ lowDelay, mediumDelay, highDelay, criticalDelay }) => [
+      { setting: "lowThreatDelay", kind: "duration", newValue: lowDelay, getter: ["function lowThreatDelay() view returns (uint256)"] },
+      { setting: "mediumThreatDelay", kind: "duration", newValue: mediumDelay, getter: ["function mediumThreatDelay() view returns (uint256)"] },
+      { setting: "highThreatDelay", kind: "duration", newValue: highDelay, getter: ["function highThreatDelay() view returns (uint256)"] },
+      { setting: "criticalThreatDelay", kind: "duration", newValue: criticalDelay, getter: ["function criticalThreatDelay() view returns (uint256)"] }
+    ]
+  },
+  {
+    contract: "JustTimelock",
+    event: "event FunctionThreatLevelSet(bytes4 indexed selector, uint8 level)",
+    changes: ({ selector, level }) => [{
+      setting: `functionThreatLevels[${selector}]`,
+      kind: "threat",
+      subject: { selector },
+      newValue: level,
+      getter: ["function functionThreatLevels(bytes4) view returns (uint8)", selector]
+    }]
+  },
+  {
+    contract: "JustTimelock",
+    event: "event AddressThreatLevelSet(address indexed target, uint8 level)",
+    changes: ({ target, level }) => [{
+      setting: `addressThreatLevels[${target}]`,
+      kind: "threat",
+      subject: { account: target },
+      newValue: level,
+      getter: ["function addressThreatLevels(address) view returns (uint8)", target]
+    }]
+  },
+  {
+    contract: "JustTimelock",
+    event: "event ExecutorThresholdUpdated(uint256 newThreshold)",
+    changes: ({ newThreshold }) => [{
+      setting: "minExecutorTokenThreshold",
+      kind: "tokens",
+      newValue: newThreshold,
+      getter: ["function minExecutorTokenThreshold() view returns (uint256)"]
+    }]
+  },
+  {
+    contract: "JustToken",
+    event: "event MaxTokenSupplyUpdated(uint256 oldSupply, uint256 newSupply)",
+    changes: ({ oldSupply, newSupply }) => [{ setting: "maxTokenSupply", kind: "tokens", oldValue: oldSupply, newValue: newSupply }]
+  },
+  {
+    contract: "JustToken",
+    event: "event LockDurationsUpdated(uint256 oldMinDuration, uint256 oldMaxDuration, uint256 newMinDuration, uint256 newMaxDuration)",
+    changes: ({ oldMinDuration, oldMaxDuration, newMinDuration, newMaxDuration }) => [
+      { setting: "minLockDuration", kind: "duration", oldValue: oldMinDuration, newValue: newMinDuration },
+      { setting: "maxLockDuration", kind: "duration", oldValue: oldMaxDuration, newValue: newMaxDuration }
+    ]
+  },
+  {
+    contract: "JustToken",
+    event: "event TimelockUpdated(address indexed oldTimelock, address indexed newTimelock)",
+    changes: ({ oldTimelock, newTimelock }) => [{ setting: "timelock", kind: "address", oldValue: oldTimelock, newValue: newTimelock }]
+  }
+];
+
+const EVENT_INTERFACE = new ethers.Interface(CONFIG_EVENTS.map(spec => spec.event));
+const EVENT_TOPICS = new Map(CONFIG_EVENTS.map(spec => [spec, ethers.EventFragment.from(spec.event).topicHash]));
+
+// A raw value in readable units. describe.account and describe.selector name addresses and selectors.
+function formatValue(kind, value, describe) {
+  if (value === null || value === undefined) return "";
+  switch (kind) {
+    case "duration": return describeDuration(value);
+    case "tokens": return formatTokens(value);
+    case "percent": return formatPercentage(value);
+    case "allowed": return value ? "allowed" : "not allowed";
+    case "threat": return THREAT_LEVELS[Number(value)] || value.toString();
+    case "address": return describe.account(value);
+    default: return value.toString();
+  }
+}
+
+function describeSubject(subject, describe) {
+  if (!subject) return "";
+  return subject.selector ? describe.selector(subject.selector) : describe.account(subject.account);
+}
+
+// The value a setting had just before a block, or null if the node cannot serve historical state.
+// Any other failure is thrown.
+async function readBefore(provider, address, getter, blockNumber) {
+  const [fragment, ...args] = getter;
+  const contract = new ethers.Contract(address, [fragment], provider);
+  const name = contract.interface.fragments[0].name;
+  try {
+    return await contract[name](...args, { blockTag: blockNumber - 1 });
+  } catch (error) {
+    if (MISSING_STATE_ERROR.test(`${error.message} ${error.info?.error?.message || ""}`)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Unified timeline of configuration changes for the contracts at addresses (keyed by contract key).
+// options: fromBlock, toBlock, chunkSize, describe { account, selector }.
+// Returns { fromBlock, toBlock, entries: [{ blockNumber, timestamp, txHash, logIndex, sender, contract,
+// event, setting, subject, oldValue, newValue, oldRaw, newRaw }] } in chain order.
+async function buildConfigHistory(provider, addresses, options = {}) {
+  const chunkSize = options.chunkSize || Number(process.env.LOG_CHUNK_SIZE || 10000);
+  const toBlock = options.toBlock ?? await provider.getBlockNumber();
+  const fromBlock = options.fromBlock ?? 0;
+  const describe = {
+    account: address => address,
+    selector: selector => selector,
+    ...options.describe
+  };
+
+  const logs = [];
+  for (const key of [...new Set(CONFIG_EVENTS.map(spec => spec.contract))]) {
+    const topics = CONFIG_EVENTS.filter(spec => spec.contract === key).map(spec => EVENT_TOPICS.get(spec));
+    for (const log of await fetchLogs(provider, addresses[key], [topics], fromBlock, toBlock, chunkSize)) {
+      logs.push({ key, log });
+    }
+  }
+  logs.sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+
+  const blockTimes = new Map();
+  const senders = new Map();
+  const lastValues = new Map();
+  const entries = [];
+  for (const { key, log } of logs) {
+    const parsed = EVENT_INTERFACE.parseLog(log);
+    const spec = CONFIG_EVENTS.find(candidate => EVENT_TOPICS.get(candidate) === parsed.topic);
+
+    for (const change of spec.changes(parsed.args)) {
+      const id = `${key}.${change.setting}`;
+      let oldRaw = change.oldValue;
+      if (oldRaw === undefined) {
+        oldRaw = lastValues.has(id)
+          ? lastValues.get(id)
+          : await readBefore(provider, addresses[key], change.getter, log.blockNumber);
+      }
+      lastValues.set(id, change.newValue);
+      if (oldRaw !== null && oldRaw.toString() === change.newValue.toString()) {
+        continue;
+      }
+
+      if (!blockTimes.has(log.blockNumber)) {
+        blockTimes.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+      }
+      if (!senders.has(log.transactionHash)) {
+        senders.set(log.transactionHash, (await provider.getTransaction(log.transactionHash)).from);
+      }
+      entries.push({
+        blockNumber: log.blockNumber,
+        timestamp: new Date(blockTimes.get(log.blockNumber) * 1000).toISOString(),
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        sender: senders.get(log.transactionHash),
+        contract: key,
+        event: parsed.name,
+        setting: change.setting,
+        subject: describeSubject(change.subject, describe),
+        oldValue: formatValue(change.kind, oldRaw, describe),
+        newValue: formatValue(change.kind, change.newValue, describe),
+        oldRaw: oldRaw === null ? null : oldRaw.toString(),
+        newRaw: change.newValue.toString()
+      });
+    }
+  }
+  return { fromBlock, toBlock, entries };
+}
+
+// Entries whose contract, event, setting or subject contains the filter (case-insensitive)
+function filterHistory(entries, filter) {
+  if (!filter) return entries;
+  const wanted = filter.toLowerCase();
+  return entries.filter(entry => [entry.contract, entry.event, entry.setting, entry.subject]
+    .some(field => field.toLowerCase().includes(wanted)));
+}
+
+const CSV_COLUMNS = ["timestamp", "blockNumber", "txHash", "sender", "contract", "event", "setting", "subject", "oldValue", "newValue", "oldRaw", "newRaw"];
+
+function toCsv(entries) {
+  const cell = value => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [CSV_COLUMNS.join(","), ...entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(","))].join("\n") + "\n";
+}
+
+function printHistory(entries, describe = { account: address => address }) {
+  console.log(`\n=== Configuration changes (${entries.length}) ===`);
+  for (const entry of entries) {
+    const subject = entry.subject ? ` (${entry.subject})` : "";
+    const from = entry.oldValue || "?";
+    console.log(`${entry.timestamp}  block ${entry.blockNumber}  ${entry.contract}.${entry.setting}${subject}: ${from} -> ${entry.newValue}`);
+    console.log(`    by ${describe.account(entry.sender)} in ${entry.txHash}`);
+  }
+}
+
+module.exports = {
+  CONFIG_EVENTS,
+  buildConfigHistory,
+  filterHistory,
+  toCsv,
+  printHistory
+};
@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+// confirmations.js - Block-based waiting for transactions and contract code
+//
+// Instead of sleeping for fixed periods, these helpers poll the chain and count
+// confirmations from the block a transaction was mined in. If the receipt disappears
+// or moves to a different block, a reorg is reported and the wait starts over until
+// the transaction is mined again or the timeout expires.
+
+// Confirmation targets and polling per network. CONFIRMATIONS overrides the target.
+function getPollingConfig(networkName) {
+  let config;
+  // Significantly increased values to handle slow networks
+  if (networkName === "mainnet") {
+    config = {
+      pollingInterval: 10000,    // 10 seconds between checks
+      timeout: 3600000,          // 60 minutes max wait time
+      confirmations: 2           // Wait for 2 confirmations
+    };
+  } else if (networkName === "goerli" || networkName === "sepolia") {
+    config = {
+      pollingInterval: 5000,     // 5 seconds between checks
+      timeout: 1800000,          // 30 minutes max wait time
+      confirmations: 2           // Wait for 2 confirmations
+    };
+  } else if (networkName === "hardhat" || networkName === "localhost") {
+    // Automine produces a block per transaction, so there is nothing to wait for
+    config = {
+      pollingInterval: 200,
+      timeout: 60000,
+      confirmations: 1
+    };
+  } else {
+    // For other fast testnets
+    config = {
+      pollingInterval: 2000,     // 2 seconds between checks
+      timeout: 600000,           // 10 minutes max wait time
+      confirmations: 1           // Wait for 1 confirmation
+    };
+  }
+
+  if (process.env.CONFIRMATIONS) {
+    const confirmations = Number(process.env.CONFIRMATIONS);
+    if (!Number.isInteger(confirmations) || confirmations < 1) {
+      throw new Error(`CONFIRMATIONS must be a positive integer (got "${process.env.CONFIRMATIONS}")`);
+    }
+    config.confirmations = confirmations;
+  }
+  return config;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function timeoutError(label, detail, timeout) {
+  return new Error(`Timed out after ${Math.round(timeout / 1000)}s waiting for ${label}: ${detail}`);
+}
+
+// Wait until a transaction has the configured number of confirmations and return its receipt.
+// Throws if the transaction reverted, or if the timeout expires first (including when a reorg
+// dropped the transaction and it was never mined again).
+async function waitForConfirmations(provider, txHash, config, label = txHash) {
+  const { confirmations, pollingInterval, timeout } = config;
+  const deadline = Date.now() + timeout;
+  let minedIn = null;
+  let lastReported = -1;
+
+  while (Date.now() < deadline) {
+    const receipt = await provider.getTransactionReceipt(txHash);
+
+    if (!receipt) {
+      if (minedIn) {
+        console.log(`⚠️ Reorg: ${label} is no longer in block ${minedIn.blockNumber}. Waiting for it to be mined again...`);
+        minedIn = null;
+        lastReported = -1;
+      }
+    } else {
+      if (minedIn && minedIn.blockHash !== receipt.blockHash) {
+        console.log(`⚠️ Reorg: ${label} moved from block ${minedIn.blockNumber} to block ${receipt.blockNumber}`);
+        lastReported = -1;
+      }
+      minedIn = { blockNumber: receipt.blockNumber, blockHash: receipt.blockHash };
+
+      if (receipt.status === 0) {
+        throw new Error(`${label} reverted in block ${receipt.blockNumber} (tx ${txHash})`);
+      }
+
+      const currentBlock = await provider.getBlockNumber();
+      const confirmed = currentBlock - receipt.blockNumber + 1;
+      if (confirmed !== lastReported) {
+        console.log(`${label}: ${Math.min(confirmed, confirmations)}/${confirmations} confirmations (block ${currentBlock})`);
+        lastReported = confirmed;
+      }
+      if (confirmed >= confirmations) {
+        return receipt;
+      }
+    }
+
+    await sleep(pollingInterval);
+  }
+
+  const detail = minedIn
+    ? `tx ${txHash} mined in block ${minedIn.blockNumber} but did not reach ${confirmations} confirmations`
+    : `tx ${txHash} is not mined (it may have been dropped by a reorg or is stuck in the mempool)`;
+  throw timeoutError(label, detail, timeout);
+}
+
+// Wait until code exists at an address, checking once per polling interval
+async function waitForCode(provider, address, config, label = address) {
+  const { pollingInterval, timeout } = config;
+  const deadline = Date.now() + timeout;
+  let attempt = 0;
+
+  while (Date.now() < deadline) {
+    const code = await provider.getCode(address);
+    if (code !== "0x" && code !== "0x0") {
+      return code;
+    }
+    attempt++;
+    if (attempt === 1 || attempt % 10 === 0) {
+      console.log(`${label}: no code at ${address} yet (block ${await provider.getBlockNumber()})`);
+    }
+    await sleep(pollingInterval);
+  }
+
+  throw timeoutError(label, `no code at ${address}`, timeout);
+}
+
+module.exports = {
+  getPollingConfig,
+  waitForConfirmations,
+  waitForCode
+};
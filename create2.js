@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+// create2.js - Deterministic deployment of the JustDAO implementations and proxies through a CREATE2 factory
+//
+// Addresses depend only on the factory, the salt and the init code, so the same sources compiled
+// with the same settings land at the same addresses on every chain. Each proxy runs initialize in its
+// constructor, so nobody can initialize it before the deployer does. The initializer arguments are
+// therefore part of the proxy address: the same salt gives the same proxy addresses only where the
+// profile values and the deployer are the same too. Implementation addresses do not depend on them.
+//
+// Environment:
+//   DEPLOY_CREATE2_SALT     Enables CREATE2 deployment. Either a 32-byte hex value or any string,
+//                           which is hashed. Every contract gets its own salt derived from it.
+//   DEPLOY_CREATE2_FACTORY  Factory to deploy through (default: the deterministic deployment proxy
+//                           at 0x4e59b44847b379578588920cA78FbF26c0B4956C, present on most chains)
+
+const { ethers } = require("ethers");
+
+const DEFAULT_FACTORY = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+
+// Runtime code of the deterministic deployment proxy. Local Hardhat chains do not have it, so it
+// is installed with hardhat_setCode there. Calldata is salt (32 bytes) followed by the init code.
+const DEFAULT_FACTORY_CODE =
+  "0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3";
+
+// ERC1967Proxy as shipped with the upgrades plugin, the same proxy deployProxy uses
+const ERC1967_PROXY_ARTIFACT = "@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol/ERC1967Proxy.json";
+
+// CREATE2 settings from the environment, or null when CREATE2 deployment is not requested
+function getCreate2Config() {
+  const rawSalt = process.env.DEPLOY_CREATE2_SALT;
+  if (!rawSalt) {
+    return null;
+  }
+  const factory = process.env.DEPLOY_CREATE2_FACTORY || DEFAULT_FACTORY;
+  if (!ethers.isAddress(factory)) {
+    throw new Error(`DEPLOY_CREATE2_FACTORY is not an address: ${factory}`);
+  }
+  const salt = ethers.isHexString(rawSalt, 32) ? rawSalt : ethers.id(rawSalt);
+  return { salt, rawSalt, factory: ethers.getAddress(factory) };
+}
+
+// Salt of one contract, so the five deployments never compete for the same address
+function deriveSalt(salt, key) {
+  return ethers.solidityPackedKeccak256(["bytes32", "string"], [salt, key]);
+}
+
+function getProxyFactory(signer) {
+  const artifact = require(ERC1967_PROXY_ARTIFACT);
+  return new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+}
+
+// Init code of an implementation and of the proxy pointing at it, which calls initData (the encoded
+// initialize call) in its constructor
+async function getInitCodes(factory, implementationAddress, signer, initData) {
+  const implementation = (await factory.getDeployTransaction()).data;
+  const proxy = (await getProxyFactory(signer).getDeployTransaction(implementationAddress, initData)).data;
+  return { implementation, proxy };
+}
+
+// Predicted implementation and proxy address of every contract, keyed like the manifest. Contracts
+// are predicted in order; getInitData(key, predictions) encodes the initialize call of one from the
+// predictions made so far, as later contracts take the earlier proxies as initializer arguments.
+async function predictAddresses(factories, config, signer, getInitData) {
+  const predictions = {};
+  for (const [key, factory] of Object.entries(factories)) {
+    const salt = deriveSalt(config.salt, key);
+    const implementationCode = (await factory.getDeployTransaction()).data;
+    const implementation = ethers.getCreate2Address(config.factory, salt, ethers.keccak256(implementationCode));
+    const initData = getInitData(key, predictions);
+    const { proxy: proxyCode } = await getInitCodes(factory, implementation, signer, initData);
+    const proxy = ethers.getCreate2Address(config.factory, salt, ethers.keccak256(proxyCode));
+    predictions[key] = { salt, implementation, proxy, initData };
+  }
+  return predictions;
+}
+
+async function hasCode(provider, address) {
+  const code = await provider.getCode(address);
+  return code !== "0x" && code !== "0x0";
+}
+
+// Make sure the factory exists. Only local chains get it installed; anywhere else it has to be deployed first.
+async function ensureFactory(provider, config, networkName) {
+  if (await hasCode(provider, config.factory)) {
+    return;
+  }
+  const isLocal = networkName === "hardhat" || networkName === "localhost";
+  if (isLocal && config.factory === DEFAULT_FACTORY) {
+    await provider.send("hardhat_setCode", [config.factory, DEFAULT_FACTORY_CODE]);
+    console.log(`Installed the deterministic deployment proxy at ${config.factory}`);
+    return;
+  }
+  throw new Error(
+    `No CREATE2 factory at ${config.factory} on ${networkName}. Deploy it first (see ` +
+    "https://github.com/Arachnid/deterministic-deployment-proxy) or set DEPLOY_CREATE2_FACTORY."
+  );
+}
+
+// Send init code through the factory and return the transaction. The caller waits for it.
+async function sendThroughFactory(signer, config, salt, initCode, overrides) {
+  const data = ethers.concat([salt, initCode]);
+  return signer.sendTransaction({ to: config.factory, data, ...overrides });
+}
+
+module.exports = {
+  DEFAULT_FACTORY,
+  getCreate2Config,
+  deriveSalt,
+  getProxyFactory,
+  getInitCodes,
+  predictAddresses,
+  hasCode,
+  ensureFactory,
+  sendThroughFactory
+};
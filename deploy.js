@@ -1,57 +1,79 @@
 // SPDX-License-Identifier: MIT
 // deploy.js - Robust deployment script with timeout handling and enhanced cross-contract setup
-
-const { ethers, upgrades, network } = require("hardhat");
-
-// Configure deployment options based on network
-function getPollingConfig() {
-  // Significantly increased values to handle slow networks
-  if (network.name === "mainnet") {
-    return {
-      pollingInterval: 10000,    // 10 seconds between checks
-      timeout: 3600000,          // 60 minutes max wait time
-      confirmations: 2           // Wait for 2 confirmations
-    };
-  } else if (network.name === "goerli" || network.name === "sepolia") {
-    return {
-      pollingInterval: 5000,     // 5 seconds between checks
-      timeout: 1800000,          // 30 minutes max wait time
-      confirmations: 2           // Wait for 2 confirmations
-    };
-  } else {
-    // For local or faster testnets
-    return {
-      pollingInterval: 2000,     // 2 seconds between checks
-      timeout: 600000,           // 10 minutes max wait time
-      confirmations: 1           // Wait for 1 confirmation
-    };
-  }
+//
+// The deployment runs as a list of named steps recorded in deployments/<network>.deploy.journal.json.
+// If a run fails halfway, simply run it again: proxies already in the manifest are reused and
+// grants that already took effect are skipped. Set DEPLOY_FRESH=true to start over.
+//
+// Initializer values come from a named profile in deploymentProfiles.json:
+//   DEPLOY_PROFILE=testnet npx hardhat run deploy.js --network sepolia
+//
+// Dry run: rehearse the whole flow on a local fork of the target network and print a plan with
+// the gas and ETH cost of every step and the resulting role/reference state. Nothing is broadcast.
+//   DEPLOY_DRY_RUN=true DRY_RUN_FORK_URL=<mainnet rpc> DRY_RUN_FROM=<deployer address> \
+//     npx hardhat run deploy.js --network hardhat
+//
+// Deterministic addresses: with DEPLOY_CREATE2_SALT set, implementations and proxies are deployed
+// through a CREATE2 factory (see create2.js), so the same salt gives the same five addresses on every
+// chain (proxy addresses also depend on the profile's initializer values and the deployer, as each
+// proxy is initialized in its constructor). All addresses are predicted and checked before anything is sent.
+//   DEPLOY_CREATE2_SALT=justdao-v1 npx hardhat run deploy.js --network mainnet
+//
+// After deployment every implementation is verified on the network's Etherscan-compatible explorer
+// and its proxy linked (see explorerVerify.js for EXPLORER_API_URL and friends). The outcome is
+// recorded in the manifest; a rejected verification is reported but does not fail the deployment.
+
+const fs = require("fs");
+const hre = require("hardhat");
+const { ethers, upgrades, network } = hre;
+const {
+  CONTRACT_KEYS,
+  FACTORY_NAMES,
+  createManifest,
+  loadManifest,
+  recordContract,
+  getManifestPath,
+  getJournalPath,
+  getReportPath,
+  writeJsonFile,
+  saveManifest
+} = require("./deploymentManifest");
+const { openJournal } = require("./journal");
+const { getPollingConfig, waitForConfirmations, waitForCode } = require("./confirmations");
+const { getFeeOverrides, describeFees, waitForTransaction } = require("./fees");
+const { loadProfile, resolveAccounts } = require("./deploymentProfiles");
+const { auditDeployment, printTable } = require("./wiringAudit");
+const {
+  getCreate2Config,
+  getInitCodes,
+  predictAddresses,
+  hasCode,
+  ensureFactory,
+  sendThroughFactory
+} = require("./create2");
+const { getExplorerConfig, verifyDeployment, isVerified } = require("./explorerVerify");
+const { confirmMainnet } = require("./chainGuard");
+
+const DRY_RUN = process.env.DEPLOY_DRY_RUN === "true";
+
+// Name the manifest and journal are stored under. A dry run never touches the real network's files.
+const DEPLOYMENT_NAME = DRY_RUN ? "dry-run" : network.name;
+
+// A dry run always starts from scratch
+function isFreshRun() {
+  return DRY_RUN || process.env.DEPLOY_FRESH === "true";
 }
-// Get the current gas price with a premium for faster confirmation
-async function getGasPrice() {
-  const provider = ethers.provider;
-  const gasPrice = await provider.getFeeData();
-  
-  // Use the maxFeePerGas if EIP-1559 is available, otherwise fall back to gasPrice
-  let baseGasPrice;
-  if (gasPrice.maxFeePerGas) {
-    console.log(`Current max fee per gas: ${ethers.formatUnits(gasPrice.maxFeePerGas, 'gwei')} gwei`);
-    baseGasPrice = gasPrice.maxFeePerGas;
-  } else {
-    console.log(`Current gas price: ${ethers.formatUnits(gasPrice.gasPrice, 'gwei')} gwei`);
-    baseGasPrice = gasPrice.gasPrice;
-  }
-  
-  // Add 20% premium to current price for faster confirmation
-  const gasPriceWithPremium = baseGasPrice * BigInt(120) / BigInt(100);
-  console.log(`Using gas price with 20% premium: ${ethers.formatUnits(gasPriceWithPremium, 'gwei')} gwei`);
-  
-  return gasPriceWithPremium;
+
+// Current EIP-1559 fees (or a legacy gasPrice), capped by MAX_FEE_GWEI
+async function getFees() {
+  const fees = await getFeeOverrides(ethers.provider);
+  console.log(`Using ${describeFees(fees)}`);
+  return fees;
 }
 
 async function deployProxy(factory, args, options = {}) {
-  const config = getPollingConfig();
-  const gasPrice = await getGasPrice();
+  const config = getPollingConfig(network.name);
+  const fees = await getFees();
   
   console.log(`Deploying ${options.contractName || "contract"} with timeout: ${config.timeout}ms, polling: ${config.pollingInterval}ms`);
   
@@ -64,29 +86,17 @@ async function deployProxy(factory, args, options = {}) {
         initializer: 'initialize',
         timeout: config.timeout,
         pollingInterval: config.pollingInterval,
-        gasPrice: gasPrice,
-        gasLimit: 8000000, // Increased gas limit for complex contracts
+        txOverrides: {
+          ...fees,
+          gasLimit: 8000000 // Increased gas limit for complex contracts
+        },
         ...options
       }
     );
     
-    // Wait for additional confirmations if specified
-    if (config.confirmations > 1) {
-      console.log(`Waiting for ${config.confirmations} confirmations...`);
-      // If deployProxy returned a transaction, wait for it
-      // Otherwise, assume it's a contract instance and continue
-      if (contract.wait) {
-        await contract.wait(config.confirmations);
-      }
-    }
-    
     const address = await contract.getAddress();
     console.log(`${options.contractName || "Contract"} deployed to: ${address}`);
     
-    // Add additional delay after deployment to ensure the contract is fully deployed
-    console.log(`Waiting for contract deployment to be fully confirmed...`);
-    await new Promise(resolve => setTimeout(resolve, 30000)); // 30 second delay
-    
     return contract;
   } catch (error) {
     console.error(`\n----- DEPLOYMENT ERROR -----`);
@@ -102,644 +112,859 @@ async function deployProxy(factory, args, options = {}) {
   }
 }
 
+// Wait for a transaction to be mined (replacing it if it gets stuck, see STUCK_TX_ACTION) and
+// then for the network's confirmation target, following reorgs
+async function confirmTransaction(tx, label) {
+  const signer = await ethers.getSigner(tx.from);
+  const mined = await waitForTransaction(signer, tx);
+  return waitForConfirmations(ethers.provider, mined.hash, getPollingConfig(network.name), label);
+}
+
 // Function to verify a contract exists
 async function verifyContractCode(address, contractName = "Contract") {
   console.log(`Verifying ${contractName} code at ${address}...`);
-  try {
-    // Try up to 3 times with increasing delays
-    let code = "0x";
-    for (let i = 0; i < 3; i++) {
-      code = await ethers.provider.getCode(address);
-      if (code !== "0x" && code !== "0x0") {
-        console.log(`${contractName} code verified successfully (${code.length / 2 - 1} bytes)`);
-        return true;
+  const code = await waitForCode(ethers.provider, address, getPollingConfig(network.name), contractName);
+  console.log(`${contractName} code verified successfully (${code.length / 2 - 1} bytes)`);
+  return true;
+}
+
+// Record a deployed proxy in the deployment manifest. Called as soon as deployProxy returns,
+// before any further waiting, so an interrupted run still knows where the proxy lives.
+async function recordDeployment(manifest, key, contractName, contract, initializerArgs) {
+  const proxyAddress = await contract.getAddress();
+  const deployTx = contract.deploymentTransaction();
+  const receipt = deployTx ? await ethers.provider.getTransactionReceipt(deployTx.hash) : null;
+  const implementationAddress = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+
+  const manifestPath = recordContract(manifest, key, {
+    contractName,
+    proxy: proxyAddress,
+    implementation: implementationAddress,
+    txHash: deployTx ? deployTx.hash : null,
+    blockNumber: receipt ? receipt.blockNumber : null,
+    initializerArgs
+  });
+  console.log(`Recorded ${key} in ${manifestPath}`);
+}
+
+// Load the manifest of an earlier run on this chain, or start a new one. A manifest recorded on
+// another chain stops the run.
+// Set DEPLOY_FRESH=true to ignore an existing manifest and journal and deploy everything again.
+function loadOrCreateManifest(chainId, deployerAddress, profileName) {
+  const existing = loadManifest(DEPLOYMENT_NAME);
+  if (existing && !isFreshRun()) {
+    if (existing.chainId === Number(chainId)) {
+      // Resuming with different initializer values would leave a mix of two profiles on chain
+      if (existing.profile && existing.profile !== profileName) {
+        throw new Error(
+          `Existing manifest was deployed with profile "${existing.profile}", not "${profileName}". ` +
+          `Resume with DEPLOY_PROFILE=${existing.profile} or start over with DEPLOY_FRESH=true.`
+        );
       }
-      console.log(`Attempt ${i+1}: ${contractName} code not found yet. Waiting longer...`);
-      // Increase wait time with each attempt
-      await new Promise(resolve => setTimeout(resolve, 15000 * (i+1)));
+      console.log(`Resuming from existing manifest ${getManifestPath(DEPLOYMENT_NAME)}`);
+      return existing;
     }
-    
-    // Final check
-    if (code === "0x" || code === "0x0") {
-      throw new Error(`${contractName} code not found at ${address} after multiple attempts`);
+    // Writing a new manifest would overwrite the only record of the other chain's deployment
+    throw new Error(
+      `${getManifestPath(DEPLOYMENT_NAME)} records a deployment on chain ${existing.chainId}, but this run is connected to chain ${chainId}. ` +
+      "Check the selected network and the RPC URL, or set DEPLOY_FRESH=true to replace the manifest."
+    );
+  }
+  const manifest = createManifest(DEPLOYMENT_NAME, chainId, deployerAddress);
+  manifest.profile = profileName;
+  return manifest;
+}
+
+// A proxy recorded in the manifest only counts as deployed if code still exists at its address
+async function findExistingProxy(manifest, key) {
+  const entry = manifest.contracts[key];
+  if (!entry || !entry.proxy) {
+    return null;
+  }
+  const code = await ethers.provider.getCode(entry.proxy);
+  if (code === "0x" || code === "0x0") {
+    console.log(`${key} is recorded at ${entry.proxy} but no code exists there. It will be redeployed.`);
+    return null;
+  }
+  return entry.proxy;
+}
+
+// Proxy addresses keyed by contract key, under the names initializer arguments use
+function namedAddresses(proxies) {
+  return {
+    timelock: proxies.JustTimelock,
+    token: proxies.JustToken,
+    governance: proxies.JustGovernance,
+    daoHelper: proxies.JustDAOHelper,
+    analyticsHelper: proxies.JustAnalyticsHelper
+  };
+}
+
+// Predict every CREATE2 address and refuse to continue if the manifest disagrees with them. Addresses
+// commit to the init code, so code found at a predicted implementation is the same implementation, and
+// code found at a predicted proxy was initialized with this deployment's arguments; both are reused.
+// initializerArgs maps each contract key to a function of the named proxy addresses.
+async function prepareCreate2(ctx, deployer, config, initializerArgs) {
+  if (ctx.manifest.create2 && ctx.manifest.create2.salt !== config.salt) {
+    throw new Error(
+      `Existing manifest was deployed with CREATE2 salt ${ctx.manifest.create2.salt}, not ${config.salt}. ` +
+      "Resume with the same DEPLOY_CREATE2_SALT or start over with DEPLOY_FRESH=true."
+    );
+  }
+  await ensureFactory(ethers.provider, config, network.name);
+  
+  const predicted = await predictAddresses(ctx.factories, config, deployer, (key, predictions) => {
+    const proxies = Object.fromEntries(Object.entries(predictions).map(([k, p]) => [k, p.proxy]));
+    return ctx.factories[key].interface.encodeFunctionData("initialize", initializerArgs[key](namedAddresses(proxies)));
+  });
+  console.log(`CREATE2 factory ${config.factory}, salt ${config.rawSalt}`);
+  for (const key of CONTRACT_KEYS) {
+    console.log(`  ${key.padEnd(20)} proxy ${predicted[key].proxy}  implementation ${predicted[key].implementation}`);
+  }
+  
+  const conflicts = [];
+  for (const key of CONTRACT_KEYS) {
+    const { proxy, implementation } = predicted[key];
+    const entry = ctx.manifest.contracts[key];
+    if (await hasCode(ethers.provider, proxy) && !(entry && entry.proxy === proxy)) {
+      console.log(`${key} proxy already exists at ${proxy}, initialized with this deployment's arguments; it will be recorded`);
     }
-    return true;
-  } catch (error) {
-    console.error(`Error verifying ${contractName} code:`, error);
-    throw error;
+    if (entry && entry.proxy && entry.proxy !== proxy) {
+      conflicts.push(`${key} is recorded at ${entry.proxy} but the salt predicts ${proxy}`);
+    }
+    if (await hasCode(ethers.provider, implementation)) {
+      console.log(`${key} implementation already exists at ${implementation} and will be reused`);
+    }
+  }
+  if (conflicts.length > 0) {
+    throw new Error(`Refusing to deploy with CREATE2 salt "${config.rawSalt}":\n  - ${conflicts.join("\n  - ")}`);
+  }
+  
+  ctx.manifest.create2 = { factory: config.factory, salt: config.salt, rawSalt: config.rawSalt, predicted };
+  saveManifest(ctx.manifest);
+  return { ...config, predicted };
+}
+
+// Send init code through the CREATE2 factory unless the predicted address already has code.
+// onSent is called with the transaction before waiting for it.
+async function deployThroughFactory(ctx, label, salt, initCode, address, onSent = () => {}) {
+  if (await hasCode(ethers.provider, address)) {
+    console.log(`${label} already at ${address}`);
+    return null;
+  }
+  console.log(`Deploying ${label} to ${address} through CREATE2...`);
+  const tx = await sendThroughFactory(ctx.deployer, ctx.create2, salt, initCode, {
+    ...await getFees(),
+    gasLimit: 8000000
+  });
+  onSent(tx);
+  const receipt = await confirmTransaction(tx, label);
+  await verifyContractCode(address, label);
+  return receipt;
+}
+
+// CREATE2 variant of the deploy step: implementation, then the proxy at its predicted address, which
+// runs initialize in the same transaction. The proxy is recorded as soon as its transaction is sent,
+// so a run that stops before the receipt arrives is resumed from the manifest.
+async function deployCreate2(ctx, key, contractName, args) {
+  const { salt, implementation, proxy, initData } = ctx.create2.predicted[key];
+  const factory = ctx.factories[key];
+  if (factory.interface.encodeFunctionData("initialize", args) !== initData) {
+    throw new Error(`${key} initializer arguments differ from the ones its CREATE2 address ${proxy} was predicted with`);
+  }
+  const initCodes = await getInitCodes(factory, implementation, ctx.deployer, initData);
+  
+  await deployThroughFactory(ctx, `${key} implementation`, salt, initCodes.implementation, implementation);
+  const proxyReceipt = await deployThroughFactory(ctx, `${key} proxy`, salt, initCodes.proxy, proxy,
+    tx => recordContract(ctx.manifest, key, { contractName, proxy, implementation, txHash: tx.hash, create2Salt: salt }));
+  if (!ctx.manifest.contracts[key] || ctx.manifest.contracts[key].proxy !== proxy) {
+    // Deployed by an earlier run whose manifest is gone (or by anyone sending the same init code)
+    recordContract(ctx.manifest, key, { contractName, proxy, implementation, create2Salt: salt });
+  }
+  recordContract(ctx.manifest, key, { initializerArgs: args });
+  const entry = ctx.manifest.contracts[key];
+  const receipt = proxyReceipt || (entry.txHash && !Number.isInteger(entry.blockNumber)
+    ? await ethers.provider.getTransactionReceipt(entry.txHash)
+    : null);
+  if (receipt) {
+    recordContract(ctx.manifest, key, { txHash: receipt.hash, blockNumber: receipt.blockNumber });
+  }
+  
+  const contract = factory.attach(proxy);
+  if (!(await contract.hasRole(await contract.ADMIN_ROLE(), ctx.deployer.address))) {
+    throw new Error(`${key} proxy at ${proxy} does not have ${ctx.deployer.address} as admin`);
+  }
+  
+  // Register the proxy with the upgrades plugin so upgrade.js can validate future upgrades
+  await upgrades.forceImport(proxy, factory, { kind: "uups" });
+  return contract;
+}
+
+// Step that deploys one proxy, or attaches to the proxy an earlier run already deployed
+function deployStep(ctx, key, contractName, getArgs) {
+  return {
+    id: `deploy:${key}`,
+    check: async () => {
+      const existing = await findExistingProxy(ctx.manifest, key);
+      if (!existing) {
+        return false;
+      }
+      ctx.contracts[key] = ctx.factories[key].attach(existing);
+      console.log(`${key} already deployed at ${existing}`);
+      return true;
+    },
+    run: async () => {
+      console.log(`\nStarting ${key} deployment...`);
+      const args = getArgs(ctx.addresses());
+      if (ctx.create2) {
+        const contract = await deployCreate2(ctx, key, contractName, args);
+        ctx.contracts[key] = contract;
+        await verifyContractCode(contract.target, key);
+        return { proxy: contract.target, create2: true };
+      }
+      
+      const contract = await deployProxy(ctx.factories[key], args, { contractName: key });
+      ctx.contracts[key] = contract;
+      await recordDeployment(ctx.manifest, key, contractName, contract, args);
+
+      // Wait for the proxy deployment to be final; a reorg may have moved it to another block
+      const receipt = await confirmTransaction(contract.deploymentTransaction(), `${key} deployment`);
+      recordContract(ctx.manifest, key, { blockNumber: receipt.blockNumber });
+
+      // Verify the deployment before continuing
+      const address = await contract.getAddress();
+      await verifyContractCode(address, key);
+      return { proxy: address, blockNumber: receipt.blockNumber };
+    }
+  };
+}
+
+// Step that grants a role on one contract. It is skipped when the account already holds the role.
+function grantStep(ctx, contractKey, roleName, accountLabel, method = "grantContractRole") {
+  return {
+    id: `grant:${contractKey}:${roleName}:${accountLabel}`,
+    check: async () => {
+      const contract = ctx.contracts[contractKey];
+      return contract.hasRole(await contract[roleName](), ctx.addressOf(accountLabel));
+    },
+    run: async () => {
+      const contract = ctx.contracts[contractKey];
+      console.log(`Granting ${roleName} on ${contractKey} to ${accountLabel}...`);
+      const tx = await contract[method](await contract[roleName](), ctx.addressOf(accountLabel), await getFees());
+      await confirmTransaction(tx, `${roleName} grant on ${contractKey}`);
+      return { txHash: tx.hash };
+    }
+  };
+}
+
+// Step that submits the implementation source to the explorer and links the proxy to it.
+// Skipped once the manifest records a successful verification of the current implementation.
+function verifySourceStep(ctx, key) {
+  return {
+    id: `verify-source:${key}`,
+    check: async () => isVerified(ctx.manifest.contracts[key]),
+    run: async () => {
+      const entry = ctx.manifest.contracts[key];
+      console.log(`Verifying ${key} on ${ctx.explorer.apiUrl}...`);
+      const verification = await verifyDeployment(hre, ctx.explorer, {
+        proxy: entry.proxy,
+        implementation: entry.implementation,
+        contractName: FACTORY_NAMES[key]
+      });
+      recordContract(ctx.manifest, key, { verification });
+      return { verified: verification.verified };
+    }
+  };
+}
+
+// Run the steps in order, recording each one in the journal.
+// A step with check() is skipped when the check shows its effect is already on chain,
+// a step marked always runs every time, and any other step runs once per journal.
+async function runSteps(steps, journal) {
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const label = `[${i + 1}/${steps.length}] ${step.id}`;
+
+    if (step.check) {
+      if (await step.check()) {
+        journal.skip(step.id, "already in effect on chain");
+        console.log(`${label}: already done, skipping`);
+        continue;
+      }
+    } else if (!step.always && journal.isComplete(step.id)) {
+      console.log(`${label}: completed in a previous run, skipping`);
+      continue;
+    }
+
+    console.log(`\n${label}`);
+    journal.start(step.id);
+    try {
+      const result = await step.run();
+      journal.complete(step.id, result || {});
+    } catch (error) {
+      journal.fail(step.id, error);
+      console.error(`\nStep ${step.id} failed. Fix the cause and re-run deploy.js to resume from this step.`);
+      console.error(`Journal: ${journal.path}`);
+      throw error;
+    }
+  }
+}
+
+// Read-only check that a helper contract points at the deployed token, governance and timelock
+async function checkHelperReferences(helper, helperName, addresses) {
+  const helperTokenAddress = await helper.justToken();
+  console.log(`${helperName} connected to token: ${helperTokenAddress}`);
+  
+  const helperGovernanceAddress = await helper.justGovernance();
+  console.log(`${helperName} connected to governance: ${helperGovernanceAddress}`);
+  
+  const helperTimelockAddress = await helper.justTimelock();
+  console.log(`${helperName} connected to timelock: ${helperTimelockAddress}`);
+  
+  if (helperTokenAddress.toLowerCase() !== addresses.token.toLowerCase()) {
+    throw new Error(`${helperName}'s token address doesn't match the deployed token`);
+  }
+  
+  if (helperGovernanceAddress.toLowerCase() !== addresses.governance.toLowerCase()) {
+    throw new Error(`${helperName}'s governance address doesn't match the deployed governance`);
+  }
+  
+  if (helperTimelockAddress.toLowerCase() !== addresses.timelock.toLowerCase()) {
+    throw new Error(`${helperName}'s timelock address doesn't match the deployed timelock`);
   }
 }
 
+// Step that points a helper contract at the deployed token, governance and timelock if it does not already
+function helperAddressesStep(ctx, helperKey) {
+  const helperReferencesMatch = async () => {
+    const helper = ctx.contracts[helperKey];
+    const addresses = ctx.addresses();
+    return (await helper.justToken()).toLowerCase() === addresses.token.toLowerCase() &&
+      (await helper.justGovernance()).toLowerCase() === addresses.governance.toLowerCase() &&
+      (await helper.justTimelock()).toLowerCase() === addresses.timelock.toLowerCase();
+  };
+
+  return {
+    id: `helper-addresses:${helperKey}`,
+    check: helperReferencesMatch,
+    run: async () => {
+      const addresses = ctx.addresses();
+      console.log(`Updating contract addresses in ${helperKey}...`);
+      const tx = await ctx.contracts[helperKey].updateContractAddresses(
+        addresses.token,
+        addresses.governance,
+        addresses.timelock,
+        await getFees()
+      );
+      await confirmTransaction(tx, `${helperKey} updateContractAddresses`);
+      console.log(`${helperKey} addresses updated`);
+      return { txHash: tx.hash };
+    }
+  };
+}
+
 async function main() {
   try {
-    const [deployer] = await ethers.getSigners();
+    // Load and validate the deployment profile before anything is sent
+    const profile = loadProfile();
+    
+    const deployer = DRY_RUN ? await prepareDryRun() : (await ethers.getSigners())[0];
+    const startingBalance = await deployer.provider.getBalance(deployer.address);
     console.log(`Deploying contracts with account: ${deployer.address}`);
     console.log(`Network: ${network.name}`);
-    console.log(`Account balance: ${ethers.formatEther(await deployer.provider.getBalance(deployer.address))} ETH\n`);
+    console.log(`Deployment profile: ${profile.name}`);
+    console.log(`Account balance: ${ethers.formatEther(startingBalance)} ETH\n`);
+    
+    // A rehearsal sends nothing real; a real mainnet deployment needs the network name typed back
+    if (!DRY_RUN) {
+      await confirmMainnet(network.name, (await ethers.provider.getNetwork()).chainId);
+    }
+    
+    // Fees at the fork point, used to price the plan
+    const planFees = DRY_RUN ? await getFeeOverrides(ethers.provider) : null;
+    if (DRY_RUN) {
+      await ensureRehearsalBalance(deployer.address);
+    }
     
     // Add special handling for hardhat network
-    if (network.name === "hardhat") {
+    if (network.name === "hardhat" && !DRY_RUN) {
       console.log("Warning: Running on Hardhat network. Contract verification may not work as expected.");
       console.log("This is normal for local development, since contracts might not be mined the same way.");
     }
     
+    // Every deployed proxy is written to deployments/<network>.json as soon as it is deployed,
+    // and every step is journaled so a failed run can be resumed by simply running it again
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = loadOrCreateManifest(chainId, deployer.address, profile.name);
+    const journalPath = getJournalPath(DEPLOYMENT_NAME, "deploy");
+    if (isFreshRun() && fs.existsSync(journalPath)) {
+      fs.unlinkSync(journalPath);
+    }
+    const journal = openJournal(journalPath, { network: DEPLOYMENT_NAME, chainId: Number(chainId) });
     
-    // Deploy JustTimelockUpgradeable
-    console.log("Starting JustTimelock deployment...");
-    const JustTimelock = await ethers.getContractFactory("contracts/JustTimelockUpgradeable.sol:JustTimelockUpgradeable");
-    const initialMinDelay = 86400; // 1 day in seconds
-    const proposers = [deployer.address];
-    const executors = [deployer.address];
-    const admin = deployer.address;
-    
-    // Deploy the timelock contract
-    const timelock = await deployProxy(
-      JustTimelock, 
-      [initialMinDelay, proposers, executors, admin],
-      { contractName: "JustTimelock" }
-    );
-    
-    const timelockAddress = await timelock.getAddress();
-    
-    // Verify the timelock deployment before continuing
-    await verifyContractCode(timelockAddress, "JustTimelock");
-    
-    // Deploy JustTokenUpgradeable
-    console.log("\nStarting JustToken deployment...");
-    const JustToken = await ethers.getContractFactory("contracts/JustTokenUpgradeable.sol:JustTokenUpgradeable");
-    const name = "Justice Token";
-    const symbol = "JST";
-    const minLockDuration = 3600; // 1 hour
-    const maxLockDuration = 31536000; // 1 year
+    const interrupted = journal.interrupted();
+    if (interrupted.length > 0) {
+      console.log(`⚠️ Previous run was interrupted during: ${interrupted.join(", ")}`);
+      console.log("   Any transaction it sent is detected on chain before the step is retried.");
+    }
     
-    const token = await deployProxy(
-      JustToken, 
-      [name, symbol, admin, minLockDuration, maxLockDuration],
-      { contractName: "JustToken" }
-    );
+    const admin = deployer.address;
     
-    const tokenAddress = await token.getAddress();
+    const ctx = {
+      manifest,
+      deployer,
+      create2: null,
+      // Explorer to verify sources on; never used by a dry run
+      explorer: DRY_RUN ? null : getExplorerConfig(network.name),
+      contracts: {},
+      factories: {},
+      // Proxy addresses of the core contracts once they are deployed or attached (undefined before)
+      addresses() {
+        return namedAddresses(Object.fromEntries(CONTRACT_KEYS.map(key => [key, this.contracts[key]?.target])));
+      },
+      // Resolve an account label used in step ids to an address
+      addressOf(label) {
+        if (label === "deployer") {
+          return deployer.address;
+        }
+        return this.contracts[label].target;
+      }
+    };
     
-    // Verify the token deployment before continuing
-    await verifyContractCode(tokenAddress, "JustToken");
+    for (const key of CONTRACT_KEYS) {
+      ctx.factories[key] = await ethers.getContractFactory(FACTORY_NAMES[key], deployer);
+    }
     
-    // Deploy JustGovernanceUpgradeable
-    console.log("\nStarting JustGovernance deployment...");
-    const JustGovernance = await ethers.getContractFactory("contracts/JustGovernanceUpgradeable.sol:JustGovernanceUpgradeable");
-    const govName = "Justice Governance";
-    const proposalThreshold = ethers.parseEther("1000"); // 1000 tokens
-    const votingDelay = 86400; // 1 day
-    const votingPeriod = 604800; // 1 week
-    const quorumNumerator = 4; // 4%
-    const successfulRefund = 100; // 100% refund
-    const cancelledRefund = 50; // 50% refund
-    const defeatedRefund = 25; // 25% refund
-    const expiredRefund = 25; // 25% refund
+    const { token: tokenConfig, timelock: timelockConfig, governance: govConfig } = profile;
+    const minExecutorThreshold = ethers.parseEther(String(timelockConfig.executorTokenThreshold));
     
-    const governance = await deployProxy(
-      JustGovernance, 
-      [
-        govName, 
-        tokenAddress,
-        timelockAddress, 
+    // Initializer arguments of each contract, given the proxy addresses of the ones deployed before it
+    const initializerArgs = {
+      JustTimelock: () => [
+        timelockConfig.initialMinDelay,
+        resolveAccounts(timelockConfig.proposers, deployer.address),
+        resolveAccounts(timelockConfig.executors, deployer.address),
+        admin
+      ],
+      JustToken: () => [tokenConfig.name, tokenConfig.symbol, admin, tokenConfig.minLockDuration, tokenConfig.maxLockDuration],
+      JustGovernance: ({ token, timelock }) => [
+        govConfig.name, 
+        token,
+        timelock, 
         admin, 
-        proposalThreshold, 
-        votingDelay, 
-        votingPeriod, 
-        quorumNumerator, 
-        successfulRefund, 
-        cancelledRefund, 
-        defeatedRefund, 
-        expiredRefund
+        ethers.parseEther(String(govConfig.proposalThreshold)), 
+        govConfig.votingDelay, 
+        govConfig.votingPeriod, 
+        govConfig.quorumNumerator, 
+        govConfig.successfulRefund, 
+        govConfig.cancelledRefund, 
+        govConfig.defeatedRefund, 
+        govConfig.expiredRefund
       ],
-      { contractName: "JustGovernance" }
-    );
-    
-    const governanceAddress = await governance.getAddress();
-    
-    // Verify the governance deployment before continuing
-    await verifyContractCode(governanceAddress, "JustGovernance");
-    
-    // Deploy JustDAOHelperUpgradeable
-    console.log("\nStarting JustDAOHelper deployment...");
-    const JustDAOHelper = await ethers.getContractFactory("contracts/JustDAOHelperUpgradeable.sol:JustDAOHelperUpgradeable");
-    
-    // DAOHelper takes token, governance, timelock, and admin addresses
-    const daoHelper = await deployProxy(
-      JustDAOHelper,
-      [tokenAddress, governanceAddress, timelockAddress, admin],
-      { contractName: "JustDAOHelper" }
-    );
-    
-    const daoHelperAddress = await daoHelper.getAddress();
-    
-    // Verify the DAO helper deployment before continuing
-    await verifyContractCode(daoHelperAddress, "JustDAOHelper");
-    
-    // Deploy JustAnalyticsHelperUpgradeable
-    console.log("\nStarting JustAnalyticsHelperUpgradeable deployment...");
-    const JustAnalyticsHelperUpgradeable = await ethers.getContractFactory("contracts/JustAnalyticsHelperUpgradeable.sol:JustAnalyticsHelperUpgradeable");
-    
-    // EnhancedAnalyticsHelper takes token, governance, timelock, and admin addresses
-    const enhancedAnalyticsHelper = await deployProxy(
-      JustAnalyticsHelperUpgradeable,
-      [tokenAddress, governanceAddress, timelockAddress, admin],
-      { contractName: "JustAnalyticsHelperUpgradeable" }
-    );
-    
-    const enhancedAnalyticsHelperAddress = await enhancedAnalyticsHelper.getAddress();
+      // DAOHelper and AnalyticsHelper take token, governance, timelock, and admin addresses
+      JustDAOHelper: ({ token, governance, timelock }) => [token, governance, timelock, admin],
+      JustAnalyticsHelper: ({ token, governance, timelock }) => [token, governance, timelock, admin]
+    };
     
-    // Verify the Enhanced Analytics Helper deployment before continuing
-    await verifyContractCode(enhancedAnalyticsHelperAddress, "JustAnalyticsHelperUpgradeable");
+    const create2Config = getCreate2Config();
+    if (create2Config) {
+      ctx.create2 = await prepareCreate2(ctx, deployer, create2Config, initializerArgs);
+    }
     
-    // Debug connection to contracts before interacting with them
-    console.log("\nDebug: Checking contract connections...");
-    try {
-      // Validate timelock contract has been properly deployed
-      const timelockMinDelay = await timelock.minDelay();
-      console.log(`Timelock minDelay: ${timelockMinDelay}`);
-      
-      // Validate token contract has been properly deployed
-      const tokenSymbol = await token.symbol();
-      console.log(`Token symbol: ${tokenSymbol}`);
-      
-      // Validate governance contract has been properly deployed
-      const governanceProposalThreshold = await governance.govParams();
-      console.log(`Governance proposal threshold: ${governanceProposalThreshold.proposalCreationThreshold.toString()}`);
-      
-      // Validate DAO helper contract has been properly deployed
-      const helperTokenAddress = await daoHelper.justToken();
-      console.log(`DAOHelper connected to token: ${helperTokenAddress}`);
-      
-      const helperGovernanceAddress = await daoHelper.justGovernance();
-      console.log(`DAOHelper connected to governance: ${helperGovernanceAddress}`);
-      
-      const helperTimelockAddress = await daoHelper.justTimelock();
-      console.log(`DAOHelper connected to timelock: ${helperTimelockAddress}`);
-      
-      // Validate EnhancedAnalyticsHelper contract has been properly deployed
-      const analyticsHelperTokenAddress = await enhancedAnalyticsHelper.justToken();
-      console.log(`EnhancedAnalyticsHelper connected to token: ${analyticsHelperTokenAddress}`);
-      
-      const analyticsHelperGovernanceAddress = await enhancedAnalyticsHelper.justGovernance();
-      console.log(`EnhancedAnalyticsHelper connected to governance: ${analyticsHelperGovernanceAddress}`);
-      
-      const analyticsHelperTimelockAddress = await enhancedAnalyticsHelper.justTimelock();
-      console.log(`EnhancedAnalyticsHelper connected to timelock: ${analyticsHelperTimelockAddress}`);
-      
-      // Verify addresses match
-      if (helperTokenAddress.toLowerCase() !== tokenAddress.toLowerCase()) {
-        throw new Error("DAOHelper's token address doesn't match the deployed token");
-      }
-      
-      if (helperGovernanceAddress.toLowerCase() !== governanceAddress.toLowerCase()) {
-        throw new Error("DAOHelper's governance address doesn't match the deployed governance");
+    const steps = [
+      // 1. CONTRACT DEPLOYMENTS
+      deployStep(ctx, "JustTimelock", "JustTimelockUpgradeable", initializerArgs.JustTimelock),
+      deployStep(ctx, "JustToken", "JustTokenUpgradeable", initializerArgs.JustToken),
+      deployStep(ctx, "JustGovernance", "JustGovernanceUpgradeable", initializerArgs.JustGovernance),
+      deployStep(ctx, "JustDAOHelper", "JustDAOHelperUpgradeable", initializerArgs.JustDAOHelper),
+      deployStep(ctx, "JustAnalyticsHelper", "JustAnalyticsHelperUpgradeable", initializerArgs.JustAnalyticsHelper),
+      
+      // Source verification on the block explorer
+      ...(ctx.explorer ? CONTRACT_KEYS.map(key => verifySourceStep(ctx, key)) : []),
+      
+      // Debug connection to contracts before interacting with them
+      {
+        id: "verify:connections",
+        always: true,
+        run: async () => {
+          const { JustTimelock: timelock, JustToken: token, JustGovernance: governance } = ctx.contracts;
+          console.log(`Timelock minDelay: ${await timelock.minDelay()}`);
+          console.log(`Token symbol: ${await token.symbol()}`);
+          const governanceParams = await governance.govParams();
+          console.log(`Governance proposal threshold: ${governanceParams.proposalCreationThreshold.toString()}`);
+          
+          await checkHelperReferences(ctx.contracts.JustDAOHelper, "DAOHelper", ctx.addresses());
+          await checkHelperReferences(ctx.contracts.JustAnalyticsHelper, "EnhancedAnalyticsHelper", ctx.addresses());
+        }
+      },
+      
+      // 2. CROSS-REFERENCES BETWEEN TOKEN AND TIMELOCK
+      {
+        id: "set-timelock:JustToken",
+        check: async () => (await ctx.contracts.JustToken.timelock()).toLowerCase() === ctx.addresses().timelock.toLowerCase(),
+        run: async () => {
+          console.log("Setting timelock in token...");
+          const setTimelockTx = await ctx.contracts.JustToken.setTimelock(ctx.addresses().timelock, await getFees());
+          console.log(`Set timelock transaction hash: ${setTimelockTx.hash}`);
+          await confirmTransaction(setTimelockTx, "setTimelock");
+          console.log("Timelock set successfully in token");
+          return { txHash: setTimelockTx.hash };
+        }
+      },
+      {
+        id: "set-token:JustTimelock",
+        check: async () => (await ctx.contracts.JustTimelock.justToken()).toLowerCase() === ctx.addresses().token.toLowerCase(),
+        run: async () => {
+          console.log("Setting JustToken in timelock...");
+          const setTokenTx = await ctx.contracts.JustTimelock.setJustToken(ctx.addresses().token, await getFees());
+          console.log(`Set token transaction hash: ${setTokenTx.hash}`);
+          await confirmTransaction(setTokenTx, "setJustToken");
+          console.log("Token set successfully in timelock");
+          return { txHash: setTokenTx.hash };
+        }
+      },
+      
+      // 3. ROLE GRANTS
+      grantStep(ctx, "JustToken", "GOVERNANCE_ROLE", "JustGovernance"),
+      grantStep(ctx, "JustTimelock", "PROPOSER_ROLE", "JustGovernance"),
+      grantStep(ctx, "JustTimelock", "EXECUTOR_ROLE", "JustGovernance"),
+      grantStep(ctx, "JustDAOHelper", "ANALYTICS_ROLE", "deployer", "grantRole"),
+      grantStep(ctx, "JustAnalyticsHelper", "ANALYTICS_ROLE", "deployer", "grantRole"),
+      grantStep(ctx, "JustDAOHelper", "ANALYTICS_ROLE", "JustGovernance", "grantRole"),
+      grantStep(ctx, "JustAnalyticsHelper", "ANALYTICS_ROLE", "JustGovernance", "grantRole"),
+      grantStep(ctx, "JustToken", "GOVERNANCE_ROLE", "JustTimelock"),
+      grantStep(ctx, "JustTimelock", "CANCELLER_ROLE", "JustGovernance"),
+      grantStep(ctx, "JustToken", "MINTER_ROLE", "JustGovernance"),
+      grantStep(ctx, "JustToken", "GUARDIAN_ROLE", "JustGovernance"),
+      grantStep(ctx, "JustTimelock", "GUARDIAN_ROLE", "JustGovernance"),
+      grantStep(ctx, "JustToken", "MINTER_ROLE", "JustTimelock"),
+      
+      // Test basic DAO functionality
+      {
+        id: "smoke-test",
+        run: async () => {
+          const { JustToken: token, JustDAOHelper: daoHelper, JustAnalyticsHelper: enhancedAnalyticsHelper } = ctx.contracts;
+          try {
+            // Create a token snapshot using Governance role
+            console.log("1/3: Creating token snapshot...");
+            const snapshotTx = await token.createSnapshot(await getFees());
+            await confirmTransaction(snapshotTx, "createSnapshot");
+            const snapshotId = await token.getCurrentSnapshotId();
+            console.log(`Snapshot created with ID: ${snapshotId}`);
+            
+            // Test if the DAO Helper can access this snapshot
+            console.log("2/3: Testing DAO Helper's ability to access token data...");
+            const delegationDepth = await daoHelper.getDelegationDepth(deployer.address);
+            console.log(`Deployer's delegation depth: ${delegationDepth}`);
+            
+            // Test if the Enhanced Analytics Helper can access governance data
+            console.log("3/3: Testing Enhanced Analytics Helper's access to governance data...");
+            try {
+              const firstProposalId = 1; // This might not exist yet
+              await enhancedAnalyticsHelper.getProposalAnalytics(1, firstProposalId);
+              console.log("Enhanced Analytics Helper successfully queried governance data");
+            } catch (error) {
+              // This is expected to fail if no proposals exist yet
+              console.log("Enhanced Analytics Helper attempted to query governance (expected to have no proposals yet)");
+            }
+            
+            console.log("Basic functionality tests completed");
+            return { snapshotId: snapshotId.toString() };
+          } catch (error) {
+            console.error("Error testing basic functionality:", error);
+            console.log("This may be expected if certain features require proposals to exist");
+            return { error: error.message };
+          }
+        }
+      },
+      
+      // 4. HELPER CONTRACTS SETUP
+      helperAddressesStep(ctx, "JustDAOHelper"),
+      helperAddressesStep(ctx, "JustAnalyticsHelper"),
+      
+      // 5. CROSS-CONTRACT VERIFICATION
+      {
+        id: "verify:cross-contract",
+        always: true,
+        run: verifyCrossContractSetup.bind(null, ctx)
+      },
+      
+      // 6. INITIAL GOVERNANCE SETUP
+      {
+        id: "initial-snapshot",
+        run: async () => {
+          // Create a snapshot to use for future proposals
+          console.log("Creating governance snapshot...");
+          const createSnapshotTx = await ctx.contracts.JustToken.createSnapshot(await getFees());
+          await confirmTransaction(createSnapshotTx, "createSnapshot");
+          const latestSnapshotId = await ctx.contracts.JustToken.getCurrentSnapshotId();
+          console.log(`✅ Created snapshot ID: ${latestSnapshotId}`);
+          return { txHash: createSnapshotTx.hash, snapshotId: latestSnapshotId.toString() };
+        }
+      },
+      {
+        id: "executor-threshold:JustTimelock",
+        check: async () => (await ctx.contracts.JustTimelock.minExecutorTokenThreshold()) === minExecutorThreshold,
+        run: async () => {
+          // Set up executor token threshold for timelock
+          console.log("Setting appropriate executor token threshold in timelock...");
+          const updateThresholdTx = await ctx.contracts.JustTimelock.updateExecutorTokenThreshold(minExecutorThreshold, await getFees());
+          await confirmTransaction(updateThresholdTx, "updateExecutorTokenThreshold");
+          console.log(`✅ Set executor token threshold to ${ethers.formatEther(minExecutorThreshold)} tokens`);
+          return { txHash: updateThresholdTx.hash };
+        }
       }
-      
-      if (helperTimelockAddress.toLowerCase() !== timelockAddress.toLowerCase()) {
-        throw new Error("DAOHelper's timelock address doesn't match the deployed timelock");
+    ];
+    
+    console.log(`\n======= RUNNING ${steps.length} DEPLOYMENT STEPS =======`);
+    console.log(`Journal: ${journal.path}`);
+    
+    if (DRY_RUN) {
+      const plan = [];
+      await runSteps(measureSteps(steps, plan, deployer.address), journal);
+      const audit = await auditDeployment(manifest, { multisigAddress: process.env.MULTISIG_ADDRESS });
+      writePlan(plan, planFees, startingBalance, audit);
+      if (audit.summary.fail > 0) {
+        process.exitCode = 1;
       }
-      
-      if (analyticsHelperTokenAddress.toLowerCase() !== tokenAddress.toLowerCase()) {
-        throw new Error("EnhancedAnalyticsHelper's token address doesn't match the deployed token");
-      }
-      
-      if (analyticsHelperGovernanceAddress.toLowerCase() !== governanceAddress.toLowerCase()) {
-        throw new Error("EnhancedAnalyticsHelper's governance address doesn't match the deployed governance");
-      }
-      
-      if (analyticsHelperTimelockAddress.toLowerCase() !== timelockAddress.toLowerCase()) {
-        throw new Error("EnhancedAnalyticsHelper's timelock address doesn't match the deployed timelock");
-      }
-    } catch (error) {
-      console.error("Error connecting to deployed contracts:", error);
-      throw error;
-    }
-    
-    const GOVERNANCE_ROLE = await token.GOVERNANCE_ROLE();
-    const PROPOSER_ROLE = await timelock.PROPOSER_ROLE();
-    const EXECUTOR_ROLE = await timelock.EXECUTOR_ROLE();
-    const DAO_ANALYTICS_ROLE = await daoHelper.ANALYTICS_ROLE();
-    const ENHANCED_ANALYTICS_ROLE = await enhancedAnalyticsHelper.ANALYTICS_ROLE();
-    const CANCELLER_ROLE = await timelock.CANCELLER_ROLE();
-
-    // Set up the token contract with timelock reference
-    console.log("\nSetting timelock in token...");
-    try {
-      const setTimelockTx = await token.setTimelock(timelockAddress);
-      console.log(`Set timelock transaction hash: ${setTimelockTx.hash}`);
-      await setTimelockTx.wait();
-      console.log("Timelock set successfully in token");
-    } catch (error) {
-      console.error("Error setting timelock in token:", error);
-      throw error;
-    }
-    
-    // Set up the JustToken reference in timelock
-    console.log("\nSetting JustToken in timelock...");
-    try {
-      const setTokenTx = await timelock.setJustToken(tokenAddress);
-      console.log(`Set token transaction hash: ${setTokenTx.hash}`);
-      await setTokenTx.wait();
-      console.log("Token set successfully in timelock");
-    } catch (error) {
-      console.error("Error setting token in timelock:", error);
-      throw error;
+      return;
     }
     
+    await runSteps(steps, journal);
     
-    // Grant roles with detailed error reporting
-    console.log("\nSetting up roles...");
+    await printSummary(ctx);
     
-    try {
-      // Get role hashes
-      const GOVERNANCE_ROLE = await token.GOVERNANCE_ROLE();
-      const PROPOSER_ROLE = await timelock.PROPOSER_ROLE();
-      const EXECUTOR_ROLE = await timelock.EXECUTOR_ROLE();
-      const DAO_ANALYTICS_ROLE = await daoHelper.ANALYTICS_ROLE();
-      const ENHANCED_ANALYTICS_ROLE = await enhancedAnalyticsHelper.ANALYTICS_ROLE();
-      const CANCELLER_ROLE = await timelock.CANCELLER_ROLE();
-      
-      console.log("1/5: Granting GOVERNANCE_ROLE to governance contract...");
-      const grantGovRoleTx = await token.grantContractRole(GOVERNANCE_ROLE, governanceAddress);
-      await grantGovRoleTx.wait();
-      
-      console.log("2/5: Granting PROPOSER_ROLE to governance contract...");
-      const grantPropRoleTx = await timelock.grantContractRole(PROPOSER_ROLE, governanceAddress);
-      await grantPropRoleTx.wait();
-      
-      console.log("3/5: Granting EXECUTOR_ROLE to governance contract...");
-      const grantExecRoleTx = await timelock.grantContractRole(EXECUTOR_ROLE, governanceAddress);
-      await grantExecRoleTx.wait();
-      
-      console.log("4/5: Granting ANALYTICS_ROLE to deployer for DAO helper...");
-      const grantDAOAnalyticsRoleTx = await daoHelper.grantRole(DAO_ANALYTICS_ROLE, deployer.address);
-      await grantDAOAnalyticsRoleTx.wait();
-      
-      console.log("5/5: Granting ANALYTICS_ROLE to deployer for Enhanced Analytics helper...");
-      const grantEnhancedAnalyticsRoleTx = await enhancedAnalyticsHelper.grantRole(ENHANCED_ANALYTICS_ROLE, deployer.address);
-      await grantEnhancedAnalyticsRoleTx.wait();
-      
-      console.log("All roles granted successfully");
-    } catch (error) {
-      console.error("Error granting roles:", error);
-      throw error;
-    }
-    
-    console.log("\nDeployment and setup complete!");
-    
-    // Output all the addresses
-    console.log("\nDeployed contract addresses:");
-    console.log("JustTimelock:", timelockAddress);
-    console.log("JustToken:", tokenAddress);
-    console.log("JustGovernance:", governanceAddress);
-    console.log("JustDAOHelper:", daoHelperAddress);
-    console.log("JustAnalyticsHelperUpgradeable:", enhancedAnalyticsHelperAddress);
-    
-    // Connect DAO Helper contracts to Governance
-    console.log("\nSetting Governance contract as Analytics Role holder for helpers...");
-    try {
-      // Grant Analytics role to Governance contract for both helpers
-      console.log("1/4: Granting ANALYTICS_ROLE to governance in DAO Helper...");
-      const grantDaoAnalyticsToGovTx = await daoHelper.grantRole(DAO_ANALYTICS_ROLE, governanceAddress);
-      await grantDaoAnalyticsToGovTx.wait();
-      
-      console.log("2/4: Granting ANALYTICS_ROLE to governance in Enhanced Analytics Helper...");
-      const grantEnhancedAnalyticsToGovTx = await enhancedAnalyticsHelper.grantRole(ENHANCED_ANALYTICS_ROLE, governanceAddress);
-      await grantEnhancedAnalyticsToGovTx.wait();
-      
-      console.log("3/4: Granting GOVERNANCE_ROLE to timelock in token contract...");
-      const grantGovRoleToTimelockTx = await token.grantContractRole(GOVERNANCE_ROLE, timelockAddress);
-      await grantGovRoleToTimelockTx.wait();
-      
-      console.log("4/4: Granting CANCELLER_ROLE to governance in timelock...");
-      const grantCancellerRoleTx = await timelock.grantContractRole(CANCELLER_ROLE, governanceAddress);
-      await grantCancellerRoleTx.wait();
-      
-      console.log("Additional roles granted successfully");
-    } catch (error) {
-      console.error("Error granting additional roles:", error);
-      throw error;
-    }
-
-    // Test basic DAO functionality
-    console.log("\nTesting basic DAO functionality...");
-    try {
-      // Create a token snapshot using Governance role
-      console.log("1/3: Creating token snapshot...");
-      const snapshotTx = await token.createSnapshot();
-      await snapshotTx.wait();
-      const snapshotId = await token.getCurrentSnapshotId();
-      console.log(`Snapshot created with ID: ${snapshotId}`);
-      
-      // Test if the DAO Helper can access this snapshot
-      console.log("2/3: Testing DAO Helper's ability to access token data...");
-      const delegationDepth = await daoHelper.getDelegationDepth(deployer.address);
-      console.log(`Deployer's delegation depth: ${delegationDepth}`);
-      
-      // Test if the Enhanced Analytics Helper can access governance data
-      console.log("3/3: Testing Enhanced Analytics Helper's access to governance data...");
-      try {
-        const firstProposalId = 1; // This might not exist yet
-        const metricResponse = await enhancedAnalyticsHelper.getProposalAnalytics(1, firstProposalId);
-        console.log("Enhanced Analytics Helper successfully queried governance data");
-      } catch (error) {
-        // This is expected to fail if no proposals exist yet
-        console.log("Enhanced Analytics Helper attempted to query governance (expected to have no proposals yet)");
-      }
-      
-      console.log("Basic functionality tests completed");
-    } catch (error) {
-      console.error("Error testing basic functionality:", error);
-      console.log("This may be expected if certain features require proposals to exist");
-    }
-
-    // ADDED SECTION: COMPLETE CROSS-CONTRACT SETUP
-    console.log("\n======= COMPLETE CROSS-CONTRACT SETUP =======");
-
-    // 1. GOVERNANCE PERMISSIONS
-    console.log("\nSetting up complete governance permissions...");
-    try {
-      // Set up governance with ability to create snapshots and serve as primary admin
-      console.log("1/3: Ensuring governance can create token snapshots...");
-      const hasGovRole = await token.hasRole(GOVERNANCE_ROLE, governanceAddress);
-      if (!hasGovRole) {
-        const grantGovRoleTx = await token.grantContractRole(GOVERNANCE_ROLE, governanceAddress);
-        await grantGovRoleTx.wait();
-        console.log("GOVERNANCE_ROLE granted to governance contract");
-      } else {
-        console.log("GOVERNANCE_ROLE already granted to governance contract");
-      }
-
-      // Grant MINTER_ROLE to governance
-      console.log("2/3: Granting MINTER_ROLE to governance...");
-      const MINTER_ROLE = await token.MINTER_ROLE();
-      const hasMinterRole = await token.hasRole(MINTER_ROLE, governanceAddress);
-      if (!hasMinterRole) {
-        const grantMinterRoleTx = await token.grantContractRole(MINTER_ROLE, governanceAddress);
-        await grantMinterRoleTx.wait();
-        console.log("MINTER_ROLE granted to governance contract");
-      } else {
-        console.log("MINTER_ROLE already granted to governance contract");
-      }
-
-      // Grant GUARDIAN_ROLE to governance
-      console.log("3/3: Granting GUARDIAN_ROLE to governance in both token and timelock...");
-      const GUARDIAN_ROLE_TOKEN = await token.GUARDIAN_ROLE();
-      const hasGuardianRoleToken = await token.hasRole(GUARDIAN_ROLE_TOKEN, governanceAddress);
-      if (!hasGuardianRoleToken) {
-        const grantGuardianRoleTx = await token.grantContractRole(GUARDIAN_ROLE_TOKEN, governanceAddress);
-        await grantGuardianRoleTx.wait();
-        console.log("GUARDIAN_ROLE granted to governance in token contract");
-      } else {
-        console.log("GUARDIAN_ROLE already granted to governance in token contract");
-      }
-
-      const GUARDIAN_ROLE_TIMELOCK = await timelock.GUARDIAN_ROLE();
-      const hasGuardianRoleTimelock = await timelock.hasRole(GUARDIAN_ROLE_TIMELOCK, governanceAddress);
-      if (!hasGuardianRoleTimelock) {
-        const grantGuardianRoleTimelockTx = await timelock.grantContractRole(GUARDIAN_ROLE_TIMELOCK, governanceAddress);
-        await grantGuardianRoleTimelockTx.wait();
-        console.log("GUARDIAN_ROLE granted to governance in timelock contract");
-      } else {
-        console.log("GUARDIAN_ROLE already granted to governance in timelock contract");
-      }
+  } catch (error) {
+    console.error("Deployment failed:", error);
+    process.exit(1);
+  }
+}
 
-      console.log("Governance permissions setup complete");
-    } catch (error) {
-      console.error("Error setting up governance permissions:", error);
-      throw error;
+// Point the in-process Hardhat network at a fork of the target chain (DRY_RUN_FORK_URL, optionally
+// pinned to DRY_RUN_FORK_BLOCK) and return the signer to rehearse with. DRY_RUN_FROM impersonates the
+// real deployer so balances, nonces and fees match the real deployment.
+async function prepareDryRun() {
+  if (network.name !== "hardhat") {
+    throw new Error("DEPLOY_DRY_RUN only runs on the in-process Hardhat network (--network hardhat), so nothing can be broadcast");
+  }
+  
+  const forkUrl = process.env.DRY_RUN_FORK_URL;
+  if (forkUrl) {
+    const forking = { jsonRpcUrl: forkUrl };
+    if (process.env.DRY_RUN_FORK_BLOCK) {
+      forking.blockNumber = Number(process.env.DRY_RUN_FORK_BLOCK);
     }
+    await network.provider.request({ method: "hardhat_reset", params: [{ forking }] });
+    console.log(`Dry run on a fork at block ${await ethers.provider.getBlockNumber()}`);
+  } else {
+    console.log("Dry run without DRY_RUN_FORK_URL: rehearsing on an empty Hardhat chain");
+  }
+  
+  const from = process.env.DRY_RUN_FROM;
+  if (!from) {
+    return (await ethers.getSigners())[0];
+  }
+  await network.provider.request({ method: "hardhat_impersonateAccount", params: [from] });
+  return ethers.getSigner(from);
+}
 
-    // 2. TIMELOCK PERMISSIONS
-    console.log("\nSetting up complete timelock permissions...");
-    try {
-      // Ensure timelock has GOVERNANCE_ROLE in token
-      console.log("1/2: Ensuring timelock has GOVERNANCE_ROLE in token...");
-      const hasGovRoleTimelock = await token.hasRole(GOVERNANCE_ROLE, timelockAddress);
-      if (!hasGovRoleTimelock) {
-        const grantGovRoleTimelockTx = await token.grantContractRole(GOVERNANCE_ROLE, timelockAddress);
-        await grantGovRoleTimelockTx.wait();
-        console.log("GOVERNANCE_ROLE granted to timelock in token contract");
-      } else {
-        console.log("GOVERNANCE_ROLE already granted to timelock in token contract");
-      }
+// The rehearsal has to complete even if the real deployer is underfunded; the plan reports the shortfall
+async function ensureRehearsalBalance(address) {
+  const minimum = ethers.parseEther("1000");
+  if ((await ethers.provider.getBalance(address)) < minimum) {
+    await network.provider.request({ method: "hardhat_setBalance", params: [address, ethers.toQuantity(minimum)] });
+  }
+}
 
-      // Grant MINTER_ROLE to timelock
-      console.log("2/2: Granting MINTER_ROLE to timelock...");
-      const MINTER_ROLE = await token.MINTER_ROLE();
-      const hasMinterRoleTimelock = await token.hasRole(MINTER_ROLE, timelockAddress);
-      if (!hasMinterRoleTimelock) {
-        const grantMinterRoleTimelockTx = await token.grantContractRole(MINTER_ROLE, timelockAddress);
-        await grantMinterRoleTimelockTx.wait();
-        console.log("MINTER_ROLE granted to timelock in token contract");
-      } else {
-        console.log("MINTER_ROLE already granted to timelock in token contract");
+// Gas used by transactions from an address in the blocks mined after fromBlock
+async function gasUsedSince(fromBlock, address) {
+  const latest = await ethers.provider.getBlockNumber();
+  let gasUsed = 0n;
+  let transactions = 0;
+  for (let n = fromBlock + 1; n <= latest; n++) {
+    const block = await ethers.provider.getBlock(n, true);
+    for (const tx of block.prefetchedTransactions) {
+      if (tx.from.toLowerCase() !== address.toLowerCase()) {
+        continue;
       }
-
-      console.log("Timelock permissions setup complete");
-    } catch (error) {
-      console.error("Error setting up timelock permissions:", error);
-      throw error;
+      const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+      gasUsed += receipt.gasUsed;
+      transactions++;
     }
+  }
+  return { gasUsed, transactions };
+}
 
-    // 3. HELPER CONTRACTS SETUP
-    console.log("\nSetting up helper contract connections...");
-    try {
-      // Verify addresses in DAO Helper
-      console.log("1/2: Verifying and updating contract addresses in DAO Helper...");
-      const daoHelperTokenAddr = await daoHelper.justToken();
-      const daoHelperGovAddr = await daoHelper.justGovernance();
-      const daoHelperTimelockAddr = await daoHelper.justTimelock();
-
-      if (daoHelperTokenAddr.toLowerCase() !== tokenAddress.toLowerCase() ||
-          daoHelperGovAddr.toLowerCase() !== governanceAddress.toLowerCase() ||
-          daoHelperTimelockAddr.toLowerCase() !== timelockAddress.toLowerCase()) {
-        console.log("Updating contract addresses in DAO Helper...");
-        const updateAddressesTx = await daoHelper.updateContractAddresses(
-          tokenAddress, 
-          governanceAddress, 
-          timelockAddress
-        );
-        await updateAddressesTx.wait();
-        console.log("DAO Helper addresses updated");
-      } else {
-        console.log("DAO Helper addresses already correctly set");
-      }
-
-      // Verify addresses in Analytics Helper
-      console.log("2/2: Verifying and updating contract addresses in Analytics Helper...");
-      const analyticsHelperTokenAddr = await enhancedAnalyticsHelper.justToken();
-      const analyticsHelperGovAddr = await enhancedAnalyticsHelper.justGovernance();
-      const analyticsHelperTimelockAddr = await enhancedAnalyticsHelper.justTimelock();
-
-      if (analyticsHelperTokenAddr.toLowerCase() !== tokenAddress.toLowerCase() ||
-          analyticsHelperGovAddr.toLowerCase() !== governanceAddress.toLowerCase() ||
-          analyticsHelperTimelockAddr.toLowerCase() !== timelockAddress.toLowerCase()) {
-        console.log("Updating contract addresses in Analytics Helper...");
-        const updateAnalyticsAddressesTx = await enhancedAnalyticsHelper.updateContractAddresses(
-          tokenAddress, 
-          governanceAddress, 
-          timelockAddress
-        );
-        await updateAnalyticsAddressesTx.wait();
-        console.log("Analytics Helper addresses updated");
-      } else {
-        console.log("Analytics Helper addresses already correctly set");
+// Wrap every step so the gas its transactions used is added to the plan
+function measureSteps(steps, plan, address) {
+  return steps.map(step => ({
+    ...step,
+    run: async () => {
+      const fromBlock = await ethers.provider.getBlockNumber();
+      const result = await step.run();
+      const { gasUsed, transactions } = await gasUsedSince(fromBlock, address);
+      if (transactions > 0) {
+        plan.push({ step: step.id, transactions, gasUsed });
       }
-
-      console.log("Helper contracts setup complete");
-    } catch (error) {
-      console.error("Error setting up helper contracts:", error);
-      throw error;
+      return result;
     }
+  }));
+}
 
-    // 4. CROSS-CONTRACT VERIFICATION
-    console.log("\nPerforming comprehensive cross-contract verification...");
-    try {
-      // Verify token setup
-      console.log("1/4: Verifying token contract setup...");
-      const tokenTimelockAddr = await token.timelock();
-      if (tokenTimelockAddr.toLowerCase() !== timelockAddress.toLowerCase()) {
-        console.error("❌ Token's timelock reference is incorrect!");
-      } else {
-        console.log("✅ Token's timelock reference correctly set");
-      }
+// Print the dry run plan and write it to deployments/dry-run.plan.json
+function writePlan(plan, fees, startingBalance, audit) {
+  // Expected price is what the fork block's base fee plus tip would charge; the maximum is the fee cap
+  const maxPrice = fees.maxFeePerGas ?? fees.gasPrice;
+  const expectedPrice = fees.gasPrice ?? (maxPrice - fees.maxPriorityFeePerGas) / 2n + fees.maxPriorityFeePerGas;
+  
+  const rows = plan.map((entry, i) => ({
+    ...entry,
+    index: i + 1,
+    expectedCost: entry.gasUsed * expectedPrice,
+    maxCost: entry.gasUsed * maxPrice
+  }));
+  const totalGas = rows.reduce((sum, row) => sum + row.gasUsed, 0n);
+  const totalExpected = totalGas * expectedPrice;
+  const totalMax = totalGas * maxPrice;
+  
+  console.log("\n======= DRY RUN PLAN =======");
+  console.log(`Fees at fork point: ${describeFees(fees)}\n`);
+  const stepWidth = Math.max(...rows.map(row => row.step.length), "Step".length);
+  console.log(`${"#".padStart(3)}  ${"Step".padEnd(stepWidth)}  Txs  ${"Gas".padStart(10)}  Est. cost (ETH)`);
+  for (const row of rows) {
+    console.log(`${String(row.index).padStart(3)}  ${row.step.padEnd(stepWidth)}  ${String(row.transactions).padStart(3)}  ${row.gasUsed.toString().padStart(10)}  ${ethers.formatEther(row.expectedCost)}`);
+  }
+  console.log(`\nTotal gas: ${totalGas}`);
+  console.log(`Estimated cost: ${ethers.formatEther(totalExpected)} ETH (at most ${ethers.formatEther(totalMax)} ETH)`);
+  console.log(`Deployer balance: ${ethers.formatEther(startingBalance)} ETH`);
+  if (startingBalance < totalMax) {
+    console.log(`⚠️ Deployer needs ${ethers.formatEther(totalMax - startingBalance)} more ETH to cover the maximum cost`);
+  }
+  
+  console.log("\nFinal role and reference state:");
+  printTable(audit.results);
+  console.log(`\n${audit.summary.pass} passed, ${audit.summary.warn} warnings, ${audit.summary.fail} failed`);
+  
+  const planPath = writeJsonFile(getReportPath(DEPLOYMENT_NAME, "plan"), {
+    forkUrl: process.env.DRY_RUN_FORK_URL ? "set" : null,
+    forkBlock: process.env.DRY_RUN_FORK_BLOCK || null,
+    fees,
+    steps: rows,
+    totalGas,
+    estimatedCost: totalExpected,
+    maxCost: totalMax,
+    deployerBalance: startingBalance,
+    finalState: audit
+  });
+  console.log(`\nPlan written to ${planPath}`);
+  console.log("Nothing was broadcast to the real network.");
+}
 
-      // Verify governance setup
-      console.log("2/4: Verifying governance contract setup...");
-      const govTokenAddr = await governance.justToken();
-      const govTimelockAddr = await governance.timelock();
-      
-      if (govTokenAddr.toLowerCase() !== tokenAddress.toLowerCase()) {
-        console.error("❌ Governance's token reference is incorrect!");
-      } else {
-        console.log("✅ Governance's token reference correctly set");
-      }
-      
-      if (govTimelockAddr.toLowerCase() !== timelockAddress.toLowerCase()) {
-        console.error("❌ Governance's timelock reference is incorrect!");
-      } else {
-        console.log("✅ Governance's timelock reference correctly set");
-      }
+// Comprehensive cross-contract verification of references and critical roles
+async function verifyCrossContractSetup(ctx) {
+  const { JustToken: token, JustTimelock: timelock, JustGovernance: governance,
+    JustDAOHelper: daoHelper, JustAnalyticsHelper: enhancedAnalyticsHelper } = ctx.contracts;
+  const { token: tokenAddress, timelock: timelockAddress, governance: governanceAddress } = ctx.addresses();
+  
+  // Verify token setup
+  console.log("1/4: Verifying token contract setup...");
+  const tokenTimelockAddr = await token.timelock();
+  if (tokenTimelockAddr.toLowerCase() !== timelockAddress.toLowerCase()) {
+    console.error("❌ Token's timelock reference is incorrect!");
+  } else {
+    console.log("✅ Token's timelock reference correctly set");
+  }
 
-      // Verify timelock setup
-      console.log("3/4: Verifying timelock contract setup...");
-      const timelockTokenAddr = await timelock.justToken();
-      if (timelockTokenAddr.toLowerCase() !== tokenAddress.toLowerCase()) {
-        console.error("❌ Timelock's token reference is incorrect!");
-      } else {
-        console.log("✅ Timelock's token reference correctly set");
-      }
+  // Verify governance setup
+  console.log("2/4: Verifying governance contract setup...");
+  const govTokenAddr = await governance.justToken();
+  const govTimelockAddr = await governance.timelock();
+  
+  if (govTokenAddr.toLowerCase() !== tokenAddress.toLowerCase()) {
+    console.error("❌ Governance's token reference is incorrect!");
+  } else {
+    console.log("✅ Governance's token reference correctly set");
+  }
+  
+  if (govTimelockAddr.toLowerCase() !== timelockAddress.toLowerCase()) {
+    console.error("❌ Governance's timelock reference is incorrect!");
+  } else {
+    console.log("✅ Governance's timelock reference correctly set");
+  }
 
-      // Verify role setup
-      console.log("4/4: Verifying critical role assignments...");
-      const hasGovRoleInToken = await token.hasRole(GOVERNANCE_ROLE, governanceAddress);
-      const hasProposerRoleInTimelock = await timelock.hasRole(PROPOSER_ROLE, governanceAddress);
-      const hasExecutorRoleInTimelock = await timelock.hasRole(EXECUTOR_ROLE, governanceAddress);
-      const hasCancellerRoleInTimelock = await timelock.hasRole(CANCELLER_ROLE, governanceAddress);
-      
-      console.log(`✅ Governance has GOVERNANCE_ROLE in token: ${hasGovRoleInToken}`);
-      console.log(`✅ Governance has PROPOSER_ROLE in timelock: ${hasProposerRoleInTimelock}`);
-      console.log(`✅ Governance has EXECUTOR_ROLE in timelock: ${hasExecutorRoleInTimelock}`);
-      console.log(`✅ Governance has CANCELLER_ROLE in timelock: ${hasCancellerRoleInTimelock}`);
-      
-      const hasTimelocGovRoleInToken = await token.hasRole(GOVERNANCE_ROLE, timelockAddress);
-      console.log(`✅ Timelock has GOVERNANCE_ROLE in token: ${hasTimelocGovRoleInToken}`);
+  // Verify timelock setup
+  console.log("3/4: Verifying timelock contract setup...");
+  const timelockTokenAddr = await timelock.justToken();
+  if (timelockTokenAddr.toLowerCase() !== tokenAddress.toLowerCase()) {
+    console.error("❌ Timelock's token reference is incorrect!");
+  } else {
+    console.log("✅ Timelock's token reference correctly set");
+  }
 
-      const hasDaoHelperAnalyticsRole = await daoHelper.hasRole(DAO_ANALYTICS_ROLE, governanceAddress);
-      const hasAnalyticsHelperAnalyticsRole = await enhancedAnalyticsHelper.hasRole(ENHANCED_ANALYTICS_ROLE, governanceAddress);
-      
-      console.log(`✅ Governance has ANALYTICS_ROLE in DAO Helper: ${hasDaoHelperAnalyticsRole}`);
-      console.log(`✅ Governance has ANALYTICS_ROLE in Analytics Helper: ${hasAnalyticsHelperAnalyticsRole}`);
+  // Verify role setup
+  console.log("4/4: Verifying critical role assignments...");
+  const GOVERNANCE_ROLE = await token.GOVERNANCE_ROLE();
+  const PROPOSER_ROLE = await timelock.PROPOSER_ROLE();
+  const EXECUTOR_ROLE = await timelock.EXECUTOR_ROLE();
+  const CANCELLER_ROLE = await timelock.CANCELLER_ROLE();
+  const DAO_ANALYTICS_ROLE = await daoHelper.ANALYTICS_ROLE();
+  const ENHANCED_ANALYTICS_ROLE = await enhancedAnalyticsHelper.ANALYTICS_ROLE();
+  
+  const hasGovRoleInToken = await token.hasRole(GOVERNANCE_ROLE, governanceAddress);
+  const hasProposerRoleInTimelock = await timelock.hasRole(PROPOSER_ROLE, governanceAddress);
+  const hasExecutorRoleInTimelock = await timelock.hasRole(EXECUTOR_ROLE, governanceAddress);
+  const hasCancellerRoleInTimelock = await timelock.hasRole(CANCELLER_ROLE, governanceAddress);
+  
+  console.log(`✅ Governance has GOVERNANCE_ROLE in token: ${hasGovRoleInToken}`);
+  console.log(`✅ Governance has PROPOSER_ROLE in timelock: ${hasProposerRoleInTimelock}`);
+  console.log(`✅ Governance has EXECUTOR_ROLE in timelock: ${hasExecutorRoleInTimelock}`);
+  console.log(`✅ Governance has CANCELLER_ROLE in timelock: ${hasCancellerRoleInTimelock}`);
+  
+  const hasTimelocGovRoleInToken = await token.hasRole(GOVERNANCE_ROLE, timelockAddress);
+  console.log(`✅ Timelock has GOVERNANCE_ROLE in token: ${hasTimelocGovRoleInToken}`);
 
-      console.log("Cross-contract verification complete");
-    } catch (error) {
-      console.error("Error during cross-contract verification:", error);
-      throw error;
-    }
+  const hasDaoHelperAnalyticsRole = await daoHelper.hasRole(DAO_ANALYTICS_ROLE, governanceAddress);
+  const hasAnalyticsHelperAnalyticsRole = await enhancedAnalyticsHelper.hasRole(ENHANCED_ANALYTICS_ROLE, governanceAddress);
+  
+  console.log(`✅ Governance has ANALYTICS_ROLE in DAO Helper: ${hasDaoHelperAnalyticsRole}`);
+  console.log(`✅ Governance has ANALYTICS_ROLE in Analytics Helper: ${hasAnalyticsHelperAnalyticsRole}`);
 
-    // 5. INITIAL GOVERNANCE SETUP
-    console.log("\nPerforming initial governance setup...");
-    try {
-      // Create a snapshot to use for future proposals
-      console.log("1/2: Creating governance snapshot...");
-      const createSnapshotTx = await token.createSnapshot();
-      await createSnapshotTx.wait();
-      const latestSnapshotId = await token.getCurrentSnapshotId();
-      console.log(`✅ Created snapshot ID: ${latestSnapshotId}`);
-
-      // Set up executor token threshold for timelock
-      console.log("2/2: Setting appropriate executor token threshold in timelock...");
-      const minExecutorThreshold = ethers.parseEther("1"); // 1 token minimum for executing
-      const updateThresholdTx = await timelock.updateExecutorTokenThreshold(minExecutorThreshold);
-      await updateThresholdTx.wait();
-      console.log(`✅ Set executor token threshold to ${ethers.formatEther(minExecutorThreshold)} tokens`);
-
-      console.log("Initial governance setup complete");
-    } catch (error) {
-      console.error("Error during initial governance setup:", error);
-      throw error;
-    }
+  console.log("Cross-contract verification complete");
+}
 
-    // 6. FINAL CHECKS AND SUMMARY
-    console.log("\n======= FINAL DEPLOYMENT SUMMARY =======");
-    console.log(`\n✅ All contracts deployed and configured successfully!`);
-    console.log(`\n📋 Contract Addresses:`);
-    console.log(`Token (${await token.symbol()}): ${tokenAddress}`);
-    console.log(`Governance: ${governanceAddress}`);
-    console.log(`Timelock: ${timelockAddress}`);
-    console.log(`DAO Helper: ${daoHelperAddress}`);
-    console.log(`Analytics Helper: ${enhancedAnalyticsHelperAddress}`);
+// Final deployment summary with proxy and implementation addresses
+async function printSummary(ctx) {
+  const addresses = ctx.addresses();
+  
+  console.log("\n======= FINAL DEPLOYMENT SUMMARY =======");
+  console.log(`\n✅ All contracts deployed and configured successfully!`);
+  console.log(`\n📋 Contract Addresses:`);
+  console.log(`Token (${await ctx.contracts.JustToken.symbol()}): ${addresses.token}`);
+  console.log(`Governance: ${addresses.governance}`);
+  console.log(`Timelock: ${addresses.timelock}`);
+  console.log(`DAO Helper: ${addresses.daoHelper}`);
+  console.log(`Analytics Helper: ${addresses.analyticsHelper}`);
 
+  try {
     console.log(`\n📋 Implementation Addresses (for verification):`);
-    const timelockImpl = await upgrades.erc1967.getImplementationAddress(timelockAddress);
-    const tokenImpl = await upgrades.erc1967.getImplementationAddress(tokenAddress);
-    const govImpl = await upgrades.erc1967.getImplementationAddress(governanceAddress);
-    const daoHelperImpl = await upgrades.erc1967.getImplementationAddress(daoHelperAddress);
-    const analyticsHelperImpl = await upgrades.erc1967.getImplementationAddress(enhancedAnalyticsHelperAddress);
-
-    console.log(`Token Implementation: ${tokenImpl}`);
-    console.log(`Governance Implementation: ${govImpl}`);
-    console.log(`Timelock Implementation: ${timelockImpl}`);
-    console.log(`DAO Helper Implementation: ${daoHelperImpl}`);
-    console.log(`Analytics Helper Implementation: ${analyticsHelperImpl}`);
-    console.log("\nProxy Admin:", await upgrades.erc1967.getAdminAddress(timelockAddress));
-
-    console.log(`\n⚠️ IMPORTANT: Keep these addresses safe for future reference and verification`);
-    console.log(`⚠️ Use these implementation addresses when verifying contracts on Etherscan`);
-
-    try {
-      // Get implementation addresses
-      const timelockImplementation = await upgrades.erc1967.getImplementationAddress(timelockAddress);
-      const tokenImplementation = await upgrades.erc1967.getImplementationAddress(tokenAddress);
-      const governanceImplementation = await upgrades.erc1967.getImplementationAddress(governanceAddress);
-      const daoHelperImplementation = await upgrades.erc1967.getImplementationAddress(daoHelperAddress);
-      const enhancedAnalyticsHelperImplementation = await upgrades.erc1967.getImplementationAddress(enhancedAnalyticsHelperAddress);
-      
-      console.log("\nImplementation addresses for verification:");
-      console.log("JustTimelock Implementation:", timelockImplementation);
-      console.log("JustToken Implementation:", tokenImplementation);
-      console.log("JustGovernance Implementation:", governanceImplementation);
-      console.log("JustDAOHelper Implementation:", daoHelperImplementation);
-      console.log("JustAnalyticsHelperUpgradeable Implementation:", enhancedAnalyticsHelperImplementation);
-      
-      // Get proxy admin address
-      const adminAddress = await upgrades.erc1967.getAdminAddress(timelockAddress);
-      console.log("\nProxy Admin:", adminAddress);
-    } catch (error) {
-      console.error("Error retrieving implementation addresses:", error);
-    }
-    
+    console.log(`Token Implementation: ${await upgrades.erc1967.getImplementationAddress(addresses.token)}`);
+    console.log(`Governance Implementation: ${await upgrades.erc1967.getImplementationAddress(addresses.governance)}`);
+    console.log(`Timelock Implementation: ${await upgrades.erc1967.getImplementationAddress(addresses.timelock)}`);
+    console.log(`DAO Helper Implementation: ${await upgrades.erc1967.getImplementationAddress(addresses.daoHelper)}`);
+    console.log(`Analytics Helper Implementation: ${await upgrades.erc1967.getImplementationAddress(addresses.analyticsHelper)}`);
+    console.log("\nProxy Admin:", await upgrades.erc1967.getAdminAddress(addresses.timelock));
   } catch (error) {
-    console.error("Deployment failed:", error);
-    process.exit(1);
+    console.error("Error retrieving implementation addresses:", error);
   }
+
+  console.log(`\n📋 Deployment manifest: ${getManifestPath(DEPLOYMENT_NAME)}`);
+  console.log(`\n⚠️ IMPORTANT: Keep these addresses safe for future reference and verification`);
+  console.log(`⚠️ Use these implementation addresses when verifying contracts on Etherscan`);
 }
 
 main()
-  .then(() => process.exit(0))
+  .then(() => process.exit(process.exitCode || 0))
   .catch((error) => {
     console.error("Unhandled error:", error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
@@ -0,0 +1,148 @@
+// SPDX-License-Identifier: MIT
+// deploymentManifest.js - Per-network record of the deployed JustDAO contracts
+//
+// deploy.js writes one manifest per network to deployments/<network>.json. The file
+// records the chainId it was written for, the deployer, and for every contract the
+// proxy and implementation addresses, the deployment tx hash, block number and the
+// initializer arguments. setup.js and the update scripts resolve addresses from it.
+
+const fs = require("fs");
+const path = require("path");
+
+// Directory holding the manifests (overridable so a fork or CI run can use a scratch dir)
+const DEPLOYMENTS_DIR = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "deployments");
+
+// Manifest keys for the five proxies, in deployment order
+const CONTRACT_KEYS = [
+  "JustTimelock",
+  "JustToken",
+  "JustGovernance",
+  "JustDAOHelper",
+  "JustAnalyticsHelper"
+];
+
+// Fully qualified contract names for ethers.getContractFactory, keyed by manifest key
+const FACTORY_NAMES = {
+  JustTimelock: "contracts/JustTimelockUpgradeable.sol:JustTimelockUpgradeable",
+  JustToken: "contracts/JustTokenUpgradeable.sol:JustTokenUpgradeable",
+  JustGovernance: "contracts/JustGovernanceUpgradeable.sol:JustGovernanceUpgradeable",
+  JustDAOHelper: "contracts/JustDAOHelperUpgradeable.sol:JustDAOHelperUpgradeable",
+  JustAnalyticsHelper: "contracts/JustAnalyticsHelperUpgradeable.sol:JustAnalyticsHelperUpgradeable"
+};
+
+// Path of the manifest for a network name
+function getManifestPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+// JSON.stringify throws on BigInt, so initializer args like parseEther values are stored as strings
+function serialize(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+// Create an empty manifest for a network
+function createManifest(networkName, chainId, deployer) {
+  const now = new Date().toISOString();
+  return {
+    network: networkName,
+    chainId: Number(chainId),
+    deployer,
+    createdAt: now,
+    updatedAt: now,
+    contracts: {}
+  };
+}
+
+// Load the manifest for a network, or null if none has been written yet
+function loadManifest(networkName) {
+  const manifestPath = getManifestPath(networkName);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+// Load the manifest for a network and fail with a clear message if it is missing
+function requireManifest(networkName) {
+  const manifest = loadManifest(networkName);
+  if (!manifest) {
+    throw new Error(
+      `No deployment manifest found for network "${networkName}" at ${getManifestPath(networkName)}. ` +
+      `Run deploy.js with --network ${networkName} first.`
+    );
+  }
+  return manifest;
+}
+
+// Path of a named journal (e.g. "deploy") kept next to the manifest of a network
+function getJournalPath(networkName, name) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.${name}.journal.json`);
+}
+
+// Path of a named report (e.g. "doctor") kept next to the manifest of a network
+function getReportPath(networkName, name) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.${name}.json`);
+}
+
+// Write JSON to disk through a temp file so an interrupted run never leaves half a file
+function writeJsonFile(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, serialize(value) + "\n");
+  fs.renameSync(tmpPath, filePath);
+  return filePath;
+}
+
+// Write the manifest to disk
+function saveManifest(manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  return writeJsonFile(getManifestPath(manifest.network), manifest);
+}
+
+// Record (or replace) one contract entry and persist the manifest immediately
+function recordContract(manifest, key, record) {
+  if (!CONTRACT_KEYS.includes(key)) {
+    throw new Error(`Unknown contract key "${key}". Expected one of: ${CONTRACT_KEYS.join(", ")}`);
+  }
+  manifest.contracts[key] = {
+    ...manifest.contracts[key],
+    ...record
+  };
+  return saveManifest(manifest);
+}
+
+// Proxy address of one contract from the manifest of a network
+function getContractAddress(networkName, key) {
+  const manifest = requireManifest(networkName);
+  const entry = manifest.contracts[key];
+  if (!entry || !entry.proxy) {
+    throw new Error(`Deployment manifest for "${networkName}" has no address for ${key}`);
+  }
+  return entry.proxy;
+}
+
+// Proxy addresses of all five contracts, keyed by contract key
+function getAddresses(networkName) {
+  const addresses = {};
+  for (const key of CONTRACT_KEYS) {
+    addresses[key] = getContractAddress(networkName, key);
+  }
+  return addresses;
+}
+
+module.exports = {
+  CONTRACT_KEYS,
+  FACTORY_NAMES,
+  DEPLOYMENTS_DIR,
+  getManifestPath,
+  getJournalPath,
+  getReportPath,
+  writeJsonFile,
+  createManifest,
+  loadManifest,
+  requireManifest,
+  saveManifest,
+  recordContract,
+  getContractAddress,
+  getAddresses
+};
@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: MIT
+// deploymentProfiles.js - Named sets of initializer values for deploy.js
+//
+// Profiles live in deploymentProfiles.json (or the file named by DEPLOY_PROFILES_FILE).
+// Every profile is merged over the "default" profile, so a chapter only has to list the
+// values it changes. A profile is validated against the rules the contracts enforce
+// before deploy.js sends a single transaction.
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const PROFILES_FILE = process.env.DEPLOY_PROFILES_FILE || path.join(__dirname, "deploymentProfiles.json");
+
+// Delays JustTimelockUpgradeable.initialize sets regardless of the initializer arguments
+const TIMELOCK_DEFAULTS = {
+  maxDelay: 2592000,            // 30 days
+  lowThreatDelay: 86400,        // 1 day
+  mediumThreatDelay: 259200,    // 3 days
+  highThreatDelay: 604800,      // 7 days
+  criticalThreatDelay: 1209600  // 14 days
+};
+
+// Voting duration bounds JustGovernanceUpgradeable.initialize sets
+const GOVERNANCE_LIMITS = {
+  minVotingDuration: 600,
+  maxVotingDuration: 31536000   // 365 days
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Merge a profile over its base, one section (token, timelock, governance) at a time
+function mergeProfile(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? { ...base[key], ...value } : value;
+  }
+  return merged;
+}
+
+// Read the profiles file
+function loadProfiles(filePath = PROFILES_FILE) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Deployment profiles file not found at ${filePath}`);
+  }
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!isPlainObject(parsed.profiles) || !isPlainObject(parsed.profiles.default)) {
+    throw new Error(`${filePath} must contain a "profiles" object with a "default" profile`);
+  }
+  return parsed.profiles;
+}
+
+// Collect every rule the profile breaks instead of stopping at the first one
+function validateProfile(profile) {
+  const errors = [];
+  const { token = {}, timelock = {}, governance = {} } = profile;
+
+  const isDuration = value => Number.isInteger(value) && value >= 0;
+  const requireDuration = (label, value) => {
+    if (!isDuration(value)) {
+      errors.push(`${label} must be a whole number of seconds (got ${JSON.stringify(value)})`);
+      return false;
+    }
+    return true;
+  };
+  const requireTokenAmount = (label, value, positive) => {
+    let amount;
+    try {
+      amount = ethers.parseEther(String(value));
+    } catch (error) {
+      errors.push(`${label} must be a token amount such as "1000" (got ${JSON.stringify(value)})`);
+      return;
+    }
+    if (amount < 0n || (positive && amount === 0n)) {
+      errors.push(`${label} must be ${positive ? "greater than zero" : "zero or more"}`);
+    }
+  };
+
+  // Token
+  if (typeof token.name !== "string" || token.name.trim() === "") {
+    errors.push("token.name must be a non-empty string");
+  }
+  if (typeof token.symbol !== "string" || token.symbol.trim() === "") {
+    errors.push("token.symbol must be a non-empty string");
+  }
+  if (requireDuration("token.minLockDuration", token.minLockDuration) &&
+      requireDuration("token.maxLockDuration", token.maxLockDuration) &&
+      token.minLockDuration >= token.maxLockDuration) {
+    errors.push(`token.minLockDuration (${token.minLockDuration}) must be less than token.maxLockDuration (${token.maxLockDuration})`);
+  }
+
+  // Timelock
+  const minDelayValid = requireDuration("timelock.initialMinDelay", timelock.initialMinDelay);
+  if (minDelayValid) {
+    if (timelock.initialMinDelay === 0) {
+      errors.push("timelock.initialMinDelay must be greater than zero");
+    }
+    // The threat level delays start at fixed values and every update must keep low >= minDelay
+    if (timelock.initialMinDelay > TIMELOCK_DEFAULTS.lowThreatDelay) {
+      errors.push(
+        `timelock.initialMinDelay (${timelock.initialMinDelay}) must not exceed the timelock's ` +
+        `initial low threat delay (${TIMELOCK_DEFAULTS.lowThreatDelay})`
+      );
+    }
+  }
+  for (const field of ["proposers", "executors"]) {
+    const accounts = timelock[field];
+    if (!Array.isArray(accounts)) {
+      errors.push(`timelock.${field} must be an array of addresses or "deployer"`);
+      continue;
+    }
+    for (const account of accounts) {
+      if (account !== "deployer" && !ethers.isAddress(account)) {
+        errors.push(`timelock.${field} contains an invalid address: ${account}`);
+      }
+    }
+  }
+
+  requireTokenAmount("timelock.executorTokenThreshold", timelock.executorTokenThreshold, false);
+
+  // Governance
+  requireTokenAmount("governance.proposalThreshold", governance.proposalThreshold, true);
+  // votingDelay becomes govParams.timelockDelay, which governance passes to timelock.queueTransaction
+  if (requireDuration("governance.votingDelay", governance.votingDelay) && minDelayValid) {
+    if (governance.votingDelay < timelock.initialMinDelay) {
+      errors.push(`governance.votingDelay (${governance.votingDelay}) is below timelock.initialMinDelay (${timelock.initialMinDelay}); queued proposals would revert`);
+    }
+    if (governance.votingDelay > TIMELOCK_DEFAULTS.maxDelay) {
+      errors.push(`governance.votingDelay (${governance.votingDelay}) exceeds the timelock maxDelay (${TIMELOCK_DEFAULTS.maxDelay})`);
+    }
+  }
+  if (requireDuration("governance.votingPeriod", governance.votingPeriod) &&
+      (governance.votingPeriod < GOVERNANCE_LIMITS.minVotingDuration ||
+       governance.votingPeriod > GOVERNANCE_LIMITS.maxVotingDuration)) {
+    errors.push(
+      `governance.votingPeriod (${governance.votingPeriod}) must be between ` +
+      `${GOVERNANCE_LIMITS.minVotingDuration} and ${GOVERNANCE_LIMITS.maxVotingDuration} seconds`
+    );
+  }
+  const percentages = [
+    "quorumNumerator",
+    "successfulRefund",
+    "cancelledRefund",
+    "defeatedRefund",
+    "expiredRefund"
+  ];
+  for (const field of percentages) {
+    const value = governance[field];
+    if (!Number.isInteger(value) || value < 0 || value > 100) {
+      errors.push(`governance.${field} must be a whole percentage between 0 and 100 (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  return errors;
+}
+
+// Load, merge and validate a named profile. Throws with every validation error at once.
+function loadProfile(name = process.env.DEPLOY_PROFILE || "default", filePath = PROFILES_FILE) {
+  const profiles = loadProfiles(filePath);
+  if (!profiles[name]) {
+    throw new Error(`Unknown deployment profile "${name}". Available profiles: ${Object.keys(profiles).join(", ")}`);
+  }
+  const profile = name === "default" ? profiles.default : mergeProfile(profiles.default, profiles[name]);
+
+  const errors = validateProfile(profile);
+  if (errors.length > 0) {
+    throw new Error(`Deployment profile "${name}" is invalid:\n  - ${errors.join("\n  - ")}`);
+  }
+  return { name, ...profile };
+}
+
+// Replace the "deployer" placeholder in an account list with the deploying address
+function resolveAccounts(accounts, deployerAddress) {
+  return accounts.map(account => (account === "deployer" ? deployerAddress : account));
+}
+
+module.exports = {
+  PROFILES_FILE,
+  TIMELOCK_DEFAULTS,
+  GOVERNANCE_LIMITS,
+  loadProfiles,
+  loadProfile,
+  validateProfile,
+  resolveAccounts
+};
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+// doctor.js - Read-only audit of the cross-contract wiring of a live deployment
+//
+// Loads the deployment manifest for the network and checks every reference and role
+// deploy.js and setup.js are expected to leave behind. Sends no transactions.
+//
+//   npx hardhat run doctor.js --network sepolia
+//
+// Results are printed as a table and written to deployments/<network>.doctor.json
+// (override with DOCTOR_REPORT). The process exits with code 1 if any check fails.
+// Set MULTISIG_ADDRESS to also check the roles setup.js hands to the multisig.
+
+const { network } = require("hardhat");
+const { requireManifest, getReportPath, writeJsonFile } = require("./deploymentManifest");
+const { auditDeployment, printTable } = require("./wiringAudit");
+
+async function main() {
+  const manifest = requireManifest(network.name);
+  console.log(`Auditing deployment on ${network.name} (manifest chainId ${manifest.chainId})`);
+
+  const { addresses, results, summary } = await auditDeployment(manifest, {
+    multisigAddress: process.env.MULTISIG_ADDRESS
+  });
+  printTable(results);
+  console.log(`\n${summary.pass} passed, ${summary.warn} warnings, ${summary.fail} failed`);
+
+  const reportPath = writeJsonFile(process.env.DOCTOR_REPORT || getReportPath(network.name, "doctor"), {
+    network: network.name,
+    chainId: manifest.chainId,
+    checkedAt: new Date().toISOString(),
+    addresses,
+    summary,
+    results
+  });
+  console.log(`Report written to ${reportPath}`);
+
+  if (summary.fail > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("Doctor failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,200 @@
+// SPDX-License-Identifier: MIT
+// explorerVerify.js - Source verification of implementations and proxy linking on Etherscan-compatible explorers
+//
+// Talks to the explorer API directly, so any server speaking the Etherscan contract API works,
+// including a local stand-in for tests. Environment:
+//   EXPLORER_API_URL        API endpoint, e.g. https://api.etherscan.io/v2/api?chainid=11155111. Defaults
+//                           to the Etherscan v2 API with the network's chainid for mainnet and sepolia;
+//                           other networks must set it.
+//   EXPLORER_API_KEY        API key (falls back to ETHERSCAN_API_KEY)
+//   EXPLORER_POLL_INTERVAL  Milliseconds between status checks (default 5000)
+//   EXPLORER_MAX_ATTEMPTS   Attempts for each submission and status poll loop (default 10)
+//   VERIFY_SOURCE           Set to "false" to skip verification
+
+const { ethers } = require("ethers");
+
+// Etherscan serves every chain from one endpoint and picks the chain by its chainid parameter
+const ETHERSCAN_API_URL = "https://api.etherscan.io/v2/api";
+const DEFAULT_CHAIN_IDS = {
+  mainnet: 1,
+  sepolia: 11155111
+};
+
+// Explorer answers that mean "try again later" rather than "this will never verify"
+const RETRYABLE_MESSAGES = [/rate limit/i, /unable to locate contractcode/i, /does not have bytecode/i, /try again/i];
+const PENDING_MESSAGES = [/pending in queue/i, /in progress/i];
+const VERIFIED_MESSAGES = [/pass - verified/i, /already verified/i, /successfully updated/i, /proxy contract.*found/i];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function matchesAny(patterns, message) {
+  return patterns.some(pattern => pattern.test(String(message)));
+}
+
+// Explorer settings for a network, or null when verification does not apply there.
+// Local networks are only verified against an explicitly configured EXPLORER_API_URL.
+function getExplorerConfig(networkName) {
+  if (process.env.VERIFY_SOURCE === "false") {
+    return null;
+  }
+  const chainId = DEFAULT_CHAIN_IDS[networkName];
+  const apiUrl = process.env.EXPLORER_API_URL || (chainId ? `${ETHERSCAN_API_URL}?chainid=${chainId}` : null);
+  if (!apiUrl) {
+    return null;
+  }
+  return {
+    apiUrl,
+    apiKey: process.env.EXPLORER_API_KEY || process.env.ETHERSCAN_API_KEY || "",
+    pollInterval: Number(process.env.EXPLORER_POLL_INTERVAL || 5000),
+    maxAttempts: Number(process.env.EXPLORER_MAX_ATTEMPTS || 10)
+  };
+}
+
+// One API call. Network errors and HTTP errors are thrown as retryable.
+async function callApi(config, params, method = "POST") {
+  const body = new URLSearchParams({ ...params, apikey: config.apiKey });
+  const url = method === "GET" ? `${config.apiUrl}${config.apiUrl.includes("?") ? "&" : "?"}${body}` : config.apiUrl;
+  let response;
+  try {
+    response = await fetch(url, method === "GET" ? {} : {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body
+    });
+  } catch (error) {
+    throw Object.assign(new Error(`Explorer request failed: ${error.message}`), { retryable: true });
+  }
+  if (!response.ok) {
+    throw Object.assign(new Error(`Explorer returned HTTP ${response.status}`), { retryable: response.status >= 500 || response.status === 429 });
+  }
+  return response.json();
+}
+
+// Call the API until it gives a final answer, backing off exponentially on retryable failures
+async function callWithRetry(config, params, method, label) {
+  let delay = config.pollInterval;
+  for (let attempt = 1; ; attempt++) {
+    let reply;
+    try {
+      reply = await callApi(config, params, method);
+    } catch (error) {
+      if (!error.retryable || attempt >= config.maxAttempts) {
+        throw error;
+      }
+      console.log(`${label}: ${error.message}, retrying in ${delay}ms (${attempt}/${config.maxAttempts})`);
+      await sleep(delay);
+      delay *= 2;
+      continue;
+    }
+    if (reply.status === "1" || !matchesAny(RETRYABLE_MESSAGES, reply.result) || attempt >= config.maxAttempts) {
+      return reply;
+    }
+    console.log(`${label}: ${reply.result}, retrying in ${delay}ms (${attempt}/${config.maxAttempts})`);
+    await sleep(delay);
+    delay *= 2;
+  }
+}
+
+// Poll a submission until the explorer reports a final status
+async function pollStatus(config, action, guid, label) {
+  for (let attempt = 1; attempt <= config.maxAttempts; attempt++) {
+    await sleep(config.pollInterval);
+    const reply = await callWithRetry(config, { module: "contract", action, guid }, "GET", label);
+    if (matchesAny(VERIFIED_MESSAGES, reply.result)) {
+      return { status: "verified", message: reply.result };
+    }
+    if (!matchesAny(PENDING_MESSAGES, reply.result)) {
+      return { status: "failed", message: reply.result };
+    }
+  }
+  return { status: "pending", message: `still pending after ${config.maxAttempts} checks` };
+}
+
+// Submit the standard JSON input of an implementation and wait for the result
+async function verifyImplementation(hre, config, address, fullyQualifiedName) {
+  const label = `Verify ${fullyQualifiedName.split(":")[1]} at ${address}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  if (!buildInfo) {
+    throw new Error(`No build info for ${fullyQualifiedName}; compile the contracts first`);
+  }
+
+  const reply = await callWithRetry(config, {
+    module: "contract",
+    action: "verifysourcecode",
+    contractaddress: address,
+    sourceCode: JSON.stringify(buildInfo.input),
+    codeformat: "solidity-standard-json-input",
+    contractname: fullyQualifiedName,
+    compilerversion: `v${buildInfo.solcLongVersion}`,
+    // The implementations have no constructor arguments (the spelling is the API's)
+    constructorArguements: ""
+  }, "POST", label);
+
+  if (reply.status !== "1") {
+    return matchesAny(VERIFIED_MESSAGES, reply.result)
+      ? { status: "verified", message: reply.result }
+      : { status: "failed", message: reply.result };
+  }
+  console.log(`${label}: submitted (guid ${reply.result})`);
+  return { guid: reply.result, ...(await pollStatus(config, "checkverifystatus", reply.result, label)) };
+}
+
+// Ask the explorer to mark a proxy as pointing at its implementation
+async function linkProxy(config, proxyAddress, implementationAddress) {
+  const label = `Link proxy ${proxyAddress}`;
+  const reply = await callWithRetry(config, {
+    module: "contract",
+    action: "verifyproxycontract",
+    address: proxyAddress,
+    expectedimplementation: implementationAddress
+  }, "POST", label);
+
+  if (reply.status !== "1") {
+    return matchesAny(VERIFIED_MESSAGES, reply.result)
+      ? { status: "verified", message: reply.result }
+      : { status: "failed", message: reply.result };
+  }
+  return { guid: reply.result, ...(await pollStatus(config, "checkproxyverification", reply.result, label)) };
+}
+
+// Verify an implementation and link its proxy. Never throws for an explorer rejection: the
+// result is returned so callers can record it and carry on, since the contracts are already live.
+async function verifyDeployment(hre, config, { proxy, implementation, contractName }) {
+  const result = { implementation, checkedAt: new Date().toISOString() };
+  try {
+    result.source = await verifyImplementation(hre, config, implementation, contractName);
+  } catch (error) {
+    result.source = { status: "failed", message: error.message };
+  }
+  if (proxy) {
+    try {
+      result.proxy = await linkProxy(config, proxy, implementation);
+    } catch (error) {
+      result.proxy = { status: "failed", message: error.message };
+    }
+  }
+  result.verified = result.source.status === "verified" && (!proxy || result.proxy.status === "verified");
+
+  const icon = result.verified ? "✅" : "⚠️";
+  console.log(`${icon} Source: ${result.source.status} (${result.source.message})`);
+  if (proxy) {
+    console.log(`${icon} Proxy link: ${result.proxy.status} (${result.proxy.message})`);
+  }
+  return result;
+}
+
+// True if the manifest entry records a successful verification of its current implementation
+function isVerified(entry) {
+  return Boolean(entry && entry.verification && entry.verification.verified &&
+    ethers.getAddress(entry.verification.implementation) === ethers.getAddress(entry.implementation));
+}
+
+module.exports = {
+  getExplorerConfig,
+  verifyImplementation,
+  linkProxy,
+  verifyDeployment,
+  isVerified
+};
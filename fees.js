@@ -0,0 +1,208 @@
+// SPDX-License-Identifier: MIT
+// fees.js - EIP-1559 fee strategy and stuck-transaction replacement shared by all scripts
+//
+// Fees are derived from the latest block's base fee: maxFeePerGas = 2 * baseFee + tip, so a
+// transaction stays valid through several full blocks. Legacy chains without a base fee get a
+// gasPrice instead. Environment:
+//   MAX_FEE_GWEI        Hard cap on maxFeePerGas (or gasPrice). Sending fails instead of overpaying.
+//   PRIORITY_FEE_GWEI   Tip to use instead of the node's suggestion
+//   STUCK_AFTER_BLOCKS  Blocks a transaction may stay pending before it counts as stuck (default 5)
+//   STUCK_TX_ACTION     What non-interactive scripts do with a stuck transaction:
+//                       "wait" (default), "speedup" or "cancel"
+
+const { ethers } = require("ethers");
+
+// Fallback tip when the node does not suggest one
+const DEFAULT_PRIORITY_FEE = ethers.parseUnits("1.5", "gwei");
+
+// Nodes reject a replacement unless every fee is at least 10% higher
+const MIN_REPLACEMENT_BUMP = 10;
+const DEFAULT_REPLACEMENT_BUMP = 15;
+
+const STUCK_ACTIONS = ["wait", "speedup", "cancel"];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function formatGwei(value) {
+  return `${ethers.formatUnits(value, "gwei")} gwei`;
+}
+
+// Fee settings from the environment, overridable per call
+function getFeeConfig(overrides = {}) {
+  const config = {
+    maxFeeCap: process.env.MAX_FEE_GWEI ? ethers.parseUnits(process.env.MAX_FEE_GWEI, "gwei") : null,
+    priorityFee: process.env.PRIORITY_FEE_GWEI ? ethers.parseUnits(process.env.PRIORITY_FEE_GWEI, "gwei") : null,
+    stuckAfterBlocks: process.env.STUCK_AFTER_BLOCKS ? Number(process.env.STUCK_AFTER_BLOCKS) : 5,
+    stuckAction: process.env.STUCK_TX_ACTION || "wait",
+    bumpPercent: DEFAULT_REPLACEMENT_BUMP,
+    pollingInterval: 4000,
+    ...overrides
+  };
+  if (!STUCK_ACTIONS.includes(config.stuckAction)) {
+    throw new Error(`STUCK_TX_ACTION must be one of ${STUCK_ACTIONS.join(", ")} (got "${config.stuckAction}")`);
+  }
+  if (config.bumpPercent < MIN_REPLACEMENT_BUMP) {
+    throw new Error(`Replacement fee bump must be at least ${MIN_REPLACEMENT_BUMP}%`);
+  }
+  return config;
+}
+
+// Throw if a fee is above MAX_FEE_GWEI; what names the fee in the message
+function assertWithinCap(value, config, what) {
+  if (config.maxFeeCap !== null && value > config.maxFeeCap) {
+    throw new Error(`${what} of ${formatGwei(value)} exceeds the fee cap of ${formatGwei(config.maxFeeCap)} (MAX_FEE_GWEI)`);
+  }
+}
+
+// Transaction overrides for the current network conditions:
+// { maxFeePerGas, maxPriorityFeePerGas } on EIP-1559 chains, { gasPrice } otherwise
+async function getFeeOverrides(provider, config = getFeeConfig()) {
+  const [block, feeData] = await Promise.all([provider.getBlock("latest"), provider.getFeeData()]);
+
+  if (block.baseFeePerGas === null || block.baseFeePerGas === undefined) {
+    const gasPrice = feeData.gasPrice;
+    if (config.maxFeeCap !== null && gasPrice > config.maxFeeCap) {
+      throw new Error(`Network gas price ${formatGwei(gasPrice)} is above the fee cap of ${formatGwei(config.maxFeeCap)} (MAX_FEE_GWEI)`);
+    }
+    return { gasPrice };
+  }
+
+  const baseFee = block.baseFeePerGas;
+  const maxPriorityFeePerGas = config.priorityFee ?? feeData.maxPriorityFeePerGas ?? DEFAULT_PRIORITY_FEE;
+  let maxFeePerGas = baseFee * 2n + maxPriorityFeePerGas;
+
+  if (config.maxFeeCap !== null) {
+    // The cap must at least cover the current base fee plus the tip, or the transaction could never be mined
+    assertWithinCap(baseFee + maxPriorityFeePerGas, config, "Current base fee plus tip");
+    if (maxFeePerGas > config.maxFeeCap) {
+      maxFeePerGas = config.maxFeeCap;
+    }
+  }
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+// Human readable form of fee overrides for logging
+function describeFees(fees) {
+  if (fees.gasPrice !== undefined) {
+    return `gasPrice ${formatGwei(fees.gasPrice)}`;
+  }
+  return `maxFeePerGas ${formatGwei(fees.maxFeePerGas)}, maxPriorityFeePerGas ${formatGwei(fees.maxPriorityFeePerGas)}`;
+}
+
+// Highest amount a transaction can cost with these fees and gas limit
+function maxTransactionCost(fees, gasLimit) {
+  return (fees.maxFeePerGas ?? fees.gasPrice) * BigInt(gasLimit);
+}
+
+// Fees for a replacement: the higher of the bumped original fees and the current network fees
+async function getReplacementFees(provider, tx, config) {
+  const bump = value => (value * BigInt(100 + config.bumpPercent) + 99n) / 100n;
+  const current = await getFeeOverrides(provider, { ...config, maxFeeCap: null });
+  const max = (a, b) => (a > b ? a : b);
+
+  let fees;
+  if (tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined) {
+    fees = {
+      maxFeePerGas: max(bump(tx.maxFeePerGas), current.maxFeePerGas ?? current.gasPrice),
+      maxPriorityFeePerGas: max(bump(tx.maxPriorityFeePerGas), current.maxPriorityFeePerGas ?? current.gasPrice)
+    };
+    assertWithinCap(fees.maxFeePerGas, config, "Replacement maxFeePerGas");
+  } else {
+    fees = { gasPrice: max(bump(tx.gasPrice), current.gasPrice ?? current.maxFeePerGas) };
+    assertWithinCap(fees.gasPrice, config, "Replacement gasPrice");
+  }
+  return fees;
+}
+
+// Send a replacement for a pending transaction at the same nonce. "speedup" resends the same
+// call with higher fees, "cancel" sends an empty transfer to the sender itself.
+async function replaceTransaction(signer, tx, mode, config = getFeeConfig()) {
+  const fees = await getReplacementFees(signer.provider, tx, config);
+  const request = mode === "cancel"
+    ? { to: await signer.getAddress(), value: 0n, data: "0x", gasLimit: 21000n }
+    : { to: tx.to, value: tx.value, data: tx.data, gasLimit: tx.gasLimit };
+
+  console.log(`${mode === "cancel" ? "Cancelling" : "Speeding up"} transaction ${tx.hash} (nonce ${tx.nonce}) with ${describeFees(fees)}`);
+  const replacement = await signer.sendTransaction({ ...request, ...fees, nonce: tx.nonce, chainId: tx.chainId });
+  console.log(`Replacement transaction hash: ${replacement.hash}`);
+  return replacement;
+}
+
+// Interactive handler for stuck transactions, built on a script's question(prompt) helper
+function promptStuckAction(question) {
+  return async ({ tx, blocksPending }) => {
+    const answer = await question(
+      `Transaction ${tx.hash} has been pending for ${blocksPending} blocks. (s)peed up, (c)ancel or (w)ait? `
+    );
+    const choice = answer.trim().toLowerCase();
+    if (choice === "s" || choice === "speedup") return "speedup";
+    if (choice === "c" || choice === "cancel") return "cancel";
+    return "wait";
+  };
+}
+
+// Wait for a sent transaction to be mined. If it stays pending for stuckAfterBlocks blocks,
+// onStuck decides whether to keep waiting, speed it up or cancel it (default: STUCK_TX_ACTION).
+// Any of the transactions sent at this nonce may end up mined; the receipt of that one is returned.
+// Throws if the mined transaction reverted or was the cancellation.
+async function waitForTransaction(signer, tx, options = {}) {
+  const config = getFeeConfig(options.config);
+  const onStuck = options.onStuck || (async () => config.stuckAction);
+  const provider = signer.provider;
+  const sent = [{ tx, mode: "original" }];
+  let current = tx;
+  let pendingSince = await provider.getBlockNumber();
+
+  for (;;) {
+    for (const { tx: candidate, mode } of sent) {
+      const receipt = await provider.getTransactionReceipt(candidate.hash);
+      if (!receipt) {
+        continue;
+      }
+      if (mode === "cancel") {
+        throw new Error(`Transaction ${tx.hash} was cancelled by ${candidate.hash}`);
+      }
+      if (receipt.status === 0) {
+        throw new Error(`Transaction ${candidate.hash} reverted in block ${receipt.blockNumber}`);
+      }
+      return receipt;
+    }
+
+    // The nonce was used by a transaction we did not send from here
+    const confirmedNonce = await provider.getTransactionCount(await signer.getAddress(), "latest");
+    if (confirmedNonce > tx.nonce) {
+      const stillUnmined = await Promise.all(sent.map(s => provider.getTransactionReceipt(s.tx.hash)));
+      if (stillUnmined.every(receipt => receipt === null)) {
+        throw new Error(`Nonce ${tx.nonce} was used by another transaction; ${tx.hash} was replaced outside this script`);
+      }
+      continue;
+    }
+
+    const blocksPending = (await provider.getBlockNumber()) - pendingSince;
+    if (blocksPending >= config.stuckAfterBlocks) {
+      const action = await onStuck({ tx: current, blocksPending });
+      if (action === "speedup" || action === "cancel") {
+        // Speeding up a cancellation is still a cancellation
+        const mode = sent[sent.length - 1].mode === "cancel" ? "cancel" : action;
+        current = await replaceTransaction(signer, current, mode, config);
+        sent.push({ tx: current, mode });
+      }
+      pendingSince = await provider.getBlockNumber();
+    }
+
+    await sleep(config.pollingInterval);
+  }
+}
+
+module.exports = {
+  getFeeConfig,
+  getFeeOverrides,
+  assertWithinCap,
+  describeFees,
+  maxTransactionCost,
+  replaceTransaction,
+  promptStuckAction,
+  waitForTransaction
+};
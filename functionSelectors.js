@@ -0,0 +1,135 @@
+// SPDX-License-Identifier: MIT
+// functionSelectors.js - Function selectors of the five JustDAO contracts, taken from their compiled ABIs
+//
+// Signatures typed by hand (in allowlistPolicy.json and threatLevelPolicy.json) only mean something
+// if a contract exposes them: a typo or a changed parameter list yields a selector that matches
+// nothing. Everything here starts from the artifacts instead, so such signatures can be flagged.
+//
+// Threat levels and the governance allowlist are keyed by bytes4 alone, so a selector shared by
+// several contracts (pause() on JustGovernance and JustAnalyticsHelper) gets a single decision, and
+// two different signatures with the same selector would overwrite each other.
+//
+// allowlistPolicy.json (or the file named by ALLOWLIST_POLICY_FILE) lists, per contract key, the
+// functions General proposals may call, and the targets they may call them on (see governanceAllowlist.js).
+
+const fs = require("fs");
+const path = require("path");
+const { ethers, artifacts } = require("hardhat");
+const { CONTRACT_KEYS, FACTORY_NAMES } = require("./deploymentManifest");
+
+const ALLOWLIST_POLICY_FILE = process.env.ALLOWLIST_POLICY_FILE || path.join(__dirname, "allowlistPolicy.json");
+
+// Every external function of every contract: [{ contract, signature, selector, readOnly }]
+async function loadArtifactFunctions() {
+  const functions = [];
+  for (const key of CONTRACT_KEYS) {
+    const { abi } = await artifacts.readArtifact(FACTORY_NAMES[key]);
+    new ethers.Interface(abi).forEachFunction(fragment => {
+      functions.push({
+        contract: key,
+        signature: fragment.format("sighash"),
+        selector: fragment.selector,
+        readOnly: fragment.stateMutability === "view" || fragment.stateMutability === "pure"
+      });
+    });
+  }
+  return functions;
+}
+
+// Read allowlistPolicy.json: { targets: [contractKey or address], functions: { contractKey: [signature] } }
+function loadAllowlistPolicy(filePath = ALLOWLIST_POLICY_FILE) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Allowlist policy file not found at ${filePath}`);
+  }
+  const policy = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const errors = [];
+  if (policy.targets !== undefined && !Array.isArray(policy.targets)) {
+    errors.push("targets must be an array of contract keys or addresses");
+  }
+  for (const target of Array.isArray(policy.targets) ? policy.targets : []) {
+    if (!CONTRACT_KEYS.includes(target) && !ethers.isAddress(target)) {
+      errors.push(`targets: "${target}" is neither a contract key nor an address`);
+    }
+  }
+  for (const [key, signatures] of Object.entries(policy.functions || {})) {
+    if (!CONTRACT_KEYS.includes(key)) {
+      errors.push(`functions: unknown contract "${key}"`);
+    } else if (!Array.isArray(signatures)) {
+      errors.push(`functions.${key} must be an array of signatures`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Allowlist policy ${filePath} is invalid:\n  - ${errors.join("\n  - ")}`);
+  }
+  return policy;
+}
+
+// Split hand-listed signatures into the ones a contract exposes and the ones none does.
+// With a contract key only that contract's ABI counts. Known entries carry the ABI's selector.
+function checkSignatures(signatures, functions, contract = null) {
+  const candidates = contract ? functions.filter(fn => fn.contract === contract) : functions;
+  const known = [];
+  const unknown = [];
+  for (const signature of signatures) {
+    const match = candidates.find(fn => fn.signature === signature);
+    if (match) {
+      known.push({ signature, selector: match.selector, contract });
+    } else {
+      const elsewhere = functions.filter(fn => fn.signature === signature).map(fn => fn.contract);
+      unknown.push({ signature, selector: ethers.id(signature).substring(0, 10), contract, exposedBy: elsewhere });
+    }
+  }
+  return { known, unknown };
+}
+
+// Allowlisted functions resolved against the ABIs: { known: [{ contract, signature, selector }], unknown }
+function resolveAllowlist(policy, functions) {
+  const known = [];
+  const unknown = [];
+  for (const [contract, signatures] of Object.entries(policy.functions || {})) {
+    const checked = checkSignatures(signatures, functions, contract);
+    known.push(...checked.known);
+    unknown.push(...checked.unknown);
+  }
+  return { known, unknown };
+}
+
+// Selectors reached by more than one contract. A collision is two different signatures behind one
+// selector; a shared selector is the same signature on several contracts.
+function findSelectorCollisions(functions) {
+  const bySelector = new Map();
+  for (const fn of functions) {
+    if (!bySelector.has(fn.selector)) {
+      bySelector.set(fn.selector, []);
+    }
+    bySelector.get(fn.selector).push(fn);
+  }
+  const collisions = [];
+  const shared = [];
+  for (const [selector, entries] of bySelector) {
+    const signatures = [...new Set(entries.map(fn => fn.signature))];
+    const contracts = entries.map(fn => fn.contract);
+    if (signatures.length > 1) {
+      collisions.push({ selector, signatures, contracts });
+    } else if (contracts.length > 1) {
+      shared.push({ selector, signature: signatures[0], contracts });
+    }
+  }
+  return { collisions, shared };
+}
+
+// State-changing functions whose selector has neither a threat level nor an allowlist entry
+function findUndecidedFunctions(functions, decidedSelectors) {
+  const decided = new Set(decidedSelectors);
+  return functions.filter(fn => !fn.readOnly && !decided.has(fn.selector));
+}
+
+module.exports = {
+  ALLOWLIST_POLICY_FILE,
+  loadArtifactFunctions,
+  loadAllowlistPolicy,
+  checkSignatures,
+  resolveAllowlist,
+  findSelectorCollisions,
+  findUndecidedFunctions
+};
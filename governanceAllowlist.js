@@ -0,0 +1,207 @@
+// SPDX-License-Identifier: MIT
+// governanceAllowlist.js - The function selectors and targets JustGovernance allows in General proposals
+//
+// createProposal reverts with InvalidSelector when a General proposal's calldata starts with a
+// selector that allowedFunctionSelectors does not hold. allowedTargets is kept alongside it, but the
+// current JustGovernance does not check it when a proposal is created.
+//
+// Neither mapping can be enumerated, so the current sets are rebuilt by replaying
+// SecuritySettingUpdated(selector, selectorAllowed, target, targetAllowed) from the deployment block,
+// starting from the two selectors initialize allows without an event (transfer and approve).
+// A zero selector or zero target in the event means "left unchanged", as in updateSecurity.
+//
+// Changes are sent through updateSecurity, one selector and one target per transaction.
+
+const { ethers } = require("ethers");
+const { CONTRACT_KEYS } = require("./deploymentManifest");
+const { getFeeOverrides, waitForTransaction } = require("./fees");
+const { fetchLogs } = require("./roleHistory");
+const { resolveAllowlist } = require("./functionSelectors");
+
+const SECURITY_EVENTS = new ethers.Interface([
+  "event SecuritySettingUpdated(bytes4 selector, bool selectorAllowed, address target, bool targetAllowed)"
+]);
+const SECURITY_TOPIC = SECURITY_EVENTS.getEvent("SecuritySettingUpdated").topicHash;
+
+const NO_SELECTOR = "0x00000000";
+
+// Selectors JustGovernance.initialize allows directly
+const INITIAL_SELECTORS = ["transfer(address,uint256)", "approve(address,uint256)"].map(signature => ethers.id(signature).substring(0, 10));
+
+// Current allowlist rebuilt from events:
+// { fromBlock, toBlock, selectors: [{ selector, allowedAt, txHash }], targets: [{ address, allowedAt, txHash }] }
+async function rebuildAllowlist(provider, governanceAddress, options = {}) {
+  const chunkSize = options.chunkSize || Number(process.env.LOG_CHUNK_SIZE || 10000);
+  const toBlock = options.toBlock ?? await provider.getBlockNumber();
+  const fromBlock = options.fromBlock ?? 0;
+
+  const selectors = new Map(INITIAL_SELECTORS.map(selector => [selector, { selector, allowedAt: "initialize", txHash: null }]));
+  const targets = new Map();
+  const logs = await fetchLogs(provider, governanceAddress, [SECURITY_TOPIC], fromBlock, toBlock, chunkSize);
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  for (const log of logs) {
+    const { selector, selectorAllowed, target, targetAllowed } = SECURITY_EVENTS.parseLog(log).args;
+    if (selector !== NO_SELECTOR) {
+      if (selectorAllowed) {
+        selectors.set(selector, { selector, allowedAt: log.blockNumber, txHash: log.transactionHash });
+      } else {
+        selectors.delete(selector);
+      }
+    }
+    if (target !== ethers.ZeroAddress) {
+      const id = target.toLowerCase();
+      if (targetAllowed) {
+        targets.set(id, { address: ethers.getAddress(target), allowedAt: log.blockNumber, txHash: log.transactionHash });
+      } else {
+        targets.delete(id);
+      }
+    }
+  }
+  return { fromBlock, toBlock, selectors: [...selectors.values()], targets: [...targets.values()] };
+}
+
+// Policy resolved to selectors (grouped, with every signature and contract behind each) and target addresses
+function resolveAllowlistPolicy(policy, functions, addresses) {
+  const { known, unknown } = resolveAllowlist(policy, functions);
+  const selectors = [];
+  for (const entry of known) {
+    let group = selectors.find(s => s.selector === entry.selector);
+    if (!group) {
+      group = { selector: entry.selector, signatures: [], contracts: [] };
+      selectors.push(group);
+    }
+    if (!group.signatures.includes(entry.signature)) group.signatures.push(entry.signature);
+    group.contracts.push(entry.contract);
+  }
+  const targets = (policy.targets || []).map(target => (CONTRACT_KEYS.includes(target)
+    ? { label: target, address: addresses[target] }
+    : { label: target, address: ethers.getAddress(target) }));
+  return { selectors, targets, unknown };
+}
+
+// Name a selector after the ABI functions behind it
+function describeSelector(selector, functions) {
+  const names = [...new Set(functions.filter(fn => fn.selector === selector).map(fn => fn.signature))];
+  return names.length > 0 ? `${selector} ${names.join(" / ")}` : `${selector} (not in any JustDAO contract)`;
+}
+
+// Compare the policy with the chain. Policy entries are read from the mappings directly; entries
+// outside the policy come from the rebuilt allowlist and are re-read before being removed.
+async function planAllowlist(governance, resolved, current) {
+  const plan = { addSelectors: [], removeSelectors: [], addTargets: [], removeTargets: [], inSync: 0 };
+
+  for (const entry of resolved.selectors) {
+    if (await governance.allowedFunctionSelectors(entry.selector)) {
+      plan.inSync++;
+    } else {
+      plan.addSelectors.push(entry);
+    }
+  }
+  for (const entry of current.selectors) {
+    if (!resolved.selectors.some(s => s.selector === entry.selector) &&
+        await governance.allowedFunctionSelectors(entry.selector)) {
+      plan.removeSelectors.push(entry);
+    }
+  }
+
+  for (const entry of resolved.targets) {
+    if (await governance.allowedTargets(entry.address)) {
+      plan.inSync++;
+    } else {
+      plan.addTargets.push(entry);
+    }
+  }
+  for (const entry of current.targets) {
+    if (!resolved.targets.some(t => t.address.toLowerCase() === entry.address.toLowerCase()) &&
+        await governance.allowedTargets(entry.address)) {
+      plan.removeTargets.push(entry);
+    }
+  }
+
+  plan.changes = plan.addSelectors.length + plan.removeSelectors.length + plan.addTargets.length + plan.removeTargets.length;
+  return plan;
+}
+
+function printAllowlist(current, functions, labels = {}) {
+  console.log(`\n=== Allowed function selectors (${current.selectors.length}) ===`);
+  for (const entry of current.selectors) {
+    console.log(`  ${describeSelector(entry.selector, functions)}  (allowed at ${entry.allowedAt})`);
+  }
+  console.log(`\n=== Allowed targets (${current.targets.length}) ===`);
+  for (const entry of current.targets) {
+    const label = Object.keys(labels).find(key => labels[key] && labels[key].toLowerCase() === entry.address.toLowerCase());
+    console.log(`  ${label ? `${label} (${entry.address})` : entry.address}  (allowed at ${entry.allowedAt})`);
+  }
+}
+
+function printAllowlistPlan(plan, functions) {
+  console.log(`\n=== Governance allowlist: ${plan.inSync} entries in sync, ${plan.changes} to change ===`);
+  plan.addSelectors.forEach(entry => console.log(`  + selector ${describeSelector(entry.selector, functions)}`));
+  plan.removeSelectors.forEach(entry => console.log(`  - selector ${describeSelector(entry.selector, functions)}`));
+  plan.addTargets.forEach(entry => console.log(`  + target ${entry.label} (${entry.address})`));
+  plan.removeTargets.forEach(entry => console.log(`  - target ${entry.address}`));
+}
+
+// The updateSecurity calls that apply a plan, pairing a selector change with a target change where possible
+function getAllowlistCalls(plan, functions = []) {
+  const selectorChanges = [
+    ...plan.addSelectors.map(entry => ({ selector: entry.selector, allowed: true })),
+    ...plan.removeSelectors.map(entry => ({ selector: entry.selector, allowed: false }))
+  ];
+  const targetChanges = [
+    ...plan.addTargets.map(entry => ({ address: entry.address, label: entry.label, allowed: true })),
+    ...plan.removeTargets.map(entry => ({ address: entry.address, label: entry.address, allowed: false }))
+  ];
+
+  const calls = [];
+  for (let i = 0; i < Math.max(selectorChanges.length, targetChanges.length); i++) {
+    const selector = selectorChanges[i] || { selector: NO_SELECTOR, allowed: false };
+    const target = targetChanges[i] || { address: ethers.ZeroAddress, allowed: false };
+    const parts = [];
+    if (selectorChanges[i]) parts.push(`${selector.allowed ? "allow" : "disallow"} selector ${describeSelector(selector.selector, functions)}`);
+    if (targetChanges[i]) parts.push(`${target.allowed ? "allow" : "disallow"} target ${target.label}`);
+    calls.push({
+      contract: "JustGovernance",
+      method: "updateSecurity",
+      args: [selector.selector, selector.allowed, target.address, target.allowed],
+      description: parts.join(", ")
+    });
+  }
+  return calls;
+}
+
+// Send the plan through updateSecurity
+async function applyAllowlistPlan(governance, plan, signer) {
+  const txHashes = [];
+  for (const call of getAllowlistCalls(plan)) {
+    console.log(`updateSecurity(${call.args.join(", ")})...`);
+    const tx = await governance.updateSecurity(...call.args, await getFeeOverrides(signer.provider));
+    await waitForTransaction(signer, tx);
+    txHashes.push(tx.hash);
+  }
+  return txHashes;
+}
+
+// Whether createProposal would accept calldata for a General proposal
+async function checkProposalCalldata(governance, calldata) {
+  if (ethers.dataLength(calldata) < 4) {
+    return { selector: null, allowed: false, reason: "InvalidCalldata (shorter than 4 bytes)" };
+  }
+  const selector = ethers.dataSlice(calldata, 0, 4);
+  const allowed = await governance.allowedFunctionSelectors(selector);
+  return { selector, allowed, reason: allowed ? null : "InvalidSelector" };
+}
+
+module.exports = {
+  INITIAL_SELECTORS,
+  rebuildAllowlist,
+  resolveAllowlistPolicy,
+  describeSelector,
+  planAllowlist,
+  printAllowlist,
+  printAllowlistPlan,
+  getAllowlistCalls,
+  applyAllowlistPlan,
+  checkProposalCalldata
+};
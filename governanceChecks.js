@@ -0,0 +1,195 @@
+// SPDX-License-Identifier: MIT
+// governanceChecks.js - Check governance parameters against each other and the live system
+//
+// updateGovParam checks each value on its own. readGovernanceState reads what the parameters interact
+// with, and checkGovernanceParams compares the parameters as they would be after a change:
+//   - quorum against the total supply, the circulating supply (less the tokens held by the governance
+//     and timelock contracts, which never vote) and the tokens delegated at the latest snapshot
+//   - proposalCreationThreshold against the circulating supply, and proposalStake against the threshold
+//   - timelockDelay against the timelock's minDelay and maxDelay: queueProposal passes it as the delay,
+//     so a value outside that range makes every queueProposal revert
+//   - getProposalState reads the quorum live, so a new quorum can flip any proposal that is not
+//     canceled or executed, including queued ones: a queued proposal whose votes fall short of a raised
+//     quorum reads as Defeated, and executeProposal reverts with NotQueued until the quorum is lowered
+//     again. Deadlines are stored when a proposal is created, so a shorter votingDuration does not end
+//     open proposals early; that is reported for information.
+// Only checks involving a changed parameter are run. Findings are { level: "warning" | "info", param, message }.
+
+const { ethers } = require("ethers");
+const { fetchLogs } = require("./roleHistory");
+const { describeDuration, formatTokens } = require("./units");
+
+const GOVERNANCE_ABI = [
+  "function justToken() view returns (address)",
+  "function timelock() view returns (address)",
+  "function getProposalState(uint256 proposalId) view returns (uint8)",
+  "event ProposalEvent(uint256 indexed proposalId, uint8 indexed eventType, address indexed actor, bytes data)",
+  "event VoteCast(uint256 indexed proposalId, address indexed voter, uint8 support, uint256 votingPower)"
+];
+
+const TOKEN_ABI = [
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function getCurrentSnapshotId() view returns (uint256)",
+  "function getSnapshotMetrics(uint256 snapshotId) view returns (uint256 totalSupply, uint256 activeHolders, uint256 activeDelegates, uint256 totalDelegatedTokens, uint256 percentageDelegated, address topDelegate, uint256 topDelegateTokens)"
+];
+
+const TIMELOCK_ABI = [
+  "function minDelay() view returns (uint256)",
+  "function maxDelay() view returns (uint256)"
+];
+
+// JustGovernance.ProposalState, and the ProposalEvent type of a new proposal
+const PROPOSAL_STATES = ["Active", "Canceled", "Defeated", "Succeeded", "Queued", "Executed", "Expired"];
+const PROPOSAL_CREATED = 0;
+const PROPOSAL_QUEUED = 2;
+
+// States whose outcome still follows the current quorum
+const QUORUM_STATES = ["Active", "Defeated", "Succeeded", "Queued"];
+
+// Proposals in QUORUM_STATES with their vote totals, from the creation and VoteCast events
+async function readQuorumProposals(provider, governance, options) {
+  const chunkSize = options.chunkSize || Number(process.env.LOG_CHUNK_SIZE || 10000);
+  const fromBlock = options.fromBlock ?? 0;
+  const toBlock = await provider.getBlockNumber();
+  const createdTopics = [
+    governance.interface.getEvent("ProposalEvent").topicHash,
+    null,
+    ethers.zeroPadValue(ethers.toBeHex(PROPOSAL_CREATED), 32)
+  ];
+
+  const proposals = [];
+  for (const log of await fetchLogs(provider, governance.target, createdTopics, fromBlock, toBlock, chunkSize)) {
+    const id = BigInt(log.topics[1]);
+    const state = PROPOSAL_STATES[Number(await governance.getProposalState(id))];
+    if (QUORUM_STATES.includes(state)) {
+      proposals.push({ id: id.toString(), state, queued: state === "Queued", yesVotes: 0n, noVotes: 0n, abstainVotes: 0n });
+    }
+  }
+  if (proposals.length === 0) {
+    return proposals;
+  }
+
+  // A queued proposal defeated by a raised quorum reads as Defeated; it is queued again once it passes
+  const queuedTopics = [createdTopics[0], null, ethers.zeroPadValue(ethers.toBeHex(PROPOSAL_QUEUED), 32)];
+  for (const log of await fetchLogs(provider, governance.target, queuedTopics, fromBlock, toBlock, chunkSize)) {
+    const proposal = proposals.find(p => p.id === BigInt(log.topics[1]).toString());
+    if (proposal) proposal.queued = true;
+  }
+
+  const voteTopics = [governance.interface.getEvent("VoteCast").topicHash];
+  for (const log of await fetchLogs(provider, governance.target, voteTopics, fromBlock, toBlock, chunkSize)) {
+    const { proposalId, support, votingPower } = governance.interface.parseLog(log).args;
+    const proposal = proposals.find(p => p.id === proposalId.toString());
+    if (!proposal) continue;
+    if (Number(support) === 0) proposal.noVotes += votingPower;
+    else if (Number(support) === 1) proposal.yesVotes += votingPower;
+    else proposal.abstainVotes += votingPower;
+  }
+  return proposals;
+}
+
+// Live state the parameters are checked against. options.fromBlock is where to start looking for
+// proposals (the governance deployment block).
+async function readGovernanceState(provider, governanceAddress, options = {}) {
+  const governance = new ethers.Contract(governanceAddress, GOVERNANCE_ABI, provider);
+  const token = new ethers.Contract(await governance.justToken(), TOKEN_ABI, provider);
+  const timelockAddress = await governance.timelock();
+  const timelock = new ethers.Contract(timelockAddress, TIMELOCK_ABI, provider);
+
+  const total = await token.totalSupply();
+  const held = (await token.balanceOf(governanceAddress)) + (await token.balanceOf(timelockAddress));
+  const snapshotId = await token.getCurrentSnapshotId();
+  const delegated = snapshotId > 0n ? (await token.getSnapshotMetrics(snapshotId)).totalDelegatedTokens : null;
+
+  return {
+    supply: { total, held, circulating: total - held, delegated, snapshotId },
+    timelock: { address: timelockAddress, minDelay: await timelock.minDelay(), maxDelay: await timelock.maxDelay() },
+    proposals: await readQuorumProposals(provider, governance, options)
+  };
+}
+
+// Outcome of an ended vote under a quorum, as getProposalState decides it
+function voteOutcome(proposal, quorum) {
+  const total = proposal.yesVotes + proposal.noVotes + proposal.abstainVotes;
+  if (proposal.yesVotes <= proposal.noVotes || total < quorum) {
+    return "Defeated";
+  }
+  return proposal.queued ? "Queued" : "Succeeded";
+}
+
+// Compare the parameters after a change (next) with the current ones and the live state. Both
+// parameter sets are keyed by govParams field with bigint values.
+function checkGovernanceParams(next, current, state) {
+  const findings = [];
+  const warn = (param, message) => findings.push({ level: "warning", param, message });
+  const info = (param, message) => findings.push({ level: "info", param, message });
+  const changed = (...fields) => fields.some(field => next[field] !== current[field]);
+  const { supply, timelock, proposals } = state;
+
+  if (changed("quorum")) {
+    if (next.quorum > supply.total) {
+      warn("quorum", `Quorum of ${formatTokens(next.quorum)} exceeds the total supply of ${formatTokens(supply.total)}; no proposal could pass`);
+    } else if (next.quorum > supply.circulating) {
+      warn("quorum", `Quorum of ${formatTokens(next.quorum)} exceeds the circulating supply of ${formatTokens(supply.circulating)} (${formatTokens(supply.held)} sit in the governance and timelock contracts)`);
+    }
+    if (supply.delegated !== null && next.quorum > supply.delegated) {
+      warn("quorum", `Quorum of ${formatTokens(next.quorum)} exceeds the ${formatTokens(supply.delegated)} delegated at snapshot ${supply.snapshotId}; reaching it needs holders who have not delegated to vote`);
+    }
+
+    for (const proposal of proposals) {
+      const total = proposal.yesVotes + proposal.noVotes + proposal.abstainVotes;
+      if (proposal.state === "Active") {
+        if (total >= current.quorum && total < next.quorum) {
+          warn("quorum", `Open proposal #${proposal.id} has ${formatTokens(total)} of votes, enough for the current quorum but not the new one`);
+        }
+      } else if (proposal.state === "Queued" && voteOutcome(proposal, next.quorum) === "Defeated") {
+        warn("quorum", `Queued proposal #${proposal.id} has ${formatTokens(total)} of votes and would read as Defeated under the new quorum; executeProposal would revert with NotQueued until the quorum is lowered again`);
+      } else if (voteOutcome(proposal, next.quorum) !== proposal.state) {
+        const outcome = voteOutcome(proposal, next.quorum);
+        warn("quorum", `Proposal #${proposal.id} would change from ${proposal.state} to ${outcome}${outcome === "Succeeded" ? " and could be queued" : ""}`);
+      }
+    }
+  }
+
+  if (changed("proposalCreationThreshold") && next.proposalCreationThreshold > supply.circulating) {
+    warn("proposalCreationThreshold", `Proposal threshold of ${formatTokens(next.proposalCreationThreshold)} exceeds the circulating supply of ${formatTokens(supply.circulating)}; nobody could create a proposal`);
+  }
+  if (changed("proposalStake", "proposalCreationThreshold") && next.proposalStake > next.proposalCreationThreshold) {
+    warn("proposalStake", `Proposal stake of ${formatTokens(next.proposalStake)} exceeds the proposal threshold of ${formatTokens(next.proposalCreationThreshold)}`);
+  }
+
+  if (changed("timelockDelay")) {
+    if (next.timelockDelay < timelock.minDelay) {
+      warn("timelockDelay", `Timelock delay of ${describeDuration(next.timelockDelay)} is below the timelock's minDelay of ${describeDuration(timelock.minDelay)}; queueProposal would revert with DelayTooShort`);
+    } else if (next.timelockDelay > timelock.maxDelay) {
+      warn("timelockDelay", `Timelock delay of ${describeDuration(next.timelockDelay)} is above the timelock's maxDelay of ${describeDuration(timelock.maxDelay)}; queueProposal would revert with DelayTooLong`);
+    }
+  }
+
+  if (next.votingDuration < current.votingDuration) {
+    const open = proposals.filter(proposal => proposal.state === "Active");
+    if (open.length > 0) {
+      info("votingDuration", `${open.length} open proposal(s) keep their deadlines; the shorter voting duration applies to proposals created afterwards`);
+    }
+  }
+  return findings;
+}
+
+function printFindings(findings) {
+  const warnings = findings.filter(finding => finding.level === "warning").length;
+  console.log(`\n=== Consistency checks: ${warnings} warning(s) ===`);
+  if (findings.length === 0) {
+    console.log("  No conflicts with the rest of the system");
+  }
+  for (const finding of findings) {
+    console.log(`  ${finding.level === "warning" ? "⚠️" : "ℹ️"} ${finding.message}`);
+  }
+}
+
+module.exports = {
+  PROPOSAL_STATES,
+  readGovernanceState,
+  checkGovernanceParams,
+  printFindings
+};
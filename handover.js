@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+// handover.js - Two-phase handover of DEFAULT_ADMIN_ROLE and ADMIN_ROLE away from the deployer
+//
+//   npx hardhat run handover.js --network sepolia                          # plan: holders and proofs
+//   HANDOVER_PHASE=grant npx hardhat run handover.js --network sepolia     # grant successors, prove them
+//   HANDOVER_PHASE=revoke npx hardhat run handover.js --network sepolia    # re-prove, then revoke the deployer
+//
+// Run as the outgoing admin (the deployer). MULTISIG_ADDRESS names the multisig, HANDOVER_SUCCESSORS
+// overrides successors (see adminHandover.js) and HANDOVER_CONTRACTS limits the run to a comma-separated
+// list of contract keys. Each run writes a summary signed by the running account to
+// deployments/<network>.handover-<phase>.json. A failed proof or a role left behind exits with code 1.
+
+const { ethers, network } = require("hardhat");
+const { CONTRACT_KEYS, getReportPath, writeJsonFile } = require("./deploymentManifest");
+const { guardDeployment } = require("./chainGuard");
+const { getAccountLabels, attachRoleContracts } = require("./roleMatrix");
+const {
+  planHandover,
+  proveHandover,
+  grantSuccessors,
+  revokeOutgoing,
+  printHandover,
+  signHandoverSummary
+} = require("./adminHandover");
+
+const PHASES = ["plan", "grant", "revoke"];
+
+function getHandoverContracts() {
+  if (!process.env.HANDOVER_CONTRACTS) {
+    return CONTRACT_KEYS;
+  }
+  const keys = process.env.HANDOVER_CONTRACTS.split(",").map(key => key.trim());
+  const unknown = keys.filter(key => !CONTRACT_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`HANDOVER_CONTRACTS: unknown contract(s) ${unknown.join(", ")}`);
+  }
+  return keys;
+}
+
+async function main() {
+  const phase = process.env.HANDOVER_PHASE || "plan";
+  if (!PHASES.includes(phase)) {
+    throw new Error(`HANDOVER_PHASE must be one of ${PHASES.join(", ")} (got "${phase}")`);
+  }
+
+  const keys = getHandoverContracts();
+  const { manifest, chainId } = await guardDeployment(ethers.provider, network.name, { keys, sends: phase !== "plan" });
+  const [signer] = await ethers.getSigners();
+  const labels = getAccountLabels(manifest, process.env.MULTISIG_ADDRESS);
+  const contracts = await attachRoleContracts(manifest, signer);
+  console.log(`Admin handover ${phase} on ${network.name} as ${signer.address}`);
+
+  const handover = await planHandover(contracts, labels, signer.address, keys);
+  let ok;
+  if (phase === "plan") {
+    ok = await proveHandover(handover, contracts);
+  } else if (phase === "grant") {
+    ok = await grantSuccessors(handover, contracts, signer);
+  } else {
+    await revokeOutgoing(handover, contracts, signer);
+    ok = handover.entries.every(entry => entry.successorHolds && !entry.outgoingHolds);
+  }
+  printHandover(handover);
+
+  if (phase === "grant" && ok) {
+    console.log("\n✅ Every successor holds its roles and can use them; run HANDOVER_PHASE=revoke to remove the deployer");
+  } else if (phase === "revoke" && ok) {
+    console.log("\n✅ Handover complete: the deployer holds no admin role on the handed-over contracts");
+  } else if (phase === "plan") {
+    console.log(`\n${ok ? "Every successor can already use its roles" : "Some successors cannot use their roles yet; run HANDOVER_PHASE=grant"}`);
+  } else {
+    console.log("\n❌ Handover is not complete (see above)");
+    process.exitCode = 1;
+  }
+
+  const summary = await signHandoverSummary({
+    network: network.name,
+    chainId,
+    phase,
+    completedAt: new Date().toISOString(),
+    complete: ok,
+    ...handover
+  }, signer);
+  const reportPath = writeJsonFile(getReportPath(network.name, `handover-${phase}`), summary);
+  console.log(`Signed summary written to ${reportPath} (digest ${summary.digest})`);
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("Admin handover failed:", error);
+    process.exit(1);
+  });
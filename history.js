@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+// history.js - Timeline of configuration changes across all contracts of a deployment
+//
+//   npx hardhat run history.js --network sepolia
+//   HISTORY_FILTER=quorum npx hardhat run history.js --network sepolia    # only matching settings
+//
+// Rebuilt from event logs (see configHistory.js): governance parameters, the proposal allowlist,
+// timelock delays, threat levels and executor threshold, and token supply cap, lock durations and
+// timelock. Each entry shows block time, transaction sender, and old and new values.
+//
+// Environment: HISTORY_FILTER (matches contract, event, setting or subject), HISTORY_FROM_BLOCK and
+// HISTORY_TO_BLOCK (default: the earliest deployment block in the manifest to the latest block),
+// LOG_CHUNK_SIZE, MULTISIG_ADDRESS. The timeline is written to deployments/<network>.config-history.json
+// and deployments/<network>.config-history.csv.
+
+const fs = require("fs");
+const { ethers, network } = require("hardhat");
+const { CONTRACT_KEYS, requireManifest, getAddresses, getReportPath, writeJsonFile } = require("./deploymentManifest");
+const { getAccountLabels, describeAccount } = require("./roleMatrix");
+const { loadArtifactFunctions } = require("./functionSelectors");
+const { describeSelector } = require("./governanceAllowlist");
+const { buildConfigHistory, filterHistory, toCsv, printHistory } = require("./configHistory");
+
+async function main() {
+  const manifest = requireManifest(network.name);
+  const addresses = getAddresses(network.name);
+  const labels = getAccountLabels(manifest, process.env.MULTISIG_ADDRESS);
+  const functions = await loadArtifactFunctions();
+  const describe = {
+    account: address => describeAccount(address, labels),
+    selector: selector => describeSelector(selector, functions)
+  };
+
+  const deployBlocks = CONTRACT_KEYS.map(key => manifest.contracts[key].blockNumber).filter(n => Number.isInteger(n));
+  const fromBlock = process.env.HISTORY_FROM_BLOCK
+    ? Number(process.env.HISTORY_FROM_BLOCK)
+    : (deployBlocks.length > 0 ? Math.min(...deployBlocks) : 0);
+  const toBlock = process.env.HISTORY_TO_BLOCK ? Number(process.env.HISTORY_TO_BLOCK) : undefined;
+
+  const history = await buildConfigHistory(ethers.provider, addresses, { fromBlock, toBlock, describe });
+  console.log(`Configuration events replayed from block ${history.fromBlock} to ${history.toBlock}`);
+  const entries = filterHistory(history.entries, process.env.HISTORY_FILTER);
+  if (process.env.HISTORY_FILTER) {
+    console.log(`${entries.length} of ${history.entries.length} change(s) match "${process.env.HISTORY_FILTER}"`);
+  }
+  printHistory(entries, describe);
+
+  const reportPath = writeJsonFile(getReportPath(network.name, "config-history"), {
+    network: network.name,
+    generatedAt: new Date().toISOString(),
+    fromBlock: history.fromBlock,
+    toBlock: history.toBlock,
+    filter: process.env.HISTORY_FILTER || null,
+    entries
+  });
+  const csvPath = reportPath.replace(/\.json$/, ".csv");
+  fs.writeFileSync(csvPath, toCsv(entries));
+  console.log(`\nTimeline written to ${reportPath} and ${csvPath}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Configuration history failed:", error);
+    process.exit(1);
+  });
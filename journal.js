@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+// journal.js - File-backed record of named steps so long-running scripts can resume
+//
+// Every step is stored under its id with a status (started, completed, skipped, failed),
+// timestamps and whatever the step returned (tx hashes, addresses). A re-run asks the
+// journal which steps are already done and continues from the first one that is not.
+
+const fs = require("fs");
+const { writeJsonFile } = require("./deploymentManifest");
+
+const DONE_STATUSES = ["completed", "skipped"];
+
+// Open (or create) the journal stored at filePath. meta is only used for a new journal, except that
+// a journal recorded on another chain than meta.chainId is refused: its steps did not happen here.
+function openJournal(filePath, meta = {}) {
+  let data;
+  if (fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (meta.chainId !== undefined && data.chainId !== undefined && data.chainId !== meta.chainId) {
+      throw new Error(
+        `Journal ${filePath} was recorded on chain ${data.chainId}, not the connected chain ${meta.chainId}. ` +
+        "Check the selected network, or remove the journal to start over."
+      );
+    }
+  } else {
+    data = { ...meta, createdAt: new Date().toISOString(), steps: {} };
+  }
+
+  function save() {
+    data.updatedAt = new Date().toISOString();
+    writeJsonFile(filePath, data);
+  }
+
+  function update(stepId, fields) {
+    data.steps[stepId] = {
+      ...data.steps[stepId],
+      ...fields,
+      updatedAt: new Date().toISOString()
+    };
+    save();
+    return data.steps[stepId];
+  }
+
+  return {
+    path: filePath,
+
+    get(stepId) {
+      return data.steps[stepId] || null;
+    },
+
+    isComplete(stepId) {
+      const step = data.steps[stepId];
+      return !!step && DONE_STATUSES.includes(step.status);
+    },
+
+    start(stepId) {
+      const previous = data.steps[stepId];
+      return update(stepId, {
+        status: "started",
+        attempts: (previous && previous.attempts ? previous.attempts : 0) + 1,
+        startedAt: new Date().toISOString(),
+        error: undefined
+      });
+    },
+
+    complete(stepId, result = {}) {
+      return update(stepId, { status: "completed", completedAt: new Date().toISOString(), result });
+    },
+
+    // Add details (e.g. the hash of a transaction just sent) without changing the status
+    record(stepId, fields) {
+      return update(stepId, fields);
+    },
+
+    skip(stepId, reason) {
+      return update(stepId, { status: "skipped", completedAt: new Date().toISOString(), reason });
+    },
+
+    fail(stepId, error) {
+      return update(stepId, { status: "failed", error: error && error.message ? error.message : String(error) });
+    },
+
+    // Ids of steps that were started in an earlier run but never finished
+    interrupted() {
+      return Object.keys(data.steps).filter(id => data.steps[id].status === "started");
+    },
+
+    entries() {
+      return data.steps;
+    }
+  };
+}
+
+module.exports = { openJournal };
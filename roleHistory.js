@@ -0,0 +1,150 @@
+// SPDX-License-Identifier: MIT
+// roleHistory.js - Rebuild the current holders of every role from event logs
+//
+// Replays, in chain order, every role event the five contracts emit:
+//   - RoleGranted/RoleRevoked(bytes32,address,address) from OpenZeppelin AccessControl (all contracts)
+//   - RoleGranted/RoleRevoked(bytes32,address) emitted by JustTimelock's grantContractRole/revokeContractRole
+//   - RoleChange(bytes32,address,bool) emitted by JustGovernance's grantContractRole/revokeContractRole/updateGuardian
+// The custom events always follow the AccessControl event of the same call, so replaying all of them
+// gives the same membership while recording which entry point changed a role.
+//
+// Logs are fetched in block ranges of LOG_CHUNK_SIZE (default 10000), halved whenever the node
+// rejects a range as too large.
+
+const { ethers } = require("ethers");
+const { CONTRACT_KEYS } = require("./deploymentManifest");
+
+// Every role constant defined by the five contracts, so role ids can be shown by name
+const KNOWN_ROLES = [
+  "DEFAULT_ADMIN_ROLE",
+  "ADMIN_ROLE",
+  "GUARDIAN_ROLE",
+  "GOVERNANCE_ROLE",
+  "MINTER_ROLE",
+  "PROPOSER_ROLE",
+  "EXECUTOR_ROLE",
+  "CANCELLER_ROLE",
+  "ANALYTICS_ROLE",
+  "TIMELOCK_ADMIN_ROLE"
+];
+
+const ROLE_EVENTS = new ethers.Interface([
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleGranted(bytes32 indexed role, address indexed account)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account)",
+  "event RoleChange(bytes32 indexed role, address indexed account, bool isGranted)"
+]);
+
+const EVENT_SIGNATURES = [
+  "RoleGranted(bytes32,address,address)",
+  "RoleRevoked(bytes32,address,address)",
+  "RoleGranted(bytes32,address)",
+  "RoleRevoked(bytes32,address)",
+  "RoleChange(bytes32,address,bool)"
+];
+const EVENT_TOPICS = EVENT_SIGNATURES.map(signature => ethers.id(signature));
+
+function roleName(roleId) {
+  const name = KNOWN_ROLES.find(role => (role === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(role)) === roleId);
+  return name || roleId;
+}
+
+// Logs of one contract matching topics between two blocks, splitting ranges the node refuses
+async function fetchLogs(provider, address, topics, fromBlock, toBlock, chunkSize) {
+  const logs = [];
+  let start = fromBlock;
+  let size = chunkSize;
+  while (start <= toBlock) {
+    const end = Math.min(start + size - 1, toBlock);
+    try {
+      logs.push(...await provider.getLogs({ address, topics, fromBlock: start, toBlock: end }));
+      start = end + 1;
+    } catch (error) {
+      if (size === 1) {
+        throw error;
+      }
+      size = Math.max(1, Math.floor(size / 2));
+      console.log(`Log query for ${address} failed (${error.shortMessage || error.message}); retrying with ${size} blocks`);
+    }
+  }
+  return logs;
+}
+
+// All role logs of one contract between two blocks
+async function fetchRoleLogs(provider, address, fromBlock, toBlock, chunkSize) {
+  return fetchLogs(provider, address, [EVENT_TOPICS], fromBlock, toBlock, chunkSize);
+}
+
+// Turn a raw log into { role, account, granted, source, sender }
+function decodeRoleLog(log) {
+  const parsed = ROLE_EVENTS.parseLog(log);
+  const signature = parsed.signature;
+  if (signature === "RoleChange(bytes32,address,bool)") {
+    return { role: parsed.args.role, account: parsed.args.account, granted: parsed.args.isGranted, source: "RoleChange" };
+  }
+  const granted = parsed.name === "RoleGranted";
+  if (parsed.args.length === 3) {
+    return { role: parsed.args.role, account: parsed.args.account, granted, source: parsed.name, sender: parsed.args.sender };
+  }
+  return { role: parsed.args.role, account: parsed.args.account, granted, source: `${parsed.name} (grantContractRole/revokeContractRole)` };
+}
+
+// Current membership of every role on every contract, rebuilt from logs.
+// Returns { fromBlock, toBlock, contracts: { key: { roleName: [{ account, grantedAt, txHash, sender, sources }] } } }
+async function rebuildRoleMembership(provider, manifest, options = {}) {
+  const chunkSize = options.chunkSize || Number(process.env.LOG_CHUNK_SIZE || 10000);
+  const toBlock = options.toBlock ?? await provider.getBlockNumber();
+  const deployBlocks = CONTRACT_KEYS.map(key => manifest.contracts[key].blockNumber).filter(n => Number.isInteger(n));
+  const fromBlock = options.fromBlock ?? (deployBlocks.length === CONTRACT_KEYS.length ? Math.min(...deployBlocks) : 0);
+
+  const contracts = {};
+  for (const key of CONTRACT_KEYS) {
+    const logs = await fetchRoleLogs(provider, manifest.contracts[key].proxy, fromBlock, toBlock, chunkSize);
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    // role id -> lowercased account -> holder record
+    const members = new Map();
+    for (const log of logs) {
+      const event = decodeRoleLog(log);
+      if (!members.has(event.role)) {
+        members.set(event.role, new Map());
+      }
+      const holders = members.get(event.role);
+      const id = event.account.toLowerCase();
+      if (!event.granted) {
+        holders.delete(id);
+        continue;
+      }
+      const existing = holders.get(id);
+      if (existing && existing.txHash === log.transactionHash) {
+        // The custom event of the same call
+        existing.sources.push(event.source);
+      } else if (!existing) {
+        holders.set(id, {
+          account: ethers.getAddress(event.account),
+          grantedAt: log.blockNumber,
+          txHash: log.transactionHash,
+          sender: event.sender || null,
+          sources: [event.source]
+        });
+      }
+    }
+
+    contracts[key] = {};
+    for (const [role, holders] of members) {
+      if (holders.size > 0) {
+        contracts[key][roleName(role)] = [...holders.values()];
+      }
+    }
+  }
+  return { fromBlock, toBlock, contracts };
+}
+
+module.exports = {
+  KNOWN_ROLES,
+  roleName,
+  fetchLogs,
+  fetchRoleLogs,
+  rebuildRoleMembership
+};
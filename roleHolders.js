@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+// roleHolders.js - List every current role holder of a deployment and flag the unexpected ones
+//
+//   npx hardhat run roleHolders.js --network sepolia
+//
+// Membership is rebuilt from role event logs (see roleHistory.js), so it also covers accounts
+// nobody thought to probe with hasRole. Each holder is compared with rolePolicy.json:
+//   unexpected  holds a role the policy manages, but is not listed for it
+//   unmanaged   holds a role the policy does not list for that contract at all
+//   missing     listed in the policy but not holding the role
+// DEFAULT_ADMIN_ROLE and ADMIN_ROLE are not in the policy; they are expected on the deployer or on its
+// successor in the admin handover (see adminHandover.js), whichever side of the handover a contract is on.
+// The rebuilt member count of every role is also checked against getRoleMemberCount.
+//
+// Environment: MULTISIG_ADDRESS, ROLE_POLICY_FILE, LOG_CHUNK_SIZE, and ROLE_HISTORY_FROM_BLOCK to
+// scan from an earlier block than the deployment blocks in the manifest.
+// The report is written to deployments/<network>.role-holders.json. Exits with code 1 if any
+// unexpected or unmanaged holder or count mismatch is found.
+
+const { ethers, network } = require("hardhat");
+const { CONTRACT_KEYS, requireManifest, getReportPath, writeJsonFile } = require("./deploymentManifest");
+const {
+  roleId,
+  loadRolePolicy,
+  getAccountLabels,
+  resolveAccount,
+  describeAccount,
+  attachRoleContracts
+} = require("./roleMatrix");
+const { rebuildRoleMembership } = require("./roleHistory");
+const { HANDOVER_ROLES, getSuccessors } = require("./adminHandover");
+
+async function main() {
+  const manifest = requireManifest(network.name);
+  const policy = loadRolePolicy();
+  const labels = getAccountLabels(manifest, process.env.MULTISIG_ADDRESS);
+  const contracts = await attachRoleContracts(manifest);
+  const successors = getSuccessors();
+
+  const fromBlock = process.env.ROLE_HISTORY_FROM_BLOCK ? Number(process.env.ROLE_HISTORY_FROM_BLOCK) : undefined;
+  const membership = await rebuildRoleMembership(ethers.provider, manifest, { fromBlock });
+  console.log(`Role events replayed from block ${membership.fromBlock} to ${membership.toBlock}`);
+
+  const findings = [];
+  for (const key of CONTRACT_KEYS) {
+    const policyRoles = policy.roles[key] || {};
+    const actualRoles = membership.contracts[key];
+    console.log(`\n- ${key} -`);
+
+    const roleNames = [...new Set([...Object.keys(actualRoles), ...Object.keys(policyRoles)])];
+    for (const role of roleNames) {
+      const holders = actualRoles[role] || [];
+      const handedOver = HANDOVER_ROLES.includes(role);
+      let expected = policyRoles[role] ? policyRoles[role].map(account => resolveAccount(account, labels)) : null;
+      if (handedOver) {
+        expected = [labels.deployer, resolveAccount(successors[key], labels)];
+      }
+      console.log(`${role}: ${holders.length} holder(s)`);
+
+      for (const holder of holders) {
+        let flag = null;
+        if (!expected) {
+          flag = "unmanaged";
+        } else if (!expected.some(account => account.toLowerCase() === holder.account.toLowerCase())) {
+          flag = "unexpected";
+        }
+        const via = holder.sender ? `, granted by ${holder.sender}` : "";
+        console.log(`  ${flag ? "❌" : "✅"} ${describeAccount(holder.account, labels)} since block ${holder.grantedAt}${via}${flag ? ` [${flag}]` : ""}`);
+        if (flag) {
+          findings.push({ contract: key, role, account: holder.account, type: flag, txHash: holder.txHash });
+        }
+      }
+      for (const account of handedOver ? [] : expected || []) {
+        if (!holders.some(holder => holder.account.toLowerCase() === account.toLowerCase())) {
+          console.log(`  ⚠️ ${describeAccount(account, labels)} [missing]`);
+          findings.push({ contract: key, role, account, type: "missing" });
+        }
+      }
+
+      // Every contract is AccessControlEnumerable, so the count doubles as a check on the replay
+      const onChainCount = Number(await contracts[key].getRoleMemberCount(role.startsWith("0x") ? role : roleId(role)));
+      if (onChainCount !== holders.length) {
+        console.log(`  ❌ getRoleMemberCount reports ${onChainCount}, events give ${holders.length}`);
+        findings.push({ contract: key, role, type: "count-mismatch", onChainCount, rebuiltCount: holders.length });
+      }
+    }
+  }
+
+  const problems = findings.filter(finding => finding.type !== "missing");
+  console.log(`\n${problems.length} unexpected holder(s) or mismatch(es), ${findings.length - problems.length} missing assignment(s)`);
+
+  const reportPath = writeJsonFile(getReportPath(network.name, "role-holders"), {
+    network: network.name,
+    checkedAt: new Date().toISOString(),
+    fromBlock: membership.fromBlock,
+    toBlock: membership.toBlock,
+    holders: membership.contracts,
+    findings
+  });
+  console.log(`Report written to ${reportPath}`);
+
+  if (problems.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("Role holder scan failed:", error);
+    process.exit(1);
+  });
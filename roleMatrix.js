@@ -0,0 +1,218 @@
+// SPDX-License-Identifier: MIT
+// roleMatrix.js - Declarative role assignments for the five JustDAO contracts
+//
+// rolePolicy.json (or the file named by ROLE_POLICY_FILE) lists, per contract and role, every
+// account that should hold the role. A listed role is managed exactly: missing holders are granted
+// and any other holder is revoked. Roles a contract does not list are left alone. DEFAULT_ADMIN_ROLE
+// and ADMIN_ROLE cannot be listed: they pass from the deployer to its successors in the admin handover
+// (see adminHandover.js), and a fixed list of holders would undo the handover or preempt it.
+//
+// Accounts are written as "deployer" (the deployer in the manifest), "multisig" (MULTISIG_ADDRESS,
+// falling back to the deployer like setup.js does), a contract key such as "JustTimelock", or an address.
+//
+// Grants always run before revocations. Revocations of the signer's own roles run last, so the
+// signer keeps the permissions the rest of the plan needs.
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { CONTRACT_KEYS, FACTORY_NAMES } = require("./deploymentManifest");
+const { getFeeOverrides, waitForTransaction } = require("./fees");
+
+const POLICY_FILE = process.env.ROLE_POLICY_FILE || path.join(__dirname, "rolePolicy.json");
+
+// Roles left to the admin handover
+const ADMIN_ROLES = ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE"];
+
+function roleId(roleName) {
+  return roleName === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(roleName);
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// Read and check the shape of the policy file
+function loadRolePolicy(filePath = POLICY_FILE) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Role policy file not found at ${filePath}`);
+  }
+  const policy = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const errors = [];
+  if (!policy.roles || typeof policy.roles !== "object") {
+    errors.push('the file must contain a "roles" object');
+  } else {
+    for (const [contractKey, roles] of Object.entries(policy.roles)) {
+      if (!CONTRACT_KEYS.includes(contractKey)) {
+        errors.push(`unknown contract "${contractKey}"`);
+        continue;
+      }
+      for (const [roleName, accounts] of Object.entries(roles)) {
+        if (!/^[A-Z_]+_ROLE$/.test(roleName)) {
+          errors.push(`${contractKey}: "${roleName}" is not a role name`);
+        }
+        if (!Array.isArray(accounts)) {
+          errors.push(`${contractKey}.${roleName} must be an array of accounts`);
+        }
+        if (ADMIN_ROLES.includes(roleName)) {
+          errors.push(`${contractKey}.${roleName} is moved by the admin handover (see adminHandover.js); remove it from the policy`);
+        }
+      }
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Role policy ${filePath} is invalid:\n  - ${errors.join("\n  - ")}`);
+  }
+  return policy;
+}
+
+// Labels the policy may use, mapped to addresses
+function getAccountLabels(manifest, multisigAddress) {
+  const labels = {
+    deployer: manifest.deployer,
+    multisig: multisigAddress || manifest.deployer
+  };
+  for (const key of CONTRACT_KEYS) {
+    labels[key] = manifest.contracts[key].proxy;
+  }
+  return labels;
+}
+
+function resolveAccount(account, labels) {
+  if (labels[account]) {
+    return labels[account];
+  }
+  if (ethers.isAddress(account)) {
+    return ethers.getAddress(account);
+  }
+  throw new Error(`Unknown account "${account}" in role policy. Use deployer, multisig, a contract key or an address.`);
+}
+
+// Name an address with its policy label where it has one
+function describeAccount(address, labels) {
+  const names = Object.keys(labels).filter(label => sameAddress(labels[label], address));
+  return names.length > 0 ? `${names.join("/")} (${address})` : address;
+}
+
+async function attachRoleContracts(manifest, signer) {
+  const contracts = {};
+  for (const key of CONTRACT_KEYS) {
+    contracts[key] = (await ethers.getContractFactory(FACTORY_NAMES[key], signer)).attach(manifest.contracts[key].proxy);
+  }
+  return contracts;
+}
+
+// Current holders of a role, read through AccessControlEnumerable
+async function getRoleHolders(contract, role) {
+  const count = Number(await contract.getRoleMemberCount(role));
+  const holders = [];
+  for (let i = 0; i < count; i++) {
+    holders.push(await contract.getRoleMember(role, i));
+  }
+  return holders;
+}
+
+// Compare the policy with the chain. Every difference is drift and becomes a grant or a revocation.
+async function planRoles(policy, contracts, labels, signerAddress) {
+  const grants = [];
+  const revokes = [];
+  let inSync = 0;
+
+  for (const [contractKey, roles] of Object.entries(policy.roles)) {
+    const contract = contracts[contractKey];
+    for (const [roleName, accounts] of Object.entries(roles)) {
+      const role = roleId(roleName);
+      const wanted = [...new Set(accounts.map(account => resolveAccount(account, labels)))];
+      const holders = await getRoleHolders(contract, role);
+      const adminRole = await contract.getRoleAdmin(role);
+      const canChange = await contract.hasRole(adminRole, signerAddress);
+      const change = (action, account) => ({
+        contract: contractKey,
+        role: roleName,
+        account,
+        label: describeAccount(account, labels),
+        action,
+        executable: canChange
+      });
+
+      for (const account of wanted) {
+        if (holders.some(holder => sameAddress(holder, account))) {
+          inSync++;
+        } else {
+          grants.push(change("grant", account));
+        }
+      }
+
+      for (const holder of holders) {
+        if (!wanted.some(account => sameAddress(account, holder))) {
+          revokes.push(change("revoke", holder));
+        }
+      }
+    }
+  }
+
+  // The signer's own revocations go last
+  const rank = change => (sameAddress(change.account, signerAddress) ? 1 : 0);
+  revokes.sort((a, b) => rank(a) - rank(b));
+
+  return { grants, revokes, inSync, changes: [...grants, ...revokes] };
+}
+
+function printRolePlan(plan) {
+  console.log(`\n=== Role matrix: ${plan.inSync} assignments in sync, ${plan.changes.length} drifted ===`);
+  for (const change of plan.changes) {
+    const symbol = change.action === "grant" ? "+" : "-";
+    const note = change.executable ? "" : "  (signer lacks the role's admin role; needs governance)";
+    console.log(`  ${symbol} ${change.contract}.${change.role} ${change.action === "grant" ? "to" : "from"} ${change.label}${note}`);
+  }
+  if (plan.changes.length === 0) {
+    console.log("  No drift: every contract matches the role policy");
+  }
+}
+
+// The grantRole/revokeRole calls the plan needs, in order: [{ contract, method, args, description }].
+// Changes the signer may not make are left out.
+function getRolePlanCalls(plan) {
+  return plan.changes.filter(change => change.executable).map(change => ({
+    contract: change.contract,
+    method: change.action === "grant" ? "grantRole" : "revokeRole",
+    args: [roleId(change.role), change.account],
+    description: `${change.action === "grant" ? "Grant" : "Revoke"} ${change.role} on ${change.contract} ${change.action === "grant" ? "to" : "from"} ${change.label}`
+  }));
+}
+
+// Send the plan's changes one at a time
+async function applyRolePlan(plan, contracts, signer) {
+  const results = [];
+  for (const change of plan.changes) {
+    const name = `${change.action} ${change.contract}.${change.role} ${change.label}`;
+    if (!change.executable) {
+      console.log(`Skipping ${name}: signer cannot change this role`);
+      results.push({ ...change, status: "skipped" });
+      continue;
+    }
+    const contract = contracts[change.contract];
+    const role = roleId(change.role);
+    console.log(`${change.action === "grant" ? "Granting" : "Revoking"} ${change.role} on ${change.contract} ${change.action === "grant" ? "to" : "from"} ${change.label}...`);
+    const method = change.action === "grant" ? "grantRole" : "revokeRole";
+    const tx = await contract[method](role, change.account, await getFeeOverrides(ethers.provider));
+    await waitForTransaction(signer, tx);
+    results.push({ ...change, status: "done", txHash: tx.hash });
+  }
+  return results;
+}
+
+module.exports = {
+  POLICY_FILE,
+  roleId,
+  loadRolePolicy,
+  getAccountLabels,
+  resolveAccount,
+  describeAccount,
+  attachRoleContracts,
+  getRoleHolders,
+  planRoles,
+  printRolePlan,
+  getRolePlanCalls,
+  applyRolePlan
+};
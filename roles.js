@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+// roles.js - Plan or apply the role matrix in rolePolicy.json against a deployment
+//
+//   npx hardhat run roles.js --network sepolia                    # plan: show drift, send nothing
+//   ROLES_MODE=apply npx hardhat run roles.js --network sepolia   # apply: grant and revoke
+//
+// Set MULTISIG_ADDRESS for the "multisig" account and ROLE_POLICY_FILE to use another policy.
+// The plan (and the outcome of an apply) is written to deployments/<network>.roles.json.
+// An apply that leaves drift behind (e.g. changes only governance may make) exits with code 1.
+
+const { ethers, network } = require("hardhat");
+const { getReportPath, writeJsonFile } = require("./deploymentManifest");
+const { guardDeployment } = require("./chainGuard");
+const {
+  loadRolePolicy,
+  getAccountLabels,
+  attachRoleContracts,
+  planRoles,
+  printRolePlan,
+  applyRolePlan
+} = require("./roleMatrix");
+
+const MODES = ["plan", "apply"];
+
+async function main() {
+  const mode = process.env.ROLES_MODE || "plan";
+  if (!MODES.includes(mode)) {
+    throw new Error(`ROLES_MODE must be one of ${MODES.join(", ")} (got "${mode}")`);
+  }
+
+  const { manifest } = await guardDeployment(ethers.provider, network.name, { sends: mode === "apply" });
+  const policy = loadRolePolicy();
+  const [signer] = await ethers.getSigners();
+  const labels = getAccountLabels(manifest, process.env.MULTISIG_ADDRESS);
+  const contracts = await attachRoleContracts(manifest, signer);
+  console.log(`Role matrix ${mode} on ${network.name} as ${signer.address}`);
+
+  const plan = await planRoles(policy, contracts, labels, signer.address);
+  printRolePlan(plan);
+
+  const report = { network: network.name, mode, signer: signer.address, checkedAt: new Date().toISOString(), plan };
+  if (mode === "apply" && plan.changes.length > 0) {
+    report.results = await applyRolePlan(plan, contracts, signer);
+    report.remaining = await planRoles(policy, contracts, labels, signer.address);
+    printRolePlan(report.remaining);
+    if (report.remaining.changes.length > 0) {
+      process.exitCode = 1;
+    }
+  }
+
+  const reportPath = writeJsonFile(getReportPath(network.name, "roles"), report);
+  console.log(`\nReport written to ${reportPath}`);
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("Role matrix failed:", error);
+    process.exit(1);
+  });
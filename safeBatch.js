@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+// safeBatch.js - Collect contract calls into a Safe Transaction Builder batch file
+//
+// When the admin account is a Safe, scripts cannot send its transactions. Instead every call is
+// added to a batch that can be loaded in the Safe{Wallet} Transaction Builder app ("Drag and drop
+// or choose a file"). Each transaction carries its method and decoded arguments so the app shows
+// them for review, and the batch description lists what each one does.
+
+// Whether an address is a contract (e.g. a Safe) rather than an EOA
+async function isContractAccount(provider, address) {
+  return (await provider.getCode(address)) !== "0x";
+}
+
+function createSafeBatch({ chainId, safeAddress, name }) {
+  return {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description: "",
+      txBuilderVersion: "1.16.5",
+      createdFromSafeAddress: safeAddress,
+      createdFromOwnerAddress: ""
+    },
+    transactions: []
+  };
+}
+
+// The Transaction Builder takes every input as a string, arrays and tuples as JSON
+function formatInputValue(value) {
+  if (typeof value === "string") return value;
+  if (typeof value === "bigint" || typeof value === "number" || typeof value === "boolean") return value.toString();
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+// Add a call on an attached contract. Returns the transaction entry.
+function addSafeTransaction(batch, contract, method, args, description, value = 0n) {
+  const fragment = contract.interface.getFunction(method);
+  const inputs = fragment.inputs.map((input, i) => ({ internalType: input.type, name: input.name || `arg${i}`, type: input.type }));
+  const transaction = {
+    to: contract.target,
+    value: value.toString(),
+    data: contract.interface.encodeFunctionData(fragment, args),
+    contractMethod: { inputs, name: fragment.name, payable: fragment.payable },
+    contractInputsValues: Object.fromEntries(inputs.map((input, i) => [input.name, formatInputValue(args[i])]))
+  };
+  batch.transactions.push(transaction);
+  const lines = batch.meta.description ? batch.meta.description.split("\n") : [];
+  lines.push(`${batch.transactions.length}. ${description}`);
+  batch.meta.description = lines.join("\n");
+  return transaction;
+}
+
+// Add calls built as { contract: key, method, args, description } against contracts keyed by contract key
+function addSafeCalls(batch, contracts, calls) {
+  for (const call of calls) {
+    addSafeTransaction(batch, contracts[call.contract], call.method, call.args, call.description);
+  }
+}
+
+function printSafeBatch(batch) {
+  console.log(`\n=== Safe batch for ${batch.meta.createdFromSafeAddress}: ${batch.transactions.length} transaction(s) ===`);
+  if (batch.meta.description) {
+    console.log(batch.meta.description.split("\n").map(line => `  ${line}`).join("\n"));
+  }
+}
+
+module.exports = {
+  isContractAccount,
+  createSafeBatch,
+  addSafeTransaction,
+  addSafeCalls,
+  printSafeBatch
+};
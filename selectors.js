@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+// selectors.js - Check the hand-listed function signatures against the compiled contracts
+//
+//   npx hardhat compile && npx hardhat run selectors.js
+//
+// Reads the ABIs of the five contracts and reports:
+//   - signatures in threatLevelPolicy.json or allowlistPolicy.json that no contract exposes
+//   - selector collisions (different signatures, same bytes4) and selectors shared by several contracts
+//   - state-changing functions with neither a threat level nor an allowlist entry (new functions
+//     nobody has decided on yet)
+// The report is written to deployments/<network>.selectors.json. Unknown signatures or collisions
+// exit with code 1.
+
+const { network } = require("hardhat");
+const { getReportPath, writeJsonFile } = require("./deploymentManifest");
+const { THREAT_LEVELS, loadThreatLevelPolicy } = require("./threatLevelPolicy");
+const {
+  loadArtifactFunctions,
+  loadAllowlistPolicy,
+  checkSignatures,
+  resolveAllowlist,
+  findSelectorCollisions,
+  findUndecidedFunctions
+} = require("./functionSelectors");
+
+function describeUnknown(entry) {
+  const where = entry.contract ? `${entry.contract}.` : "";
+  const hint = entry.exposedBy.length > 0 ? ` (exposed by ${entry.exposedBy.join(", ")})` : "";
+  return `${where}${entry.signature} -> ${entry.selector}${hint}`;
+}
+
+async function main() {
+  const functions = await loadArtifactFunctions();
+  // Only function entries are used, so contract-key addresses need not resolve
+  const threatPolicy = loadThreatLevelPolicy({});
+  const threat = checkSignatures(threatPolicy.functions.map(entry => entry.signature), functions);
+  const allowlist = resolveAllowlist(loadAllowlistPolicy(), functions);
+  const { collisions, shared } = findSelectorCollisions(functions);
+  const undecided = findUndecidedFunctions(functions, [
+    ...threat.known.map(entry => entry.selector),
+    ...allowlist.known.map(entry => entry.selector)
+  ]);
+
+  const levelOf = selector => {
+    const entry = threatPolicy.functions.find(fn => fn.selector === selector);
+    return entry ? THREAT_LEVELS[entry.level] : "none";
+  };
+  const allowedOn = selector => allowlist.known.filter(entry => entry.selector === selector).map(entry => entry.contract);
+
+  console.log(`Checked ${functions.length} functions across the compiled contracts`);
+
+  console.log(`\n=== Threat level signatures no contract exposes: ${threat.unknown.length} ===`);
+  threat.unknown.forEach(entry => console.log(`  ❌ ${describeUnknown(entry)}`));
+
+  console.log(`\n=== Allowlisted signatures the contract does not expose: ${allowlist.unknown.length} ===`);
+  allowlist.unknown.forEach(entry => console.log(`  ❌ ${describeUnknown(entry)}`));
+
+  console.log(`\n=== Selector collisions: ${collisions.length} ===`);
+  for (const collision of collisions) {
+    console.log(`  ❌ ${collision.selector}: ${collision.signatures.join(" / ")} (${collision.contracts.join(", ")})`);
+  }
+
+  console.log(`\n=== Selectors shared by several contracts (one threat level and allowlist entry for all): ${shared.length} ===`);
+  for (const entry of shared) {
+    const allowed = allowedOn(entry.selector);
+    console.log(`  ${entry.signature} ${entry.selector} on ${entry.contracts.join(", ")}: threat level ${levelOf(entry.selector)}, allowlisted for ${allowed.length > 0 ? allowed.join(", ") : "none"}`);
+  }
+
+  console.log(`\n=== State-changing functions with no threat level or allowlist decision: ${undecided.length} ===`);
+  undecided.forEach(fn => console.log(`  ⚠️ ${fn.contract}.${fn.signature} ${fn.selector}`));
+
+  const report = {
+    network: network.name,
+    checkedAt: new Date().toISOString(),
+    functions,
+    unknownThreatLevelSignatures: threat.unknown,
+    unknownAllowlistSignatures: allowlist.unknown,
+    collisions,
+    shared,
+    undecided
+  };
+  const reportPath = writeJsonFile(getReportPath(network.name, "selectors"), report);
+  console.log(`\nReport written to ${reportPath}`);
+
+  if (threat.unknown.length + allowlist.unknown.length + collisions.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("Selector check failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,280 @@
+// SPDX-License-Identifier: MIT
+// threatLevelPolicy.js - Function and address threat levels of JustTimelock, kept in a policy file
+//
+// threatLevelPolicy.json (or the file named by THREAT_LEVEL_POLICY_FILE) lists function signatures under
+// the level they belong to and gives a level per target address (a contract key or an address).
+// Only entries listed in the policy are compared and changed; the timelock's mappings cannot be
+// enumerated, so anything else set on chain is left alone.
+//
+// Changed entries are sent through setBatchFunctionThreatLevels and setBatchAddressThreatLevels,
+// at most THREAT_LEVEL_BATCH_SIZE entries (default 50) per transaction.
+//
+// getThreatLevel(target, data) returns the target's address level whenever it is above LOW and only
+// falls back to the function level otherwise, so the verifier checks the effective level of sample
+// calls as well as the stored mappings, and points out function levels an address level overrides.
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { CONTRACT_KEYS } = require("./deploymentManifest");
+const { getFeeOverrides, waitForTransaction } = require("./fees");
+
+const POLICY_FILE = process.env.THREAT_LEVEL_POLICY_FILE || path.join(__dirname, "threatLevelPolicy.json");
+const BATCH_SIZE = Number(process.env.THREAT_LEVEL_BATCH_SIZE || 50);
+
+// JustTimelockUpgradeable.ThreatLevel, in enum order
+const THREAT_LEVELS = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+function getFunctionSelector(signature) {
+  return ethers.id(signature).substring(0, 10);
+}
+
+// Read the policy and resolve it to selectors and addresses. Throws with every problem at once.
+function loadThreatLevelPolicy(addresses, filePath = POLICY_FILE) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Threat level policy file not found at ${filePath}`);
+  }
+  const policy = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const errors = [];
+  const functions = [];
+  const targets = [];
+
+  const seen = new Map();
+  for (const [levelName, signatures] of Object.entries(policy.functions || {})) {
+    const level = THREAT_LEVELS.indexOf(levelName);
+    if (level === -1) {
+      errors.push(`functions: unknown threat level "${levelName}" (use ${THREAT_LEVELS.join(", ")})`);
+      continue;
+    }
+    for (const signature of signatures) {
+      if (!/^[A-Za-z_$][\w$]*\(.*\)$/.test(signature)) {
+        errors.push(`functions.${levelName}: "${signature}" is not a function signature`);
+        continue;
+      }
+      if (seen.has(signature)) {
+        errors.push(`functions: "${signature}" is listed under both ${seen.get(signature)} and ${levelName}`);
+        continue;
+      }
+      seen.set(signature, levelName);
+      functions.push({ signature, selector: getFunctionSelector(signature), level });
+    }
+  }
+
+  // Two signatures with the same selector would silently overwrite each other on chain
+  const bySelector = new Map();
+  for (const entry of functions) {
+    const other = bySelector.get(entry.selector);
+    if (other && other.level !== entry.level) {
+      errors.push(`functions: ${entry.signature} and ${other.signature} share selector ${entry.selector} but have different levels`);
+    }
+    bySelector.set(entry.selector, entry);
+  }
+
+  for (const [target, levelName] of Object.entries(policy.addresses || {})) {
+    const level = THREAT_LEVELS.indexOf(levelName);
+    if (level === -1) {
+      errors.push(`addresses.${target}: unknown threat level "${levelName}"`);
+      continue;
+    }
+    if (CONTRACT_KEYS.includes(target)) {
+      targets.push({ label: target, address: addresses[target], level });
+    } else if (ethers.isAddress(target)) {
+      targets.push({ label: target, address: ethers.getAddress(target), level });
+    } else {
+      errors.push(`addresses: "${target}" is neither a contract key nor an address`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Threat level policy ${filePath} is invalid:\n  - ${errors.join("\n  - ")}`);
+  }
+  return { functions, addresses: targets };
+}
+
+// Every policy entry with its level on chain
+async function readThreatLevels(timelock, policy) {
+  const functions = [];
+  for (const entry of policy.functions) {
+    functions.push({ ...entry, current: Number(await timelock.functionThreatLevels(entry.selector)) });
+  }
+  const addresses = [];
+  for (const entry of policy.addresses) {
+    addresses.push({ ...entry, current: Number(await timelock.addressThreatLevels(entry.address)) });
+  }
+  return { functions, addresses };
+}
+
+// Entries whose on-chain level differs from the policy
+async function diffThreatLevels(timelock, policy) {
+  const levels = await readThreatLevels(timelock, policy);
+  const functions = levels.functions.filter(entry => entry.current !== entry.level);
+  const addresses = levels.addresses.filter(entry => entry.current !== entry.level);
+  return { functions, addresses, inSync: policy.functions.length + policy.addresses.length - functions.length - addresses.length };
+}
+
+// Zero value of an ABI parameter, used to build sample calldata
+function sampleValue(param) {
+  if (param.baseType === "array") {
+    return param.arrayLength > 0 ? Array.from({ length: param.arrayLength }, () => sampleValue(param.arrayChildren)) : [];
+  }
+  if (param.baseType === "tuple") {
+    return param.components.map(sampleValue);
+  }
+  if (param.baseType === "address") return ethers.ZeroAddress;
+  if (param.baseType === "bool") return false;
+  if (param.baseType === "string") return "";
+  if (param.baseType === "bytes") return "0x";
+  if (param.baseType.startsWith("bytes")) return ethers.zeroPadValue("0x", Number(param.baseType.slice(5)));
+  return 0;
+}
+
+// Calldata for a call to a function signature with zero arguments
+function sampleCalldata(signature) {
+  const fragment = ethers.FunctionFragment.from(`function ${signature}`);
+  return new ethers.Interface([fragment]).encodeFunctionData(fragment, fragment.inputs.map(sampleValue));
+}
+
+// Sample-call targets from attached contracts keyed by contract key (see roleMatrix.attachRoleContracts)
+function getThreatLevelTargets(contracts) {
+  return Object.entries(contracts).map(([label, contract]) => ({ label, address: contract.target, interface: contract.interface }));
+}
+
+// Full comparison of the timelock with the policy. targets are { label, address, interface } for the
+// contracts proposals usually call; every policy function is sampled against each target exposing it
+// and against an address with no level of its own.
+async function verifyThreatLevelPolicy(timelock, policy, targets) {
+  const stored = await readThreatLevels(timelock, policy);
+  const delays = [];
+  for (let level = 0; level < THREAT_LEVELS.length; level++) {
+    delays.push(Number(await timelock.getDelayForThreatLevel(level)));
+  }
+
+  const unlisted = { label: "unlisted target", address: ethers.ZeroAddress, interface: null };
+  const addressLevel = async target => {
+    const entry = stored.addresses.find(a => a.address.toLowerCase() === target.address.toLowerCase());
+    return entry ? entry.level : Number(await timelock.addressThreatLevels(target.address));
+  };
+
+  const calls = [];
+  for (const entry of policy.functions) {
+    const calldata = sampleCalldata(entry.signature);
+    const exposing = targets.filter(target => target.interface.getFunction(entry.selector));
+    for (const target of [...exposing, unlisted]) {
+      const targetLevel = await addressLevel(target);
+      const expected = targetLevel !== 0 ? targetLevel : entry.level;
+      const actual = Number(await timelock.getThreatLevel(target.address, calldata));
+      calls.push({
+        signature: entry.signature,
+        selector: entry.selector,
+        target: target.label,
+        address: target.address,
+        expected,
+        actual,
+        delay: delays[actual],
+        ok: actual === expected,
+        // The function's own level never applies to calls to this target
+        shadowedBy: targetLevel !== 0 && targetLevel !== entry.level ? THREAT_LEVELS[targetLevel] : null
+      });
+    }
+  }
+
+  const mismatches = [
+    ...stored.functions.filter(entry => entry.current !== entry.level),
+    ...stored.addresses.filter(entry => entry.current !== entry.level),
+    ...calls.filter(call => !call.ok)
+  ].length;
+  return { delays, functions: stored.functions, addresses: stored.addresses, calls, mismatches };
+}
+
+function printThreatLevelReport(report) {
+  const mark = ok => (ok ? "✅" : "❌");
+  console.log("\n=== Threat level delays ===");
+  THREAT_LEVELS.forEach((name, level) => console.log(`  ${name.padEnd(8)} ${report.delays[level]} seconds`));
+
+  console.log("\n=== Stored function levels ===");
+  for (const entry of report.functions) {
+    console.log(`  ${mark(entry.current === entry.level)} ${entry.signature} (${entry.selector}): ${THREAT_LEVELS[entry.current]}, policy ${THREAT_LEVELS[entry.level]}`);
+  }
+  console.log("\n=== Stored address levels ===");
+  for (const entry of report.addresses) {
+    console.log(`  ${mark(entry.current === entry.level)} ${entry.label} (${entry.address}): ${THREAT_LEVELS[entry.current]}, policy ${THREAT_LEVELS[entry.level]}`);
+  }
+
+  console.log("\n=== Effective levels of sample calls (getThreatLevel) ===");
+  for (const call of report.calls) {
+    const shadowed = call.shadowedBy ? `  (function level overridden by the ${call.shadowedBy} address level)` : "";
+    console.log(`  ${mark(call.ok)} ${call.target}.${call.signature}: ${THREAT_LEVELS[call.actual]}, ${call.delay}s delay, expected ${THREAT_LEVELS[call.expected]}${shadowed}`);
+  }
+
+  const shadowed = report.calls.filter(call => call.shadowedBy).length;
+  console.log(`\n${report.mismatches} mismatch(es), ${shadowed} sample call(s) where an address level overrides the function level`);
+}
+
+function printThreatLevelDiff(diff) {
+  const changes = diff.functions.length + diff.addresses.length;
+  console.log(`\n=== Threat levels: ${diff.inSync} entries in sync, ${changes} to change ===`);
+  for (const entry of diff.functions) {
+    console.log(`  ${entry.signature} (${entry.selector}): ${THREAT_LEVELS[entry.current]} -> ${THREAT_LEVELS[entry.level]}`);
+  }
+  for (const entry of diff.addresses) {
+    console.log(`  ${entry.label} (${entry.address}): ${THREAT_LEVELS[entry.current]} -> ${THREAT_LEVELS[entry.level]}`);
+  }
+}
+
+function chunk(entries, size) {
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += size) {
+    chunks.push(entries.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// The batch calls that apply a diff: [{ contract, method, args, description }]
+function getThreatLevelCalls(diff) {
+  const calls = [];
+  for (const batch of chunk(diff.functions, BATCH_SIZE)) {
+    calls.push({
+      contract: "JustTimelock",
+      method: "setBatchFunctionThreatLevels",
+      args: [batch.map(entry => entry.selector), batch.map(entry => entry.level)],
+      description: `Set ${batch.length} function threat level(s): ${batch.map(entry => `${entry.signature}=${THREAT_LEVELS[entry.level]}`).join(", ")}`
+    });
+  }
+  for (const batch of chunk(diff.addresses, BATCH_SIZE)) {
+    calls.push({
+      contract: "JustTimelock",
+      method: "setBatchAddressThreatLevels",
+      args: [batch.map(entry => entry.address), batch.map(entry => entry.level)],
+      description: `Set ${batch.length} address threat level(s): ${batch.map(entry => `${entry.label}=${THREAT_LEVELS[entry.level]}`).join(", ")}`
+    });
+  }
+  return calls;
+}
+
+// Send the changed entries in batches and wait for each batch to be mined
+async function applyThreatLevelDiff(timelock, diff, signer) {
+  const txHashes = [];
+  for (const call of getThreatLevelCalls(diff)) {
+    console.log(`${call.description.split(":")[0]} in one transaction...`);
+    const tx = await timelock[call.method](...call.args, await getFeeOverrides(signer.provider));
+    await waitForTransaction(signer, tx);
+    txHashes.push(tx.hash);
+  }
+  return txHashes;
+}
+
+module.exports = {
+  POLICY_FILE,
+  THREAT_LEVELS,
+  getFunctionSelector,
+  loadThreatLevelPolicy,
+  readThreatLevels,
+  diffThreatLevels,
+  printThreatLevelDiff,
+  sampleCalldata,
+  getThreatLevelTargets,
+  verifyThreatLevelPolicy,
+  printThreatLevelReport,
+  getThreatLevelCalls,
+  applyThreatLevelDiff
+};
@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+// threatLevels.js - Compare JustTimelock's threat levels with threatLevelPolicy.json, or apply the difference
+//
+//   npx hardhat run threatLevels.js --network sepolia                           # plan: show the diff
+//   THREAT_LEVELS_MODE=apply npx hardhat run threatLevels.js --network sepolia  # apply it in batches
+//   THREAT_LEVELS_MODE=verify npx hardhat run threatLevels.js --network sepolia # full report, exit 1 on mismatch
+//
+// verify reads every policy entry, calls getThreatLevel with sample calldata for each policy function
+// on each contract exposing it, and writes the report to deployments/<network>.threat-levels.json.
+//
+// See threatLevelPolicy.js for the policy format, THREAT_LEVEL_POLICY_FILE and THREAT_LEVEL_BATCH_SIZE.
+
+const { ethers, network } = require("hardhat");
+const { FACTORY_NAMES, getAddresses, getReportPath, writeJsonFile } = require("./deploymentManifest");
+const { guardDeployment } = require("./chainGuard");
+const { attachRoleContracts } = require("./roleMatrix");
+const {
+  loadThreatLevelPolicy,
+  diffThreatLevels,
+  printThreatLevelDiff,
+  applyThreatLevelDiff,
+  getThreatLevelTargets,
+  verifyThreatLevelPolicy,
+  printThreatLevelReport
+} = require("./threatLevelPolicy");
+
+const MODES = ["plan", "apply", "verify"];
+
+async function main() {
+  const mode = process.env.THREAT_LEVELS_MODE || "plan";
+  if (!MODES.includes(mode)) {
+    throw new Error(`THREAT_LEVELS_MODE must be one of ${MODES.join(", ")} (got "${mode}")`);
+  }
+
+  const { manifest } = await guardDeployment(ethers.provider, network.name, { sends: mode === "apply" });
+  const addresses = getAddresses(network.name);
+  const [signer] = await ethers.getSigners();
+  const timelock = (await ethers.getContractFactory(FACTORY_NAMES.JustTimelock, signer)).attach(addresses.JustTimelock);
+  const policy = loadThreatLevelPolicy(addresses);
+  console.log(`Threat level ${mode} for JustTimelock at ${addresses.JustTimelock} on ${network.name}`);
+
+  if (mode === "verify") {
+    const contracts = await attachRoleContracts(manifest, signer);
+    const report = await verifyThreatLevelPolicy(timelock, policy, getThreatLevelTargets(contracts));
+    printThreatLevelReport(report);
+    const reportPath = writeJsonFile(getReportPath(network.name, "threat-levels"), {
+      network: network.name,
+      timelock: addresses.JustTimelock,
+      checkedAt: new Date().toISOString(),
+      ...report
+    });
+    console.log(`\nReport written to ${reportPath}`);
+    if (report.mismatches > 0) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const diff = await diffThreatLevels(timelock, policy);
+  printThreatLevelDiff(diff);
+  if (mode === "plan" || diff.functions.length + diff.addresses.length === 0) {
+    return;
+  }
+
+  const txHashes = await applyThreatLevelDiff(timelock, diff, signer);
+  console.log(`Sent ${txHashes.length} batch transaction(s): ${txHashes.join(", ")}`);
+
+  const remaining = await diffThreatLevels(timelock, policy);
+  if (remaining.functions.length + remaining.addresses.length > 0) {
+    printThreatLevelDiff(remaining);
+    process.exitCode = 1;
+  } else {
+    console.log("✅ Threat levels match the policy");
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("Threat level update failed:", error);
+    process.exit(1);
+  });
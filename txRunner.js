@@ -0,0 +1,159 @@
+// SPDX-License-Identifier: MIT
+// txRunner.js - Send a list of contract calls back to back with explicit nonces, journaled per call
+//
+// Calls are { contract, method, args, gasLimit, description } against contracts keyed by contract key
+// (the shape getRolePlanCalls, getThreatLevelCalls and getAllowlistCalls return). The runner takes the
+// signer's pending nonce once, sends every call with the next nonce without waiting for it to be
+// mined, then waits for all receipts together, so a batch costs one round of block times instead
+// of one per call. Nonce order is execution order, so calls still take effect in list order.
+//
+// Every call is a journal step keyed by contract, method and arguments. The hash is recorded as soon
+// as a transaction is sent, so a re-run waits for a transaction still pending instead of sending it
+// twice, and skips calls that were confirmed. Transient RPC errors (timeouts, rate limits, dropped
+// connections) are retried up to RPC_RETRIES times (default 3) with exponential backoff.
+
+const { getFeeOverrides, waitForTransaction } = require("./fees");
+
+const RPC_RETRIES = Number(process.env.RPC_RETRIES || 3);
+const TRANSIENT_ERROR = /timeout|timed out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|socket hang up|rate limit|too many requests|\b429\b|\b50[234]\b|header not found/i;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isTransientError(error) {
+  return ["NETWORK_ERROR", "TIMEOUT", "SERVER_ERROR"].includes(error.code) ||
+    TRANSIENT_ERROR.test(error.shortMessage || error.message || "");
+}
+
+// Run fn, retrying transient RPC errors. beforeRetry may throw to stop retrying.
+async function withRetry(what, fn, beforeRetry = async () => {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= RPC_RETRIES || !isTransientError(error)) {
+        throw error;
+      }
+      const delay = 1000 * 2 ** attempt;
+      console.log(`${what} failed (${error.shortMessage || error.message}); retrying in ${delay / 1000}s`);
+      await sleep(delay);
+      await beforeRetry();
+    }
+  }
+}
+
+function formatArg(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+// Journal step id of a call
+function getCallId(call) {
+  return `${call.contract}.${call.method}(${call.args.map(formatArg).join(",")})`;
+}
+
+// Where a call stands according to the journal and the chain: "done", "pending" (with the sent
+// transaction) or "send"
+async function resumeCall(id, journal, provider) {
+  if (journal.isComplete(id)) {
+    return { state: "done" };
+  }
+  const step = journal.get(id);
+  if (!step || !step.txHash) {
+    return { state: "send" };
+  }
+  const receipt = await withRetry(`Receipt of ${step.txHash}`, () => provider.getTransactionReceipt(step.txHash));
+  if (receipt && receipt.status === 1) {
+    journal.complete(id, { txHash: step.txHash, blockNumber: receipt.blockNumber });
+    return { state: "done" };
+  }
+  if (!receipt) {
+    const tx = await withRetry(`Transaction ${step.txHash}`, () => provider.getTransaction(step.txHash));
+    if (tx) {
+      return { state: "pending", tx };
+    }
+  }
+  // Reverted or dropped: send it again
+  return { state: "send" };
+}
+
+// Send the calls and wait for all of them. Throws after every sent transaction has settled if any
+// call failed; the journal then shows which ones landed.
+async function runCalls(calls, contracts, signer, journal) {
+  const provider = signer.provider;
+  const address = await signer.getAddress();
+  const inFlight = [];
+  const toSend = [];
+
+  for (const call of calls) {
+    const id = getCallId(call);
+    const resumed = await resumeCall(id, journal, provider);
+    if (resumed.state === "done") {
+      console.log(`Already confirmed: ${call.description}`);
+    } else if (resumed.state === "pending") {
+      console.log(`Still pending from an earlier run: ${call.description} (${resumed.tx.hash})`);
+      inFlight.push({ id, call, tx: resumed.tx });
+    } else {
+      toSend.push({ id, call });
+    }
+  }
+
+  let sendError = null;
+  if (toSend.length > 0) {
+    let nonce = await withRetry("Nonce lookup", () => provider.getTransactionCount(address, "pending"));
+    const fees = await withRetry("Fee lookup", () => getFeeOverrides(provider));
+    for (const { id, call } of toSend) {
+      journal.start(id);
+      const overrides = { ...fees, nonce, ...(call.gasLimit ? { gasLimit: call.gasLimit } : {}) };
+      try {
+        const tx = await withRetry(
+          `Sending ${call.description}`,
+          () => contracts[call.contract][call.method](...call.args, overrides),
+          // A send that timed out may still have reached the node; never reuse a nonce that was taken
+          async () => {
+            if ((await provider.getTransactionCount(address, "pending")) > nonce) {
+              throw new Error(`Nonce ${nonce} was taken while sending "${call.description}"; re-run to resume from the journal`);
+            }
+          }
+        );
+        journal.record(id, { txHash: tx.hash, nonce });
+        console.log(`Sent (nonce ${nonce}): ${call.description} -> ${tx.hash}`);
+        inFlight.push({ id, call, tx });
+        nonce++;
+      } catch (error) {
+        // Later calls would leave a nonce gap; stop sending and settle what is in flight
+        journal.fail(id, error);
+        sendError = error;
+        break;
+      }
+    }
+  }
+
+  console.log(`Waiting for ${inFlight.length} transaction(s)...`);
+  const settled = await Promise.allSettled(inFlight.map(async ({ id, call, tx }) => {
+    try {
+      const receipt = await waitForTransaction(signer, tx);
+      journal.complete(id, { txHash: receipt.hash, blockNumber: receipt.blockNumber });
+      return receipt;
+    } catch (error) {
+      journal.fail(id, error);
+      throw new Error(`${call.description}: ${error.message}`);
+    }
+  }));
+
+  const failures = settled.filter(result => result.status === "rejected").map(result => result.reason.message);
+  if (sendError) {
+    failures.push(`Sending stopped: ${sendError.message}`);
+  }
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} setup transaction(s) failed (journal: ${journal.path}):\n  - ${failures.join("\n  - ")}`);
+  }
+  return settled.map(result => result.value);
+}
+
+module.exports = {
+  isTransientError,
+  withRetry,
+  getCallId,
+  runCalls
+};
@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: MIT
+// units.js - Parse and format the durations, token amounts and percentages the update scripts handle
+//
+// Parsers take what an operator would type and return the value the contracts store, as a bigint:
+//   durations      "7d 12h", "90m", "1.5d", "2w", "3600s" (seconds; a bare number is in defaultUnit)
+//   token amounts  "2500", "1.5k", "2m", "2,500 JST", "1000000000000000000 wei" (18-decimal units)
+//   percentages    "25%" or "25" (whole percent, 0-100)
+// and throw an Error naming the accepted forms otherwise. The format* functions give the readable
+// form; the describe* functions add the on-chain value next to it, e.g. "7d 12h (648000 s)" or
+// "1,500 JST (1500000000000000000000 wei)", which is what confirmation screens show. Percentages are
+// stored as whole percent, so their readable form already is the on-chain value.
+
+const { ethers } = require("ethers");
+
+const TOKEN_DECIMALS = 18;
+const TOKEN_SYMBOL = "JST";
+
+// Seconds per duration unit, and the longer spellings accepted for each
+const DURATION_UNITS = { w: 604800n, d: 86400n, h: 3600n, m: 60n, s: 1n };
+const DURATION_ALIASES = {
+  week: "w", weeks: "w",
+  day: "d", days: "d",
+  hr: "h", hrs: "h", hour: "h", hours: "h",
+  min: "m", mins: "m", minute: "m", minutes: "m",
+  sec: "s", secs: "s", second: "s", seconds: "s"
+};
+
+// Powers of ten behind the token amount suffixes
+const TOKEN_SUFFIXES = { k: 3, m: 6, b: 9 };
+
+// Fractions of a unit are parsed with this many decimals before converting to seconds
+const DURATION_PRECISION = 9;
+
+function parseDuration(input, options = {}) {
+  const { defaultUnit = "s" } = options;
+  const text = String(input).trim().toLowerCase();
+  const usage = `Invalid duration "${input}"; use e.g. "7d 12h", "90m" or "3600s"`;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return parseDuration(`${text}${defaultUnit}`);
+  }
+
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)/g)];
+  if (parts.length === 0 || text.replace(/(\d+(?:\.\d+)?)\s*([a-z]+)/g, "").replace(/[\s,]/g, "") !== "") {
+    throw new Error(usage);
+  }
+  let scaled = 0n;
+  for (const [, amount, word] of parts) {
+    const unit = DURATION_UNITS[word] !== undefined ? word : DURATION_ALIASES[word];
+    if (!unit) {
+      throw new Error(`${usage} (unknown unit "${word}")`);
+    }
+    if ((amount.split(".")[1] || "").length > DURATION_PRECISION) {
+      throw new Error(usage);
+    }
+    scaled += ethers.parseUnits(amount, DURATION_PRECISION) * DURATION_UNITS[unit];
+  }
+  const precision = 10n ** BigInt(DURATION_PRECISION);
+  if (scaled % precision !== 0n) {
+    throw new Error(`Duration "${input}" is not a whole number of seconds`);
+  }
+  return scaled / precision;
+}
+
+function formatDuration(seconds) {
+  let rest = BigInt(seconds);
+  const parts = [];
+  for (const [unit, size] of [["d", 86400n], ["h", 3600n], ["m", 60n], ["s", 1n]]) {
+    if (rest >= size) {
+      parts.push(`${rest / size}${unit}`);
+      rest %= size;
+    }
+  }
+  return parts.length > 0 ? parts.join(" ") : "0s";
+}
+
+function describeDuration(seconds) {
+  return `${formatDuration(seconds)} (${BigInt(seconds)} s)`;
+}
+
+// options.symbol is the token symbol accepted after the amount (default JST); "token(s)" always is
+function parseTokenAmount(input, options = {}) {
+  const { symbol = TOKEN_SYMBOL, decimals = TOKEN_DECIMALS } = options;
+  const text = String(input).trim().replace(/[,_]/g, "");
+  const match = /^(\d+(?:\.\d*)?|\.\d+)\s*([kmb])?\s*([a-z]+)?$/i.exec(text);
+  const usage = `Invalid token amount "${input}"; use e.g. "2500", "1.5k", "2m" or "2500 ${symbol}"`;
+  if (!match) {
+    throw new Error(usage);
+  }
+  let [, digits, suffix, word] = match;
+  const amount = `0${digits}`.replace(/\.$/, "");
+  // A symbol starting with k, m or b ("100 MTK") is not a suffix
+  if (suffix && word && `${suffix}${word}`.toLowerCase() === symbol.toLowerCase()) {
+    [suffix, word] = [undefined, `${suffix}${word}`];
+  }
+  const unit = word ? word.toLowerCase() : "";
+
+  if (unit === "wei") {
+    if (suffix || !/^\d+$/.test(amount)) {
+      throw new Error(`Wei amounts must be whole numbers: "${input}"`);
+    }
+    return BigInt(amount);
+  }
+  if (unit && unit !== symbol.toLowerCase() && unit !== "token" && unit !== "tokens") {
+    throw new Error(usage);
+  }
+  const exponent = suffix ? TOKEN_SUFFIXES[suffix.toLowerCase()] : 0;
+  if ((amount.split(".")[1] || "").length > decimals + exponent) {
+    throw new Error(`Token amount "${input}" has more than ${decimals} decimals`);
+  }
+  return ethers.parseUnits(amount, decimals + exponent);
+}
+
+function formatTokens(amount, options = {}) {
+  const { symbol = TOKEN_SYMBOL, decimals = TOKEN_DECIMALS } = options;
+  const [whole, fraction] = ethers.formatUnits(amount, decimals).split(".");
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  return `${fraction === "0" ? grouped : `${grouped}.${fraction}`} ${symbol}`;
+}
+
+function describeTokens(amount, options = {}) {
+  return `${formatTokens(amount, options)} (${BigInt(amount)} wei)`;
+}
+
+function parsePercentage(input) {
+  const match = /^(\d+)\s*%?$/.exec(String(input).trim());
+  if (!match) {
+    throw new Error(`Invalid percentage "${input}"; use a whole number such as "25%" or "25"`);
+  }
+  const value = BigInt(match[1]);
+  if (value > 100n) {
+    throw new Error(`Percentage "${input}" is above 100%`);
+  }
+  return value;
+}
+
+function formatPercentage(value) {
+  return `${BigInt(value)}%`;
+}
+
+module.exports = {
+  TOKEN_DECIMALS,
+  TOKEN_SYMBOL,
+  parseDuration,
+  formatDuration,
+  describeDuration,
+  parseTokenAmount,
+  formatTokens,
+  describeTokens,
+  parsePercentage,
+  formatPercentage
+};
@@ -1,9 +1,39 @@
 // Governance Parameter Checker and Updater
 // Using ethers v6 to check and update all parameters in the JustGovernanceUpgradeable contract
 // Updated for proper Hardhat network detection
+//
+// Run it through Hardhat or standalone with --network (or NETWORK=<name>); there is no default network.
+// Without arguments the script shows the parameters and asks what to change. For runbooks and CI:
+//   node updateGovernance.js --network sepolia --param quorum --value 1000 --yes
+//   node updateGovernance.js --network sepolia --file changes.json --yes
+// where changes.json is [{ "param": "votingDuration", "value": "3d" }, ...] (or { "changes": [...] }).
+// Parameters are named by govParams field, display name or index (0-7). Values are read by units.js:
+// durations like "3d 12h" (a bare number is seconds), token amounts like "1.5k" or "2500 JST" (a bare
+// number is whole tokens) and percentages like "25%". Under Hardhat use GOV_PARAM, GOV_VALUE,
+// GOV_CHANGES_FILE and GOV_YES=true instead.
+//
+// Every change is validated before anything is sent, then changes are sent one by one, stopping at
+// the first failure. A signer without ADMIN_ROLE (or a run with --propose / GOV_PROPOSE=true) instead
+// submits one GovernanceChange proposal carrying all changes; only the voting duration, quorum,
+// timelock delay and proposal threshold can be changed that way. --description (GOV_DESCRIPTION)
+// names the proposal.
+//
+// Before sending, the changes are checked against the rest of the system (supply, delegation, timelock
+// delays, open proposals; see governanceChecks.js). Scripted runs stop on a warning unless
+// --allow-warnings (GOV_ALLOW_WARNINGS=true) is given; interactive runs ask. Progress goes to stderr; stdout gets the results as JSON (old and new value, tx
+// hash, block, verification status, and the proposal id and voting deadline; values both readable and
+// as stored on chain), also written to deployments/<network>.governance-params.json.
+// Exit codes: 0 all verified, 1 setup or RPC error, 2 validation or consistency checks failed (nothing sent),
+// 3 a transaction reverted, 4 a value read back differs from the one sent.
 
 const { ethers } = require('ethers');
+const fs = require('fs');
 require('dotenv').config();
+const { getContractAddress, getReportPath, writeJsonFile } = require('./deploymentManifest');
+const { guardDeployment, askOnce } = require('./chainGuard');
+const { readGovernanceState, checkGovernanceParams, printFindings } = require('./governanceChecks');
+const { getFeeOverrides, describeFees, promptStuckAction, waitForTransaction } = require('./fees');
+const { parseDuration, formatDuration, describeDuration, parseTokenAmount, formatTokens, describeTokens, parsePercentage, formatPercentage } = require('./units');
 
 // Governance parameter constants based on the contract
 const PARAM_VOTING_DURATION = 0;
@@ -28,9 +58,25 @@ const governanceAbi = [
   "function maxVotingDuration() external view returns (uint256)",
   
   // Role checking
-  "function hasRole(bytes32 role, address account) external view returns (bool)"
+  "function hasRole(bytes32 role, address account) external view returns (bool)",
+  
+  // GovernanceChange proposals
+  "function justToken() external view returns (address)",
+  "function createProposal(string description, uint8 proposalType, address target, bytes callData, uint256 amount, address recipient, address externalToken, uint256 newThreshold, uint256 newQuorum, uint256 newVotingDuration, uint256 newTimelockDelay) external returns (uint256)",
+  "event ProposalEvent(uint256 indexed proposalId, uint8 indexed eventType, address indexed actor, bytes data)"
+];
+
+// What the proposer needs from the token: the threshold is checked against the balance, the stake
+// is taken from the part not locked by delegation
+const tokenAbi = [
+  "function balanceOf(address account) external view returns (uint256)",
+  "function getLockedTokens(address account) external view returns (uint256)"
 ];
 
+// ProposalType.GovernanceChange and the ProposalEvent type of a new proposal
+const PROPOSAL_TYPE_GOVERNANCE_CHANGE = 3;
+const PROPOSAL_CREATED = 0;
+
 // Function names for better user experience
 const paramNames = {
   [PARAM_VOTING_DURATION]: "Voting Duration",
@@ -43,10 +89,554 @@ const paramNames = {
   [PARAM_EXPIRED_REFUND_PERCENTAGE]: "Expired Refund Percentage"
 };
 
+// govParams field behind each parameter
+const paramFields = {
+  [PARAM_VOTING_DURATION]: "votingDuration",
+  [PARAM_QUORUM]: "quorum",
+  [PARAM_TIMELOCK_DELAY]: "timelockDelay",
+  [PARAM_PROPOSAL_THRESHOLD]: "proposalCreationThreshold",
+  [PARAM_PROPOSAL_STAKE]: "proposalStake",
+  [PARAM_DEFEATED_REFUND_PERCENTAGE]: "defeatedRefundPercentage",
+  [PARAM_CANCELED_REFUND_PERCENTAGE]: "canceledRefundPercentage",
+  [PARAM_EXPIRED_REFUND_PERCENTAGE]: "expiredRefundPercentage"
+};
+
+// Parameters held as durations in seconds, 18-decimal token amounts, and percentages
+const DURATION_PARAMS = [PARAM_VOTING_DURATION, PARAM_TIMELOCK_DELAY];
+const TOKEN_PARAMS = [PARAM_QUORUM, PARAM_PROPOSAL_THRESHOLD, PARAM_PROPOSAL_STAKE];
+const PERCENTAGE_PARAMS = [PARAM_DEFEATED_REFUND_PERCENTAGE, PARAM_CANCELED_REFUND_PERCENTAGE, PARAM_EXPIRED_REFUND_PERCENTAGE];
+
+// createProposal argument behind each parameter a GovernanceChange proposal can set. Zero leaves a
+// parameter unchanged (for the voting duration, any value outside the min/max range does).
+const proposalFields = {
+  [PARAM_VOTING_DURATION]: "newVotingDuration",
+  [PARAM_QUORUM]: "newQuorum",
+  [PARAM_TIMELOCK_DELAY]: "newTimelockDelay",
+  [PARAM_PROPOSAL_THRESHOLD]: "newThreshold"
+};
+
+// Exit codes of scripted runs (see the header)
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_INVALID = 2;
+const EXIT_REVERTED = 3;
+const EXIT_UNVERIFIED = 4;
+
 // ADMIN_ROLE constant
 const ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ADMIN_ROLE"));
 
+// An error in the requested changes themselves, found before anything is sent
+function invalid(message) {
+  const error = new Error(message);
+  error.invalid = true;
+  return error;
+}
+
+// Command-line flags, with environment fallbacks for `hardhat run` (which does not pass arguments)
+function getCliOptions(argv = process.argv.slice(2), env = process.env) {
+  const valueOf = (flag, envName) => {
+    const index = argv.indexOf(flag);
+    return index !== -1 ? argv[index + 1] : env[envName];
+  };
+  const options = {
+    param: valueOf('--param', 'GOV_PARAM'),
+    value: valueOf('--value', 'GOV_VALUE'),
+    file: valueOf('--file', 'GOV_CHANGES_FILE'),
+    description: valueOf('--description', 'GOV_DESCRIPTION'),
+    propose: argv.includes('--propose') || env.GOV_PROPOSE === 'true',
+    allowWarnings: argv.includes('--allow-warnings') || env.GOV_ALLOW_WARNINGS === 'true',
+    yes: argv.includes('--yes') || env.GOV_YES === 'true'
+  };
+  options.scripted = ['--param', '--value', '--file', '--propose'].some(flag => argv.includes(flag)) ||
+    options.param !== undefined || options.value !== undefined || options.file !== undefined;
+  return options;
+}
+
+// Accepts the index, the govParams field or the display name, e.g. 1, "quorum" or "Proposal Threshold"
+function resolveParam(input) {
+  const wanted = String(input).trim().toLowerCase().replace(/[\s_-]/g, '');
+  for (const paramType of Object.keys(paramNames).map(Number)) {
+    if (wanted === String(paramType) ||
+        wanted === paramFields[paramType].toLowerCase() ||
+        wanted === paramNames[paramType].toLowerCase().replace(/\s/g, '')) {
+      return paramType;
+    }
+  }
+  throw invalid(`Unknown parameter "${input}"; use one of ${Object.values(paramFields).join(', ')} or 0-7`);
+}
+
+// Durations, token amounts and percentages in any form units.js accepts
+function parseParamValue(paramType, input) {
+  if (input === undefined || input === null || String(input).trim() === '') {
+    throw invalid(`No value given for ${paramNames[paramType]}`);
+  }
+  try {
+    if (DURATION_PARAMS.includes(paramType)) return parseDuration(input);
+    if (TOKEN_PARAMS.includes(paramType)) return parseTokenAmount(input);
+    return parsePercentage(input);
+  } catch (error) {
+    throw invalid(`${paramNames[paramType]}: ${error.message}`);
+  }
+}
+
+// The checks updateGovParam makes, so a bad value is caught before it costs gas
+function validateParamValue(paramType, newValue, limits) {
+  if (paramType === PARAM_VOTING_DURATION) {
+    if (newValue < limits.minVotingDuration || newValue > limits.maxVotingDuration) {
+      throw invalid(`Voting duration must be between ${describeDuration(limits.minVotingDuration)} and ${describeDuration(limits.maxVotingDuration)}`);
+    }
+  } else if (PERCENTAGE_PARAMS.includes(paramType)) {
+    if (newValue < 0n || newValue > 100n) {
+      throw invalid("Percentage must be between 0 and 100");
+    }
+  } else if (newValue <= 0n) {
+    throw invalid("Value must be greater than 0");
+  }
+}
+
+function formatParamValue(paramType, value) {
+  if (DURATION_PARAMS.includes(paramType)) return formatDuration(value);
+  if (TOKEN_PARAMS.includes(paramType)) return formatTokens(value);
+  return formatPercentage(value);
+}
+
+// Input examples for the prompt
+function paramExamples(paramType) {
+  if (DURATION_PARAMS.includes(paramType)) return 'e.g. "3d", "12h 30m" or seconds';
+  if (TOKEN_PARAMS.includes(paramType)) return 'e.g. "1.5k" or "2500 JST"';
+  return 'e.g. "25%"';
+}
+
+// The readable value with the on-chain value next to it
+function describeParamValue(paramType, value) {
+  if (DURATION_PARAMS.includes(paramType)) return describeDuration(value);
+  if (TOKEN_PARAMS.includes(paramType)) return describeTokens(value);
+  return formatPercentage(value);
+}
+
+// Send one updateGovParam and read the parameter back. Returns the result entry of the JSON report;
+// status is "verified", "mismatch", "reverted" (including calls the node says would revert, which
+// are not sent) or "failed".
+async function applyParamChange(contract, paramType, newValue, currentParams, network, onStuck) {
+  const result = {
+    param: paramFields[paramType],
+    name: paramNames[paramType],
+    oldValue: formatParamValue(paramType, currentParams[paramFields[paramType]]),
+    newValue: formatParamValue(paramType, newValue),
+    oldRaw: currentParams[paramFields[paramType]].toString(),
+    newRaw: newValue.toString(),
+    txHash: null,
+    blockNumber: null,
+    status: "failed"
+  };
+  console.log(`\nUpdating ${paramNames[paramType]}...`);
+  
+  try {
+    // Get gas estimate - with some error handling for local networks
+    let gasEstimate;
+    try {
+      gasEstimate = await contract.updateGovParam.estimateGas(paramType, newValue);
+      console.log(`Gas estimate: ${gasEstimate.toString()}`);
+    } catch (error) {
+      if (error.code === 'CALL_EXCEPTION') {
+        result.status = "reverted";
+        result.error = `Would revert: ${error.shortMessage || error.message}`;
+        return result;
+      }
+      console.log(`Warning: Failed to estimate gas. Using default gas limit. Error: ${error.message}`);
+      gasEstimate = 300000n; // Default reasonable gas limit
+    }
+    
+    // Current EIP-1559 fees (capped by MAX_FEE_GWEI) with a 20% buffer on the gas estimate
+    const fees = await getFeeOverrides(contract.runner.provider);
+    const txOptions = {
+      gasLimit: gasEstimate * 120n / 100n,
+      ...fees
+    };
+    console.log(`Using gas limit ${txOptions.gasLimit.toString()}, ${describeFees(fees)}`);
+    
+    // Execute the transaction
+    console.log("Sending transaction...");
+    const tx = await contract.updateGovParam(paramType, newValue, txOptions);
+    result.txHash = tx.hash;
+    console.log(`Transaction sent: ${tx.hash}`);
+    
+    // Network-specific explorers
+    if (network === 'sepolia') {
+      console.log(`Track transaction: https://sepolia.etherscan.io/tx/${tx.hash}`);
+    } else if (network === 'mainnet') {
+      console.log(`Track transaction: https://etherscan.io/tx/${tx.hash}`);
+    } else {
+      console.log(`Transaction sent on ${network} network`);
+    }
+    
+    const receipt = await waitForTransaction(contract.runner, tx, { onStuck });
+    result.txHash = receipt.hash;
+    result.blockNumber = receipt.blockNumber;
+    console.log(`✅ Transaction confirmed in block ${receipt.blockNumber}`);
+  } catch (error) {
+    result.status = /revert/i.test(error.message) || error.code === 'CALL_EXCEPTION' ? "reverted" : "failed";
+    result.error = error.shortMessage || error.message;
+    return result;
+  }
+  
+  // Get updated parameter to verify
+  // The change has landed; a failed read keeps the tx hash and block in the report
+  let updatedParams;
+  try {
+    updatedParams = await contract.govParams();
+  } catch (error) {
+    result.status = "failed";
+    result.error = `Confirmed in block ${result.blockNumber}, but reading the value back failed: ${error.shortMessage || error.message}`;
+    return result;
+  }
+  result.readBack = formatParamValue(paramType, updatedParams[paramFields[paramType]]);
+  result.readBackRaw = updatedParams[paramFields[paramType]].toString();
+  result.status = updatedParams[paramFields[paramType]] === newValue ? "verified" : "mismatch";
+  return result;
+}
+
+function printParamResult(result) {
+  if (result.status === "reverted" || result.status === "failed") {
+    console.error(`❌ Transaction error: ${result.error}`);
+    return;
+  }
+  console.log(`Parameter update summary for ${result.name}:`);
+  console.log(`- Previous value: ${result.oldValue} (${result.oldRaw})`);
+  console.log(`- New value set: ${result.newValue} (${result.newRaw})`);
+  console.log(`- Updated value: ${result.readBack} (${result.readBackRaw})`);
+  
+  if (result.status === "mismatch") {
+    console.warn("⚠️ New value doesn't match updated value. Verification failed.");
+  } else {
+    console.log("✅ Parameter successfully updated and verified!");
+  }
+}
+
+// Changes from --file and --param/--value, as given
+function loadChanges(options) {
+  const changes = [];
+  if (options.file !== undefined) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+    } catch (error) {
+      throw invalid(`Cannot read changes from ${options.file}: ${error.message}`);
+    }
+    const list = Array.isArray(content) ? content : content.changes;
+    if (!Array.isArray(list)) {
+      throw invalid(`${options.file} must hold an array of { "param", "value" } entries or { "changes": [...] }`);
+    }
+    changes.push(...list);
+  }
+  if (options.param !== undefined || options.value !== undefined) {
+    if (options.param === undefined || options.value === undefined) {
+      throw invalid("--param and --value must be given together");
+    }
+    changes.push({ param: options.param, value: options.value });
+  }
+  if (changes.length === 0) {
+    throw invalid("No changes requested");
+  }
+  return changes;
+}
+
+// Validate every requested change against the limits and current values. Returns the changes to
+// send and a result entry per request ("pending", "unchanged" or "invalid").
+function planChanges(changes, limits, currentParams) {
+  const toSend = [];
+  const results = [];
+  const seen = new Set();
+  for (const change of changes) {
+    const result = { param: String(change && change.param), requested: change && change.value, status: "pending" };
+    results.push(result);
+    try {
+      if (!change || change.param === undefined) {
+        throw invalid('Each change needs a "param" and a "value"');
+      }
+      const paramType = resolveParam(change.param);
+      if (seen.has(paramType)) {
+        throw invalid(`${paramNames[paramType]} is listed more than once`);
+      }
+      seen.add(paramType);
+      const newValue = parseParamValue(paramType, change.value);
+      validateParamValue(paramType, newValue, limits);
+      
+      const currentValue = currentParams[paramFields[paramType]];
+      Object.assign(result, {
+        param: paramFields[paramType],
+        name: paramNames[paramType],
+        oldValue: formatParamValue(paramType, currentValue),
+        newValue: formatParamValue(paramType, newValue),
+        oldRaw: currentValue.toString(),
+        newRaw: newValue.toString()
+      });
+      if (currentValue === newValue) {
+        result.status = "unchanged";
+      } else {
+        toSend.push({ paramType, newValue, index: results.length - 1 });
+      }
+    } catch (error) {
+      result.status = "invalid";
+      result.error = error.message;
+    }
+  }
+  return { toSend, results };
+}
+
+// Run the consistency checks on the parameters as they would be after the changes
+async function checkConsistency(contract, changes, currentParams, fromBlock) {
+  const current = Object.fromEntries(Object.values(paramFields).map(field => [field, currentParams[field]]));
+  const next = { ...current };
+  for (const { paramType, newValue } of changes) {
+    next[paramFields[paramType]] = newValue;
+  }
+  const state = await readGovernanceState(contract.runner.provider, contract.target, { fromBlock });
+  const findings = checkGovernanceParams(next, current, state);
+  printFindings(findings);
+  return findings;
+}
+
+function getExitCode(results) {
+  if (results.some(result => result.status === "invalid" || result.status === "blocked")) return EXIT_INVALID;
+  if (results.some(result => result.status === "reverted")) return EXIT_REVERTED;
+  if (results.some(result => result.status === "failed")) return EXIT_ERROR;
+  if (results.some(result => result.status === "mismatch")) return EXIT_UNVERIFIED;
+  return EXIT_OK;
+}
+
+// Validate everything, confirm, then send the changes in order, stopping at the first failure.
+// Returns the report written as JSON.
+async function runScriptedUpdates(options, contract, context) {
+  const { network, chainId, signerAddress, hasAdminRole, limits, currentParams, fromBlock } = context;
+  const { toSend, results } = planChanges(loadChanges(options), limits, currentParams);
+  const report = {
+    network,
+    chainId,
+    governance: contract.target,
+    signer: signerAddress,
+    startedAt: new Date().toISOString(),
+    changes: results
+  };
+  const finish = () => {
+    report.completedAt = new Date().toISOString();
+    report.exitCode = getExitCode(results);
+    return report;
+  };
+  
+  if (results.some(result => result.status === "invalid")) {
+    results.filter(result => result.status === "pending").forEach(result => { result.status = "skipped"; });
+    return finish();
+  }
+  
+  console.log(`\n${toSend.length} change(s) to send, ${results.length - toSend.length} already in place:`);
+  results.forEach(result => console.log(`  ${result.name}: ${result.oldValue} -> ${result.newValue} (on chain ${result.oldRaw} -> ${result.newRaw})${result.status === "unchanged" ? " (unchanged)" : ""}`));
+  if (toSend.length === 0) {
+    return finish();
+  }
+  
+  report.route = options.propose || !hasAdminRole ? "proposal" : "direct";
+  if (report.route === "proposal") {
+    if (!hasAdminRole) {
+      console.log(`${signerAddress} does not have ADMIN_ROLE; submitting the changes as a GovernanceChange proposal`);
+    }
+    for (const { paramType, index } of toSend) {
+      if (!proposalFields[paramType]) {
+        results[index].status = "invalid";
+        results[index].error = `${paramNames[paramType]} cannot be changed by a GovernanceChange proposal; it needs ADMIN_ROLE or the timelock`;
+      }
+    }
+    if (results.some(result => result.status === "invalid")) {
+      results.filter(result => result.status === "pending").forEach(result => { result.status = "skipped"; });
+      return finish();
+    }
+  }
+  
+  report.checks = await checkConsistency(contract, toSend, currentParams, fromBlock);
+  if (report.checks.some(finding => finding.level === "warning") && !options.allowWarnings) {
+    for (const { index } of toSend) {
+      results[index].status = "blocked";
+      results[index].error = "Consistency warnings (see checks); pass --allow-warnings to send anyway";
+    }
+    return finish();
+  }
+  
+  if (report.route === "proposal") {
+    const description = options.description || `Governance change: ${toSend.map(({ index }) => `${results[index].name} ${results[index].oldValue} -> ${results[index].newValue}`).join('; ')}`;
+    await checkProposerBalance(contract, signerAddress, currentParams);
+    await confirmSend(options, `Submit a GovernanceChange proposal with ${toSend.length} change(s)? (y/n): `);
+    
+    const proposal = await submitGovernanceChange(contract, toSend, description, network);
+    report.proposal = proposal;
+    for (const { index } of toSend) {
+      results[index].status = proposal.status;
+      results[index].txHash = proposal.txHash;
+      results[index].blockNumber = proposal.blockNumber;
+      if (proposal.error) {
+        results[index].error = proposal.error;
+      }
+    }
+    printProposalResult(proposal);
+    return finish();
+  }
+  
+  await confirmSend(options, `Send ${toSend.length} transaction(s)? (y/n): `);
+  
+  let stopped = false;
+  for (const { paramType, newValue, index } of toSend) {
+    if (stopped) {
+      results[index].status = "skipped";
+      continue;
+    }
+    const result = await applyParamChange(contract, paramType, newValue, currentParams, network);
+    results[index] = { ...results[index], ...result };
+    printParamResult(result);
+    stopped = result.status !== "verified";
+  }
+  return finish();
+}
+
+// Ask before sending unless --yes was given; without a terminal --yes is required
+async function confirmSend(options, query) {
+  if (options.yes) {
+    return;
+  }
+  if (!process.stdin.isTTY) {
+    throw invalid("Pass --yes (or GOV_YES=true) to send changes without a terminal");
+  }
+  const answer = await askOnce(query, options.scripted ? process.stderr : process.stdout);
+  if (answer.trim().toLowerCase() !== 'y') {
+    throw invalid("Changes not confirmed; nothing was sent");
+  }
+}
+
+// createProposal requires a balance of at least proposalCreationThreshold and takes proposalStake
+// from the tokens not locked by delegation
+async function checkProposerBalance(contract, proposer, currentParams) {
+  const token = new ethers.Contract(await contract.justToken(), tokenAbi, contract.runner);
+  const balance = await token.balanceOf(proposer);
+  const unlocked = balance - await token.getLockedTokens(proposer);
+  const threshold = currentParams.proposalCreationThreshold;
+  const stake = currentParams.proposalStake;
+  console.log(`Proposer balance: ${formatTokens(balance)} (${formatTokens(unlocked)} not locked by delegation)`);
+  console.log(`Proposal threshold: ${formatTokens(threshold)}, stake: ${formatTokens(stake)}`);
+  
+  if (balance < threshold) {
+    throw invalid(`${proposer} holds ${formatTokens(balance)}; creating a proposal needs ${formatTokens(threshold)}`);
+  }
+  if (unlocked < stake) {
+    throw invalid(`${proposer} has ${formatTokens(unlocked)} not locked by delegation; the proposal stake is ${formatTokens(stake)}. Reset the delegation to free tokens for the stake.`);
+  }
+}
+
+// Submit one GovernanceChange proposal for the changes. Returns the proposal entry of the JSON report
+// with status "proposed", "reverted" or "failed".
+async function submitGovernanceChange(contract, toSend, description, network) {
+  const values = { newThreshold: 0n, newQuorum: 0n, newVotingDuration: 0n, newTimelockDelay: 0n };
+  for (const { paramType, newValue } of toSend) {
+    values[proposalFields[paramType]] = newValue;
+  }
+  const args = [
+    description,
+    PROPOSAL_TYPE_GOVERNANCE_CHANGE,
+    ethers.ZeroAddress,
+    '0x',
+    0n,
+    ethers.ZeroAddress,
+    ethers.ZeroAddress,
+    values.newThreshold,
+    values.newQuorum,
+    values.newVotingDuration,
+    values.newTimelockDelay
+  ];
+  const proposal = {
+    description,
+    ...Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value.toString()])),
+    proposalId: null,
+    txHash: null,
+    blockNumber: null,
+    votingDeadline: null,
+    status: "failed"
+  };
+  console.log(`\nSubmitting GovernanceChange proposal "${description}"...`);
+  
+  try {
+    let gasEstimate;
+    try {
+      gasEstimate = await contract.createProposal.estimateGas(...args);
+    } catch (error) {
+      if (error.code === 'CALL_EXCEPTION') {
+        proposal.status = "reverted";
+        proposal.error = `Would revert: ${error.shortMessage || error.message}`;
+        return proposal;
+      }
+      console.log(`Warning: Failed to estimate gas. Using default gas limit. Error: ${error.message}`);
+      gasEstimate = 1000000n;
+    }
+    
+    const fees = await getFeeOverrides(contract.runner.provider);
+    const txOptions = { gasLimit: gasEstimate * 120n / 100n, ...fees };
+    console.log(`Using gas limit ${txOptions.gasLimit.toString()}, ${describeFees(fees)}`);
+    
+    const tx = await contract.createProposal(...args, txOptions);
+    proposal.txHash = tx.hash;
+    console.log(`Transaction sent: ${tx.hash}`);
+    if (network === 'sepolia') {
+      console.log(`Track transaction: https://sepolia.etherscan.io/tx/${tx.hash}`);
+    } else if (network === 'mainnet') {
+      console.log(`Track transaction: https://etherscan.io/tx/${tx.hash}`);
+    }
+    
+    const receipt = await waitForTransaction(contract.runner, tx);
+    proposal.txHash = receipt.hash;
+    proposal.blockNumber = receipt.blockNumber;
+    
+    // The id comes from the creation event; the deadline is the block time plus the voting duration
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contract.target.toLowerCase()) continue;
+      const parsed = contract.interface.parseLog(log);
+      if (parsed && parsed.name === 'ProposalEvent' && Number(parsed.args.eventType) === PROPOSAL_CREATED) {
+        proposal.proposalId = parsed.args.proposalId.toString();
+      }
+    }
+    const block = await contract.runner.provider.getBlock(receipt.blockNumber);
+    const { votingDuration } = await contract.govParams({ blockTag: receipt.blockNumber });
+    const deadline = block.timestamp + Number(votingDuration);
+    proposal.votingDeadline = new Date(deadline * 1000).toISOString();
+    proposal.votingDeadlineTimestamp = deadline;
+    proposal.status = "proposed";
+  } catch (error) {
+    proposal.status = /revert/i.test(error.message) || error.code === 'CALL_EXCEPTION' ? "reverted" : "failed";
+    proposal.error = error.shortMessage || error.message;
+  }
+  return proposal;
+}
+
+function printProposalResult(proposal) {
+  if (proposal.status !== "proposed") {
+    console.error(`❌ Proposal not created: ${proposal.error}`);
+    return;
+  }
+  console.log(`✅ Proposal #${proposal.proposalId} created in block ${proposal.blockNumber}`);
+  console.log(`Voting ends ${proposal.votingDeadline}; once it succeeds, queue and execute it to apply the changes`);
+}
+
+// Leave with the exit code for an error, reported as JSON too in scripted runs
+function exitOnError(error, options) {
+  const exitCode = error.invalid ? EXIT_INVALID : EXIT_ERROR;
+  if (options.scripted) {
+    process.stdout.write(JSON.stringify({ status: error.invalid ? "invalid" : "error", error: error.message, exitCode }, null, 2) + '\n');
+  }
+  process.exit(exitCode);
+}
+
 async function main() {
+  const options = getCliOptions();
+  if (options.scripted) {
+    // Keep stdout for the JSON results
+    console.log = console.error;
+  }
+  
   try {
     console.log("=".repeat(60));
     console.log("JustGovernance Parameter Checker and Updater");
@@ -71,21 +661,6 @@ async function main() {
       
       console.log(`Using Hardhat provider for network: ${network}`);
       console.log(`Using signer account: ${wallet.address}`);
-      
-      try {
-        // Try to get contract from deployments if available
-        if (hre.deployments) {
-          try {
-            const deployment = await hre.deployments.get("JustGovernanceUpgradeable");
-            governanceAddress = deployment.address;
-            console.log(`Found contract from deployments: ${governanceAddress}`);
-          } catch (e) {
-            console.log("No deployment found, will check .env file");
-          }
-        }
-      } catch (e) {
-        console.log("Hardhat deployments not available");
-      }
     }
     // Standalone mode - not running through Hardhat
     else {
@@ -96,9 +671,13 @@ async function main() {
         arg === '--network' && index < process.argv.length - 1
       );
       
+      // No default: a forgotten --network must not silently pick a deployment
       network = networkArg ? 
         process.argv[process.argv.indexOf('--network') + 1] : 
-        'sepolia';
+        process.env.NETWORK;
+      if (!network) {
+        throw new Error('No network selected: pass --network <localhost|sepolia|mainnet> or set NETWORK');
+      }
       
       console.log(`Using network: ${network}`);
       
@@ -165,36 +744,17 @@ async function main() {
       console.log("Continuing anyway - this might be normal for localhost development chains");
     }
     
-    // Get governance contract address if not already set from deployments
-    if (!governanceAddress) {
-      governanceAddress = process.env.GOVERNANCE_ADDRESS;
-      if (!governanceAddress) {
-        throw new Error('GOVERNANCE_ADDRESS not found in .env file and no deployment found');
-      }
-      console.log(`Using governance contract from .env: ${governanceAddress}`);
-    }
+    // Resolve the governance contract from the deployment manifest for this network
+    governanceAddress = getContractAddress(network, 'JustGovernance');
+    console.log(`Using governance contract from deployment manifest: ${governanceAddress}`);
     
-    // Check if contract exists
-    try {
-      const code = await provider.getCode(governanceAddress);
-      if (code === '0x' || code === '0x0') {
-        if (network === 'localhost' || network === 'local' || network === 'hardhat') {
-          console.log(`⚠️ No contract code found at ${governanceAddress} on ${network}.`);
-          console.log("This might be normal if you're on a fresh local chain. Attempting to continue...");
-        } else {
-          throw new Error(`No contract code found at address ${governanceAddress} on ${network}. Please verify the contract is deployed.`);
-        }
-      } else {
-        console.log(`✅ Contract code verified at ${governanceAddress}`);
-      }
-    } catch (error) {
-      if (network === 'localhost' || network === 'local' || network === 'hardhat') {
-        console.log(`⚠️ Error checking contract code: ${error.message}`);
-        console.log("This might be normal on local networks. Attempting to continue...");
-      } else {
-        throw error;
-      }
-    }
+    // Make sure the connected chain is the one this deployment was recorded on and the contract is there
+    const { chainId, manifest } = await guardDeployment(provider, network, {
+      keys: ['JustGovernance'],
+      // Keep stdout for the JSON results
+      question: options.scripted ? query => askOnce(query, process.stderr) : undefined
+    });
+    const fromBlock = manifest.contracts.JustGovernance.blockNumber;
     
     // Create contract instance - use different approaches based on environment
     if (typeof hre !== 'undefined' && hre.ethers && hre.ethers.getContractAt) {
@@ -220,14 +780,17 @@ async function main() {
       if (!hasAdminRole) {
         console.log(`⚠️ WARNING: The wallet ${wallet.address} does not have ADMIN_ROLE in the governance contract.`);
         console.log("You may not be able to update parameters.");
+        console.log("Run with --param/--value or --file to submit the changes as a GovernanceChange proposal instead.");
       } else {
         console.log(`✅ Wallet has ADMIN_ROLE - can update governance parameters`);
       }
       
       // Get voting duration constraints
-      const minVotingDuration = await governanceContract.minVotingDuration();
-      const maxVotingDuration = await governanceContract.maxVotingDuration();
-      console.log(`Voting duration constraints: min=${minVotingDuration.toString()} seconds, max=${maxVotingDuration.toString()} seconds (${Math.floor(Number(maxVotingDuration) / 86400)} days)`);
+      const limits = {
+        minVotingDuration: await governanceContract.minVotingDuration(),
+        maxVotingDuration: await governanceContract.maxVotingDuration()
+      };
+      console.log(`Voting duration constraints: min=${describeDuration(limits.minVotingDuration)}, max=${describeDuration(limits.maxVotingDuration)}`);
       
       // Get current parameters
       const currentParams = await governanceContract.govParams();
@@ -236,14 +799,25 @@ async function main() {
       console.log("-".repeat(40));
       
       // Format and display current params with indexes
-      console.log(`[${PARAM_VOTING_DURATION}] ${paramNames[PARAM_VOTING_DURATION]}: ${currentParams.votingDuration.toString()} seconds (${(Number(currentParams.votingDuration) / 3600).toFixed(2)} hours)`);
-      console.log(`[${PARAM_QUORUM}] ${paramNames[PARAM_QUORUM]}: ${ethers.formatUnits(currentParams.quorum, 18)} tokens`);
-      console.log(`[${PARAM_TIMELOCK_DELAY}] ${paramNames[PARAM_TIMELOCK_DELAY]}: ${currentParams.timelockDelay.toString()} seconds (${(Number(currentParams.timelockDelay) / 60).toFixed(2)} minutes)`);
-      console.log(`[${PARAM_PROPOSAL_THRESHOLD}] ${paramNames[PARAM_PROPOSAL_THRESHOLD]}: ${ethers.formatUnits(currentParams.proposalCreationThreshold, 18)} tokens`);
-      console.log(`[${PARAM_PROPOSAL_STAKE}] ${paramNames[PARAM_PROPOSAL_STAKE]}: ${ethers.formatUnits(currentParams.proposalStake, 18)} tokens`);
-      console.log(`[${PARAM_DEFEATED_REFUND_PERCENTAGE}] ${paramNames[PARAM_DEFEATED_REFUND_PERCENTAGE]}: ${currentParams.defeatedRefundPercentage.toString()}%`);
-      console.log(`[${PARAM_CANCELED_REFUND_PERCENTAGE}] ${paramNames[PARAM_CANCELED_REFUND_PERCENTAGE]}: ${currentParams.canceledRefundPercentage.toString()}%`);
-      console.log(`[${PARAM_EXPIRED_REFUND_PERCENTAGE}] ${paramNames[PARAM_EXPIRED_REFUND_PERCENTAGE]}: ${currentParams.expiredRefundPercentage.toString()}%`);
+      for (const paramType of Object.keys(paramFields).map(Number)) {
+        console.log(`[${paramType}] ${paramNames[paramType]}: ${describeParamValue(paramType, currentParams[paramFields[paramType]])}`);
+      }
+      
+      if (options.scripted) {
+        const report = await runScriptedUpdates(options, governanceContract, {
+          network,
+          chainId,
+          signerAddress: wallet.address,
+          hasAdminRole,
+          limits,
+          currentParams,
+          fromBlock
+        });
+        const reportPath = writeJsonFile(getReportPath(network, 'governance-params'), report);
+        console.log(`\nResults written to ${reportPath}`);
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+        process.exit(report.exitCode);
+      }
       
       // Ask for parameter updates
       console.log("\nDo you want to update parameters? (y/n)");
@@ -255,7 +829,7 @@ async function main() {
       
       rl.question("Enter 'y' to update parameters or 'n' to exit: ", async (answer) => {
         if (answer.toLowerCase() === 'y') {
-          await updateParameters(governanceContract, minVotingDuration, maxVotingDuration, currentParams, rl, network);
+          await updateParameters(governanceContract, limits, currentParams, rl, network, fromBlock);
         } else {
           console.log("Exiting without updates");
           rl.close();
@@ -263,12 +837,16 @@ async function main() {
         }
       });
     } catch (error) {
+      if (error.invalid) {
+        console.error(`\n❌ ${error.message}`);
+        exitOnError(error, options);
+      }
       console.error(`\n❌ Error checking contract parameters: ${error.message}`);
       if (error.data) {
         console.error("Contract error data:", error.data);
       }
       console.log("This may indicate the contract is not properly deployed or initialized on this network.");
-      process.exit(1);
+      exitOnError(error, options);
     }
     
   } catch (error) {
@@ -276,11 +854,11 @@ async function main() {
     if (error.data) {
       console.error("Contract error data:", error.data);
     }
-    process.exit(1);
+    exitOnError(error, options);
   }
 }
 
-async function updateParameters(contract, minVotingDuration, maxVotingDuration, currentParams, rl, network) {
+async function updateParameters(contract, limits, currentParams, rl, network, fromBlock) {
   console.log("\nParameter Update Menu");
   console.log("-".repeat(40));
   
@@ -311,169 +889,42 @@ Choice: `, (paramChoice) => {
           return;
         }
         
-        rl.question(`Enter new value for ${paramNames[paramType]}: `, async (valueInput) => {
+        rl.question(`Enter new value for ${paramNames[paramType]} (${paramExamples(paramType)}): `, async (valueInput) => {
           try {
-            let newValue;
-            
-            // Handle different parameter types
-            if (paramType === PARAM_QUORUM || paramType === PARAM_PROPOSAL_THRESHOLD || paramType === PARAM_PROPOSAL_STAKE) {
-              // Parse token amounts and convert to wei
-              newValue = ethers.parseUnits(valueInput, 18);
-            } else {
-              // Parse numeric values
-              newValue = BigInt(valueInput);
-            }
+            const newValue = parseParamValue(paramType, valueInput);
+            validateParamValue(paramType, newValue, limits);
             
-            // Validate the inputs
-            if (paramType === PARAM_VOTING_DURATION) {
-              if (newValue < minVotingDuration || newValue > maxVotingDuration) {
-                throw new Error(`Voting duration must be between ${minVotingDuration} and ${maxVotingDuration} seconds`);
-              }
-            } else if (
-              paramType === PARAM_DEFEATED_REFUND_PERCENTAGE || 
-              paramType === PARAM_CANCELED_REFUND_PERCENTAGE ||
-              paramType === PARAM_EXPIRED_REFUND_PERCENTAGE
-            ) {
-              if (newValue > 100n) {
-                throw new Error("Percentage cannot exceed 100%");
-              }
-            } else if (newValue <= 0n) {
-              throw new Error("Value must be greater than 0");
+            console.log(`${paramNames[paramType]}: ${describeParamValue(paramType, currentParams[paramFields[paramType]])} -> ${describeParamValue(paramType, newValue)}`);
+            const confirmed = await new Promise(resolveAnswer => rl.question("Send this change? (y/n): ", resolveAnswer));
+            if (confirmed.toLowerCase() !== 'y') {
+              console.log("Update skipped");
+              resolve(paramPrompt());
+              return;
             }
             
-            console.log(`\nUpdating ${paramNames[paramType]}...`);
-            
-            try {
-              // Get gas estimate - with some error handling for local networks
-              let gasEstimate;
-              try {
-                gasEstimate = await contract.updateGovParam.estimateGas(paramType, newValue);
-                console.log(`Gas estimate: ${gasEstimate.toString()}`);
-              } catch (error) {
-                console.log(`Warning: Failed to estimate gas. Using default gas limit. Error: ${error.message}`);
-                gasEstimate = 300000n; // Default reasonable gas limit
-              }
-              
-              // Get current gas settings
-              let txOptions = {};
-              try {
-                const feeData = await contract.runner.provider.getFeeData();
-                
-                // For local dev chains, keep it simple
-                if (network === 'localhost' || network === 'local' || network === 'hardhat') {
-                  txOptions = {
-                    gasLimit: gasEstimate || 300000n
-                  };
-                } else {
-                  // For real networks, add gas buffer and use EIP-1559 if available
-                  txOptions = {
-                    gasLimit: gasEstimate ? gasEstimate * 120n / 100n : 300000n,
-                    maxFeePerGas: feeData.maxFeePerGas ? feeData.maxFeePerGas * 110n / 100n : undefined,
-                    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas * 110n / 100n : undefined
-                  };
-                }
-                
-                console.log("Using gas settings:", JSON.stringify({
-                  gasLimit: txOptions.gasLimit?.toString() || "default",
-                  maxFeePerGas: txOptions.maxFeePerGas ? ethers.formatUnits(txOptions.maxFeePerGas, 'gwei') + ' gwei' : 'not set',
-                  maxPriorityFeePerGas: txOptions.maxPriorityFeePerGas ? ethers.formatUnits(txOptions.maxPriorityFeePerGas, 'gwei') + ' gwei' : 'not set'
-                }, null, 2));
-              } catch (error) {
-                console.log(`Warning: Error getting fee data. Using default gas settings. Error: ${error.message}`);
-                txOptions = { gasLimit: 300000n };
-              }
-              
-              // Execute the transaction
-              console.log("Sending transaction...");
-              const tx = await contract.updateGovParam(paramType, newValue, txOptions);
-              console.log(`Transaction sent: ${tx.hash}`);
-              
-              // Network-specific explorers
-              if (network === 'sepolia') {
-                console.log(`Track transaction: https://sepolia.etherscan.io/tx/${tx.hash}`);
-              } else if (network === 'mainnet') {
-                console.log(`Track transaction: https://etherscan.io/tx/${tx.hash}`);
-              } else {
-                console.log(`Transaction sent on ${network} network`);
-              }
-              
-              const receipt = await tx.wait();
-              console.log(`✅ Transaction confirmed in block ${receipt.blockNumber}`);
-              
-              // Get updated parameter to verify
-              const updatedParams = await contract.govParams();
-              let currentValue, formattedNewValue, formattedUpdatedValue;
-              
-              switch (paramType) {
-                case PARAM_VOTING_DURATION:
-                  currentValue = currentParams.votingDuration;
-                  formattedNewValue = newValue.toString();
-                  formattedUpdatedValue = updatedParams.votingDuration.toString();
-                  break;
-                case PARAM_QUORUM:
-                  currentValue = currentParams.quorum;
-                  formattedNewValue = ethers.formatUnits(newValue, 18);
-                  formattedUpdatedValue = ethers.formatUnits(updatedParams.quorum, 18);
-                  break;
-                case PARAM_TIMELOCK_DELAY:
-                  currentValue = currentParams.timelockDelay;
-                  formattedNewValue = newValue.toString();
-                  formattedUpdatedValue = updatedParams.timelockDelay.toString();
-                  break;
-                case PARAM_PROPOSAL_THRESHOLD:
-                  currentValue = currentParams.proposalCreationThreshold;
-                  formattedNewValue = ethers.formatUnits(newValue, 18);
-                  formattedUpdatedValue = ethers.formatUnits(updatedParams.proposalCreationThreshold, 18);
-                  break;
-                case PARAM_PROPOSAL_STAKE:
-                  currentValue = currentParams.proposalStake;
-                  formattedNewValue = ethers.formatUnits(newValue, 18);
-                  formattedUpdatedValue = ethers.formatUnits(updatedParams.proposalStake, 18);
-                  break;
-                case PARAM_DEFEATED_REFUND_PERCENTAGE:
-                  currentValue = currentParams.defeatedRefundPercentage;
-                  formattedNewValue = newValue.toString();
-                  formattedUpdatedValue = updatedParams.defeatedRefundPercentage.toString();
-                  break;
-                case PARAM_CANCELED_REFUND_PERCENTAGE:
-                  currentValue = currentParams.canceledRefundPercentage;
-                  formattedNewValue = newValue.toString();
-                  formattedUpdatedValue = updatedParams.canceledRefundPercentage.toString();
-                  break;
-                case PARAM_EXPIRED_REFUND_PERCENTAGE:
-                  currentValue = currentParams.expiredRefundPercentage;
-                  formattedNewValue = newValue.toString();
-                  formattedUpdatedValue = updatedParams.expiredRefundPercentage.toString();
-                  break;
-              }
-              
-              console.log(`Parameter update summary for ${paramNames[paramType]}:`);
-              console.log(`- Previous value: ${currentValue.toString()}`);
-              console.log(`- New value set: ${formattedNewValue}`);
-              console.log(`- Updated value: ${formattedUpdatedValue}`);
-              
-              if (formattedNewValue !== formattedUpdatedValue) {
-                console.warn("⚠️ New value doesn't match updated value. Verification failed.");
-              } else {
-                console.log("✅ Parameter successfully updated and verified!");
-              }
-            } catch (txError) {
-              console.error(`❌ Transaction error: ${txError.message}`);
-              if (txError.data) {
-                console.error("Contract error data:", txError.data);
+            const findings = await checkConsistency(contract, [{ paramType, newValue }], currentParams, fromBlock);
+            if (findings.some(finding => finding.level === "warning")) {
+              const answer = await new Promise(resolveAnswer => rl.question("Send anyway? (y/n): ", resolveAnswer));
+              if (answer.toLowerCase() !== 'y') {
+                console.log("Update skipped");
+                resolve(paramPrompt());
+                return;
               }
             }
             
-            // Continue updating parameters
-            resolve(paramPrompt());
-            
+            const result = await applyParamChange(contract, paramType, newValue, currentParams, network,
+              promptStuckAction(query => new Promise(resolve => rl.question(query, resolve))));
+            printParamResult(result);
+            currentParams = await contract.govParams();
           } catch (error) {
             console.error(`❌ Error updating parameter: ${error.message}`);
             if (error.data) {
               console.error("Contract error data:", error.data);
             }
-            resolve(paramPrompt());
           }
+          
+          // Continue updating parameters
+          resolve(paramPrompt());
         });
       });
     });
@@ -488,14 +939,9 @@ Choice: `, (paramChoice) => {
       console.log("\nFinal Governance Parameters:");
       console.log("-".repeat(40));
       
-      console.log(`${paramNames[PARAM_VOTING_DURATION]}: ${finalParams.votingDuration.toString()} seconds (${(Number(finalParams.votingDuration) / 3600).toFixed(2)} hours)`);
-      console.log(`${paramNames[PARAM_QUORUM]}: ${ethers.formatUnits(finalParams.quorum, 18)} tokens`);
-      console.log(`${paramNames[PARAM_TIMELOCK_DELAY]}: ${finalParams.timelockDelay.toString()} seconds (${(Number(finalParams.timelockDelay) / 60).toFixed(2)} minutes)`);
-      console.log(`${paramNames[PARAM_PROPOSAL_THRESHOLD]}: ${ethers.formatUnits(finalParams.proposalCreationThreshold, 18)} tokens`);
-      console.log(`${paramNames[PARAM_PROPOSAL_STAKE]}: ${ethers.formatUnits(finalParams.proposalStake, 18)} tokens`);
-      console.log(`${paramNames[PARAM_DEFEATED_REFUND_PERCENTAGE]}: ${finalParams.defeatedRefundPercentage.toString()}%`);
-      console.log(`${paramNames[PARAM_CANCELED_REFUND_PERCENTAGE]}: ${finalParams.canceledRefundPercentage.toString()}%`);
-      console.log(`${paramNames[PARAM_EXPIRED_REFUND_PERCENTAGE]}: ${finalParams.expiredRefundPercentage.toString()}%`);
+      for (const paramType of Object.keys(paramFields).map(Number)) {
+        console.log(`${paramNames[paramType]}: ${describeParamValue(paramType, finalParams[paramFields[paramType]])}`);
+      }
       
       console.log("\n✅ All governance parameter updates completed!");
     } catch (error) {
@@ -1,6 +1,7 @@
 // direct-timelock-update.js
 // Script to directly update JustTimelockUpgradeable contract parameters without queueing
-// Usage: node direct-timelock-update.js [--config ./config.json]
+// Usage: node direct-timelock-update.js --network <localhost|sepolia> [--config ./config.json]
+// (or NETWORK=<name>; without either the script asks which deployment to use)
 
 // Load environment variables from .env file
 require('dotenv').config();
@@ -8,6 +9,18 @@ require('dotenv').config();
 const { ethers } = require('ethers');
 const fs = require('fs');
 const readline = require('readline');
+const { getContractAddress } = require('./deploymentManifest');
+const { guardDeployment } = require('./chainGuard');
+const {
+  getFeeConfig,
+  getFeeOverrides,
+  assertWithinCap,
+  describeFees,
+  maxTransactionCost,
+  promptStuckAction,
+  waitForTransaction
+} = require('./fees');
+const { parseDuration, describeDuration, parseTokenAmount, describeTokens } = require('./units');
 
 // ABI fragments for the JustTimelockUpgradeable contract functions we need
 const TIMELOCK_ABI = [
@@ -41,20 +54,18 @@ const NETWORKS = {
     name: 'localhost',
     rpcUrl: process.env.LOCAL_RPC_URL || 'http://localhost:8545',
     gasLimit: 3000000,
-    gasPrice: '50000000000', // 50 gwei
   },
   sepolia: {
     name: 'sepolia',
     rpcUrl: `https://sepolia.infura.io/v3/${process.env.INFURA_KEY || 'YOUR_INFURA_KEY'}`,
     gasLimit: 3000000,
-    gasPrice: '20000000000', // 20 gwei - adjust based on current gas prices
   }
 };
 
-// Default configuration
+// Default configuration. There is no default network: a forgotten --network or NETWORK must not
+// silently pick a deployment.
 const DEFAULT_CONFIG = {
-  network: process.env.NETWORK || 'localhost',
-  timelockAddress: process.env.TIMELOCK_ADDRESS || '',
+  network: process.env.NETWORK,
   privateKey: process.env.PRIVATE_KEY || '',
 };
 
@@ -72,7 +83,7 @@ function question(query) {
 }
 
 // Load configuration from file or use defaults
-async function loadConfig(configPath) {
+async function loadConfig(configPath, networkArg) {
   let config = { ...DEFAULT_CONFIG };
   
   try {
@@ -80,11 +91,24 @@ async function loadConfig(configPath) {
       const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
       config = { ...config, ...fileConfig };
       console.log(`Loaded configuration from ${configPath}`);
+      if (networkArg) {
+        config.network = networkArg;
+      }
+      if (!config.network) {
+        throw new Error(`No network selected: pass --network, set NETWORK or add "network" to ${configPath}`);
+      }
     } else {
-      // If values weren't loaded from .env file, prompt for required values
-      if (!config.network || (config.network !== 'localhost' && config.network !== 'sepolia')) {
-        const networkChoice = await question('Select network (1. localhost, 2. sepolia): ');
-        config.network = networkChoice === '2' ? 'sepolia' : 'localhost';
+      if (networkArg) {
+        config.network = networkArg;
+      }
+      // If values weren't loaded from .env file, prompt for required values. Only an explicit
+      // choice is accepted.
+      if (!config.network && !process.stdin.isTTY) {
+        throw new Error('No network selected: pass --network or set NETWORK');
+      }
+      while (!config.network || (config.network !== 'localhost' && config.network !== 'sepolia')) {
+        const networkChoice = (await question('Select network (1. localhost, 2. sepolia): ')).trim();
+        config.network = { '1': 'localhost', '2': 'sepolia' }[networkChoice];
       }
       
       // For Sepolia, check for Infura key
@@ -96,10 +120,6 @@ async function loadConfig(configPath) {
         }
       }
       
-      if (!config.timelockAddress) {
-        config.timelockAddress = await question('Enter the JustTimelockUpgradeable contract address (or set TIMELOCK_ADDRESS in .env): ');
-      }
-      
       if (!config.privateKey) {
         config.privateKey = await question('Enter your private key (will not be stored - consider setting PRIVATE_KEY in .env): ');
       }
@@ -113,6 +133,12 @@ async function loadConfig(configPath) {
     
     config = { ...config, ...networkConfig };
     
+    // Resolve the contract from the deployment manifest unless the config file pins an address
+    if (!config.timelockAddress) {
+      config.timelockAddress = getContractAddress(config.network, 'JustTimelock');
+      console.log(`Using JustTimelock from deployment manifest: ${config.timelockAddress}`);
+    }
+    
     return config;
   } catch (error) {
     console.error('Error loading configuration:', error);
@@ -127,6 +153,13 @@ async function setupEthers(config) {
     const provider = new ethers.JsonRpcProvider(config.rpcUrl);
     const wallet = new ethers.Wallet(config.privateKey, provider);
     
+    // Make sure the RPC endpoint serves the deployment selected by config.network
+    await guardDeployment(provider, config.network, {
+      keys: ['JustTimelock'],
+      addresses: { JustTimelock: config.timelockAddress },
+      question
+    });
+    
     // Get account balance
     const balance = await provider.getBalance(wallet.address);
     
@@ -233,18 +266,18 @@ async function getCurrentParameters(timelockContract) {
     console.log('\nCurrent Parameter Values:');
     console.log('------------------------');
     console.log('General Delays:');
-    console.log(`  Minimum Delay: ${formatSeconds(minDelay)}`);
-    console.log(`  Maximum Delay: ${formatSeconds(maxDelay)}`);
-    console.log(`  Grace Period: ${formatSeconds(gracePeriod)}`);
+    console.log(`  Minimum Delay: ${describeDuration(minDelay)}`);
+    console.log(`  Maximum Delay: ${describeDuration(maxDelay)}`);
+    console.log(`  Grace Period: ${describeDuration(gracePeriod)}`);
     
     console.log('\nThreat Level Delays:');
-    console.log(`  Low Threat: ${formatSeconds(lowThreatDelay)}`);
-    console.log(`  Medium Threat: ${formatSeconds(mediumThreatDelay)}`);
-    console.log(`  High Threat: ${formatSeconds(highThreatDelay)}`);
-    console.log(`  Critical Threat: ${formatSeconds(criticalThreatDelay)}`);
+    console.log(`  Low Threat: ${describeDuration(lowThreatDelay)}`);
+    console.log(`  Medium Threat: ${describeDuration(mediumThreatDelay)}`);
+    console.log(`  High Threat: ${describeDuration(highThreatDelay)}`);
+    console.log(`  Critical Threat: ${describeDuration(criticalThreatDelay)}`);
     
     console.log('\nExecutor Token Threshold:');
-    console.log(`  Minimum Tokens: ${formatTokenAmount(minExecutorTokenThreshold)}`);
+    console.log(`  Minimum Tokens: ${describeTokens(minExecutorTokenThreshold)}`);
     
     return params;
   } catch (error) {
@@ -253,51 +286,6 @@ async function getCurrentParameters(timelockContract) {
   }
 }
 
-// Format seconds into days, hours, minutes, seconds
-function formatSeconds(seconds) {
-  const bigSeconds = BigInt(seconds);
-  const days = bigSeconds / 86400n;
-  const hours = (bigSeconds % 86400n) / 3600n;
-  const minutes = (bigSeconds % 3600n) / 60n;
-  const secs = bigSeconds % 60n;
-  
-  let result = '';
-  if (days > 0n) result += `${days}d `;
-  if (hours > 0n) result += `${hours}h `;
-  if (minutes > 0n) result += `${minutes}m `;
-  if (secs > 0n || result === '') result += `${secs}s`;
-  
-  return `${seconds.toString()} (${result.trim()})`;
-}
-
-// Format token amount to make it more readable
-function formatTokenAmount(amount) {
-  // Assuming 18 decimals, but you should adjust this if needed
-  const decimals = 18;
-  const bigAmount = BigInt(amount);
-  
-  if (bigAmount === 0n) return "0";
-  
-  // Convert to a whole number and decimal part
-  const divisor = 10n ** BigInt(decimals);
-  const wholeNumber = bigAmount / divisor;
-  const decimalPart = bigAmount % divisor;
-  
-  // Format the decimal part
-  const decimalStr = decimalPart.toString().padStart(decimals, '0');
-  const trimmedDecimal = decimalStr.replace(/0+$/, '');
-  
-  if (wholeNumber === 0n && trimmedDecimal === '') {
-    return "0";
-  } else if (wholeNumber === 0n) {
-    return `0.${trimmedDecimal}`;
-  } else if (trimmedDecimal === '') {
-    return wholeNumber.toString();
-  } else {
-    return `${wholeNumber}.${trimmedDecimal}`;
-  }
-}
-
 // Prompt the user for parameter updates
 async function promptForUpdates(currentParams) {
   try {
@@ -330,32 +318,33 @@ async function promptForUpdates(currentParams) {
   }
 }
 
+// Ask for one duration; a blank answer keeps the current value, a bare number is in days
+async function promptForDuration(label, currentValue) {
+  const input = await question(`New ${label} (currently ${describeDuration(currentValue)}): `);
+  return input.trim() ? parseDuration(input, { defaultUnit: 'd' }) : BigInt(currentValue);
+}
+
 // Prompt for general delay updates
 async function promptForGeneralDelays(currentValues) {
   console.log('\nUpdating General Delays:');
   console.log('Current values:');
-  console.log(`- Minimum Delay: ${formatSeconds(currentValues.minDelay)}`);
-  console.log(`- Maximum Delay: ${formatSeconds(currentValues.maxDelay)}`);
-  console.log(`- Grace Period: ${formatSeconds(currentValues.gracePeriod)}`);
+  console.log(`- Minimum Delay: ${describeDuration(currentValues.minDelay)}`);
+  console.log(`- Maximum Delay: ${describeDuration(currentValues.maxDelay)}`);
+  console.log(`- Grace Period: ${describeDuration(currentValues.gracePeriod)}`);
   
-  // Convert to seconds for easier input
-  const secInDay = 86400;
-  const currentMinInDays = parseInt(currentValues.minDelay) / secInDay;
-  const currentMaxInDays = parseInt(currentValues.maxDelay) / secInDay;
-  const currentGraceInDays = parseInt(currentValues.gracePeriod) / secInDay;
-  
-  console.log('\nEnter new values in days (leave blank to keep current values):');
-  let minDelayInput = await question(`New Minimum Delay (currently ~${currentMinInDays.toFixed(2)} days): `);
-  let maxDelayInput = await question(`New Maximum Delay (currently ~${currentMaxInDays.toFixed(2)} days): `);
-  let gracePeriodInput = await question(`New Grace Period (currently ~${currentGraceInDays.toFixed(2)} days): `);
-  
-  // Convert inputs to seconds, keeping current values if no input
-  const newMinDelay = minDelayInput ? Math.floor(parseFloat(minDelayInput) * secInDay) : parseInt(currentValues.minDelay);
-  const newMaxDelay = maxDelayInput ? Math.floor(parseFloat(maxDelayInput) * secInDay) : parseInt(currentValues.maxDelay);
-  const newGracePeriod = gracePeriodInput ? Math.floor(parseFloat(gracePeriodInput) * secInDay) : parseInt(currentValues.gracePeriod);
+  console.log('\nEnter new values like "2d", "1d 12h" or "90m"; a bare number is in days (leave blank to keep current values):');
+  let newMinDelay, newMaxDelay, newGracePeriod;
+  try {
+    newMinDelay = await promptForDuration('Minimum Delay', currentValues.minDelay);
+    newMaxDelay = await promptForDuration('Maximum Delay', currentValues.maxDelay);
+    newGracePeriod = await promptForDuration('Grace Period', currentValues.gracePeriod);
+  } catch (error) {
+    console.error(`${error.message}. Please try again.`);
+    return await promptForGeneralDelays(currentValues);
+  }
   
   // Validate inputs
-  if (newMinDelay <= 0) {
+  if (newMinDelay <= 0n) {
     console.error('Minimum delay must be greater than 0.');
     return await promptForGeneralDelays(currentValues);
   }
@@ -365,15 +354,15 @@ async function promptForGeneralDelays(currentValues) {
     return await promptForGeneralDelays(currentValues);
   }
   
-  if (newGracePeriod <= 0) {
+  if (newGracePeriod <= 0n) {
     console.error('Grace period must be greater than 0.');
     return await promptForGeneralDelays(currentValues);
   }
   
   console.log('\nNew values:');
-  console.log(`- Minimum Delay: ${formatSeconds(newMinDelay.toString())}`);
-  console.log(`- Maximum Delay: ${formatSeconds(newMaxDelay.toString())}`);
-  console.log(`- Grace Period: ${formatSeconds(newGracePeriod.toString())}`);
+  console.log(`- Minimum Delay: ${describeDuration(newMinDelay)}`);
+  console.log(`- Maximum Delay: ${describeDuration(newMaxDelay)}`);
+  console.log(`- Grace Period: ${describeDuration(newGracePeriod)}`);
   
   const confirm = await question('\nConfirm these values? (y/n): ');
   if (confirm.toLowerCase() !== 'y') {
@@ -394,29 +383,22 @@ async function promptForGeneralDelays(currentValues) {
 async function promptForThreatLevelDelays(currentValues) {
   console.log('\nUpdating Threat Level Delays:');
   console.log('Current values:');
-  console.log(`- Low Threat Delay: ${formatSeconds(currentValues.lowThreatDelay)}`);
-  console.log(`- Medium Threat Delay: ${formatSeconds(currentValues.mediumThreatDelay)}`);
-  console.log(`- High Threat Delay: ${formatSeconds(currentValues.highThreatDelay)}`);
-  console.log(`- Critical Threat Delay: ${formatSeconds(currentValues.criticalThreatDelay)}`);
+  console.log(`- Low Threat Delay: ${describeDuration(currentValues.lowThreatDelay)}`);
+  console.log(`- Medium Threat Delay: ${describeDuration(currentValues.mediumThreatDelay)}`);
+  console.log(`- High Threat Delay: ${describeDuration(currentValues.highThreatDelay)}`);
+  console.log(`- Critical Threat Delay: ${describeDuration(currentValues.criticalThreatDelay)}`);
   
-  // Convert to days for easier input
-  const secInDay = 86400;
-  const currentLowInDays = parseInt(currentValues.lowThreatDelay) / secInDay;
-  const currentMediumInDays = parseInt(currentValues.mediumThreatDelay) / secInDay;
-  const currentHighInDays = parseInt(currentValues.highThreatDelay) / secInDay;
-  const currentCriticalInDays = parseInt(currentValues.criticalThreatDelay) / secInDay;
-  
-  console.log('\nEnter new values in days (leave blank to keep current values):');
-  let lowDelayInput = await question(`New Low Threat Delay (currently ~${currentLowInDays.toFixed(2)} days): `);
-  let mediumDelayInput = await question(`New Medium Threat Delay (currently ~${currentMediumInDays.toFixed(2)} days): `);
-  let highDelayInput = await question(`New High Threat Delay (currently ~${currentHighInDays.toFixed(2)} days): `);
-  let criticalDelayInput = await question(`New Critical Threat Delay (currently ~${currentCriticalInDays.toFixed(2)} days): `);
-  
-  // Convert inputs to seconds, keeping current values if no input
-  const newLowDelay = lowDelayInput ? Math.floor(parseFloat(lowDelayInput) * secInDay) : parseInt(currentValues.lowThreatDelay);
-  const newMediumDelay = mediumDelayInput ? Math.floor(parseFloat(mediumDelayInput) * secInDay) : parseInt(currentValues.mediumThreatDelay);
-  const newHighDelay = highDelayInput ? Math.floor(parseFloat(highDelayInput) * secInDay) : parseInt(currentValues.highThreatDelay);
-  const newCriticalDelay = criticalDelayInput ? Math.floor(parseFloat(criticalDelayInput) * secInDay) : parseInt(currentValues.criticalThreatDelay);
+  console.log('\nEnter new values like "2d", "1d 12h" or "90m"; a bare number is in days (leave blank to keep current values):');
+  let newLowDelay, newMediumDelay, newHighDelay, newCriticalDelay;
+  try {
+    newLowDelay = await promptForDuration('Low Threat Delay', currentValues.lowThreatDelay);
+    newMediumDelay = await promptForDuration('Medium Threat Delay', currentValues.mediumThreatDelay);
+    newHighDelay = await promptForDuration('High Threat Delay', currentValues.highThreatDelay);
+    newCriticalDelay = await promptForDuration('Critical Threat Delay', currentValues.criticalThreatDelay);
+  } catch (error) {
+    console.error(`${error.message}. Please try again.`);
+    return await promptForThreatLevelDelays(currentValues);
+  }
   
   // Validate hierarchy
   if (newMediumDelay < newLowDelay) {
@@ -435,10 +417,10 @@ async function promptForThreatLevelDelays(currentValues) {
   }
   
   console.log('\nNew values:');
-  console.log(`- Low Threat Delay: ${formatSeconds(newLowDelay.toString())}`);
-  console.log(`- Medium Threat Delay: ${formatSeconds(newMediumDelay.toString())}`);
-  console.log(`- High Threat Delay: ${formatSeconds(newHighDelay.toString())}`);
-  console.log(`- Critical Threat Delay: ${formatSeconds(newCriticalDelay.toString())}`);
+  console.log(`- Low Threat Delay: ${describeDuration(newLowDelay)}`);
+  console.log(`- Medium Threat Delay: ${describeDuration(newMediumDelay)}`);
+  console.log(`- High Threat Delay: ${describeDuration(newHighDelay)}`);
+  console.log(`- Critical Threat Delay: ${describeDuration(newCriticalDelay)}`);
   
   const confirm = await question('\nConfirm these values? (y/n): ');
   if (confirm.toLowerCase() !== 'y') {
@@ -460,10 +442,10 @@ async function promptForThreatLevelDelays(currentValues) {
 async function promptForExecutorThreshold(currentValue) {
   console.log('\nUpdating Executor Token Threshold:');
   console.log('Current value:');
-  console.log(`- Minimum Tokens: ${formatTokenAmount(currentValue)}`);
+  console.log(`- Minimum Tokens: ${describeTokens(currentValue)}`);
   
   // Get new threshold
-  const thresholdInput = await question('\nNew Executor Token Threshold (leave blank to keep current value): ');
+  const thresholdInput = await question('\nNew Executor Token Threshold, e.g. "1.5k" or "2500 JST" (leave blank to keep current value): ');
   
   // If no input, keep current value
   if (!thresholdInput) {
@@ -478,23 +460,14 @@ async function promptForExecutorThreshold(currentValue) {
   // Parse input
   let newThreshold;
   try {
-    // Check if the input contains a decimal point
-    if (thresholdInput.includes('.')) {
-      const [whole, fraction] = thresholdInput.split('.');
-      const decimals = 18; // Assuming 18 decimals
-      const paddedFraction = fraction.padEnd(decimals, '0').substr(0, decimals);
-      newThreshold = whole === '' ? paddedFraction : whole + paddedFraction;
-    } else {
-      // Whole number, convert to wei
-      newThreshold = ethers.parseEther(thresholdInput).toString();
-    }
+    newThreshold = parseTokenAmount(thresholdInput).toString();
   } catch (error) {
-    console.error('Invalid token amount. Please try again.');
+    console.error(`${error.message}. Please try again.`);
     return await promptForExecutorThreshold(currentValue);
   }
   
   console.log('\nNew value:');
-  console.log(`- Minimum Tokens: ${formatTokenAmount(newThreshold)}`);
+  console.log(`- Minimum Tokens: ${describeTokens(newThreshold)}`);
   
   const confirm = await question('\nConfirm this value? (y/n): ');
   if (confirm.toLowerCase() !== 'y') {
@@ -518,31 +491,45 @@ async function executeDirectUpdate(timelockContract, updateData, config) {
     const wallet = timelockContract.runner;
     const provider = wallet.provider;
     
-    // Allow user to customize gas settings if desired
-    let gasPrice;
-    let gasLimit;
+    // Current EIP-1559 fees (or a legacy gas price), capped by MAX_FEE_GWEI
+    let fees = await getFeeOverrides(provider);
+    let gasLimit = config.gasLimit;
     
+    // Allow user to customize gas settings if desired
     const customGas = await question('Do you want to customize gas settings? (y/n): ');
     if (customGas.toLowerCase() === 'y') {
-      const currentGasPrice = await provider.getGasPrice();
-      console.log(`Current network gas price: ${ethers.formatUnits(currentGasPrice, 'gwei')} gwei`);
+      console.log(`Current network fees: ${describeFees(fees)}`);
+      // Custom fees are held to MAX_FEE_GWEI like the computed ones
+      const feeConfig = getFeeConfig();
       
-      const customPriceInput = await question(`Enter gas price in gwei (default: ${ethers.formatUnits(currentGasPrice, 'gwei')}): `);
-      gasPrice = customPriceInput ? 
-        ethers.parseUnits(customPriceInput, 'gwei') : 
-        currentGasPrice;
+      if (fees.gasPrice !== undefined) {
+        const customPriceInput = await question(`Enter gas price in gwei (default: ${ethers.formatUnits(fees.gasPrice, 'gwei')}): `);
+        if (customPriceInput) {
+          const gasPrice = ethers.parseUnits(customPriceInput, 'gwei');
+          assertWithinCap(gasPrice, feeConfig, 'Custom gas price');
+          fees = { gasPrice };
+        }
+      } else {
+        const customMaxFeeInput = await question(`Enter max fee per gas in gwei (default: ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')}): `);
+        const customTipInput = await question(`Enter priority fee per gas in gwei (default: ${ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')}): `);
+        const maxFeePerGas = customMaxFeeInput ? ethers.parseUnits(customMaxFeeInput, 'gwei') : fees.maxFeePerGas;
+        const maxPriorityFeePerGas = customTipInput ? ethers.parseUnits(customTipInput, 'gwei') : fees.maxPriorityFeePerGas;
+        assertWithinCap(maxFeePerGas, feeConfig, 'Custom max fee per gas');
+        assertWithinCap(maxPriorityFeePerGas, feeConfig, 'Custom priority fee per gas');
+        if (maxPriorityFeePerGas > maxFeePerGas) {
+          throw new Error('Priority fee cannot be higher than the max fee per gas');
+        }
+        fees = { maxFeePerGas, maxPriorityFeePerGas };
+      }
       
       const customLimitInput = await question(`Enter gas limit (default: ${config.gasLimit}): `);
       gasLimit = customLimitInput ? 
         parseInt(customLimitInput) : 
         config.gasLimit;
-    } else {
-      gasPrice = ethers.parseUnits(config.gasPrice, 'wei');
-      gasLimit = config.gasLimit;
     }
     
     // Estimate transaction cost
-    const estimatedCost = gasPrice * BigInt(gasLimit);
+    const estimatedCost = maxTransactionCost(fees, gasLimit);
     console.log(`Estimated maximum transaction cost: ${ethers.formatEther(estimatedCost)} ETH`);
     
     // Check if wallet has enough balance
@@ -558,10 +545,10 @@ async function executeDirectUpdate(timelockContract, updateData, config) {
     let tx;
     const options = {
       gasLimit: gasLimit,
-      gasPrice: gasPrice
+      ...fees
     };
     
-    console.log(`Using gas limit: ${gasLimit}, gas price: ${ethers.formatUnits(gasPrice, 'gwei')} gwei`);
+    console.log(`Using gas limit: ${gasLimit}, ${describeFees(fees)}`);
     
     switch (updateData.type) {
       case 'generalDelays':
@@ -600,7 +587,7 @@ async function executeDirectUpdate(timelockContract, updateData, config) {
     // Wait for transaction to be mined
     console.log('Transaction sent. Waiting for confirmation...');
     console.log(`Transaction hash: ${tx.hash}`);
-    const receipt = await tx.wait();
+    const receipt = await waitForTransaction(wallet, tx, { onStuck: promptStuckAction(question) });
     
     console.log(`\nTransaction executed successfully in block ${receipt.blockNumber}!`);
     
@@ -626,9 +613,9 @@ async function verifyUpdate(timelockContract, updateData) {
         const gracePeriod = await timelockContract.gracePeriod();
         
         console.log('Updated values:');
-        console.log(`- Minimum Delay: ${formatSeconds(minDelay)}`);
-        console.log(`- Maximum Delay: ${formatSeconds(maxDelay)}`);
-        console.log(`- Grace Period: ${formatSeconds(gracePeriod)}`);
+        console.log(`- Minimum Delay: ${describeDuration(minDelay)}`);
+        console.log(`- Maximum Delay: ${describeDuration(maxDelay)}`);
+        console.log(`- Grace Period: ${describeDuration(gracePeriod)}`);
         
         // Check if values match
         if (minDelay.toString() !== updateData.values.minDelay ||
@@ -647,10 +634,10 @@ async function verifyUpdate(timelockContract, updateData) {
         const criticalThreatDelay = await timelockContract.criticalThreatDelay();
         
         console.log('Updated values:');
-        console.log(`- Low Threat Delay: ${formatSeconds(lowThreatDelay)}`);
-        console.log(`- Medium Threat Delay: ${formatSeconds(mediumThreatDelay)}`);
-        console.log(`- High Threat Delay: ${formatSeconds(highThreatDelay)}`);
-        console.log(`- Critical Threat Delay: ${formatSeconds(criticalThreatDelay)}`);
+        console.log(`- Low Threat Delay: ${describeDuration(lowThreatDelay)}`);
+        console.log(`- Medium Threat Delay: ${describeDuration(mediumThreatDelay)}`);
+        console.log(`- High Threat Delay: ${describeDuration(highThreatDelay)}`);
+        console.log(`- Critical Threat Delay: ${describeDuration(criticalThreatDelay)}`);
         
         // Check if values match
         if (lowThreatDelay.toString() !== updateData.values.lowThreatDelay ||
@@ -667,7 +654,7 @@ async function verifyUpdate(timelockContract, updateData) {
         const minExecutorTokenThreshold = await timelockContract.minExecutorTokenThreshold();
         
         console.log('Updated value:');
-        console.log(`- Minimum Tokens: ${formatTokenAmount(minExecutorTokenThreshold)}`);
+        console.log(`- Minimum Tokens: ${describeTokens(minExecutorTokenThreshold)}`);
         
         // Check if value matches
         if (minExecutorTokenThreshold.toString() !== updateData.values.threshold) {
@@ -688,16 +675,18 @@ async function main() {
     // Get the configuration file path from command line arguments
     const args = process.argv.slice(2);
     let configPath = null;
+    let networkArg = null;
     
     for (let i = 0; i < args.length; i++) {
       if (args[i] === '--config' && args[i + 1]) {
         configPath = args[i + 1];
-        break;
+      } else if (args[i] === '--network' && args[i + 1]) {
+        networkArg = args[i + 1];
       }
     }
     
     // Load configuration
-    const config = await loadConfig(configPath);
+    const config = await loadConfig(configPath, networkArg);
     
     // Setup ethers
     const { timelockContract } = await setupEthers(config);
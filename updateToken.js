@@ -1,4 +1,6 @@
 // Script to update JustTokenUpgradeable contract parameters
+// Usage: node updateToken.js --network <localhost|sepolia> [--config ./config.json]
+// (or NETWORK=<name>; without either the script asks which deployment to use)
 
 // Load environment variables from .env file
 require('dotenv').config();
@@ -6,6 +8,18 @@ require('dotenv').config();
 const { ethers } = require('ethers');
 const fs = require('fs');
 const readline = require('readline');
+const { getContractAddress } = require('./deploymentManifest');
+const { guardDeployment } = require('./chainGuard');
+const {
+  getFeeConfig,
+  getFeeOverrides,
+  assertWithinCap,
+  describeFees,
+  maxTransactionCost,
+  promptStuckAction,
+  waitForTransaction
+} = require('./fees');
+const { describeDuration, parseTokenAmount, describeTokens } = require('./units');
 
 // ABI fragments for the JustTokenUpgradeable contract functions we need
 const TOKEN_ABI = [
@@ -52,20 +66,18 @@ const NETWORKS = {
     name: 'localhost',
     rpcUrl: process.env.LOCAL_RPC_URL || 'http://localhost:8545',
     gasLimit: 3000000,
-    gasPrice: '50000000000', // 50 gwei
   },
   sepolia: {
     name: 'sepolia',
     rpcUrl: `https://sepolia.infura.io/v3/${process.env.INFURA_KEY || 'YOUR_INFURA_KEY'}`,
     gasLimit: 3000000,
-    gasPrice: '20000000000', // 20 gwei - adjust based on current gas prices
   }
 };
 
-// Default configuration
+// Default configuration. There is no default network: a forgotten --network or NETWORK must not
+// silently pick a deployment.
 const DEFAULT_CONFIG = {
-  network: process.env.NETWORK || 'localhost',
-  tokenAddress: process.env.TOKEN_ADDRESS || '',
+  network: process.env.NETWORK,
   privateKey: process.env.PRIVATE_KEY || '',
 };
 
@@ -83,7 +95,7 @@ function question(query) {
 }
 
 // Load configuration from file or use defaults
-async function loadConfig(configPath) {
+async function loadConfig(configPath, networkArg) {
   let config = { ...DEFAULT_CONFIG };
   
   try {
@@ -91,11 +103,24 @@ async function loadConfig(configPath) {
       const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
       config = { ...config, ...fileConfig };
       console.log(`Loaded configuration from ${configPath}`);
+      if (networkArg) {
+        config.network = networkArg;
+      }
+      if (!config.network) {
+        throw new Error(`No network selected: pass --network, set NETWORK or add "network" to ${configPath}`);
+      }
     } else {
-      // If values weren't loaded from .env file, prompt for required values
-      if (!config.network || (config.network !== 'localhost' && config.network !== 'sepolia')) {
-        const networkChoice = await question('Select network (1. localhost, 2. sepolia): ');
-        config.network = networkChoice === '2' ? 'sepolia' : 'localhost';
+      if (networkArg) {
+        config.network = networkArg;
+      }
+      // If values weren't loaded from .env file, prompt for required values. Only an explicit
+      // choice is accepted.
+      if (!config.network && !process.stdin.isTTY) {
+        throw new Error('No network selected: pass --network or set NETWORK');
+      }
+      while (!config.network || (config.network !== 'localhost' && config.network !== 'sepolia')) {
+        const networkChoice = (await question('Select network (1. localhost, 2. sepolia): ')).trim();
+        config.network = { '1': 'localhost', '2': 'sepolia' }[networkChoice];
       }
       
       // For Sepolia, check for Infura key
@@ -107,10 +132,6 @@ async function loadConfig(configPath) {
         }
       }
       
-      if (!config.tokenAddress) {
-        config.tokenAddress = await question('Enter the JustTokenUpgradeable contract address (or set TOKEN_ADDRESS in .env): ');
-      }
-      
       if (!config.privateKey) {
         config.privateKey = await question('Enter your private key (will not be stored - consider setting PRIVATE_KEY in .env): ');
       }
@@ -124,6 +145,12 @@ async function loadConfig(configPath) {
     
     config = { ...config, ...networkConfig };
     
+    // Resolve the contract from the deployment manifest unless the config file pins an address
+    if (!config.tokenAddress) {
+      config.tokenAddress = getContractAddress(config.network, 'JustToken');
+      console.log(`Using JustToken from deployment manifest: ${config.tokenAddress}`);
+    }
+    
     return config;
   } catch (error) {
     console.error('Error loading configuration:', error);
@@ -138,6 +165,13 @@ async function setupEthers(config) {
     const provider = new ethers.JsonRpcProvider(config.rpcUrl);
     const wallet = new ethers.Wallet(config.privateKey, provider);
     
+    // Make sure the RPC endpoint serves the deployment selected by config.network
+    await guardDeployment(provider, config.network, {
+      keys: ['JustToken'],
+      addresses: { JustToken: config.tokenAddress },
+      question
+    });
+    
     // Get account balance
     const balance = await provider.getBalance(wallet.address);
     
@@ -312,16 +346,16 @@ async function getCurrentParameters(tokenContract) {
     console.log('Basic Info:');
     console.log(`  Name: ${name}`);
     console.log(`  Symbol: ${symbol}`);
-    console.log(`  Total Supply: ${formatTokenAmount(totalSupply)}`);
-    console.log(`  Max Token Supply: ${formatTokenAmount(maxTokenSupply)}`);
+    console.log(`  Total Supply: ${describeTokens(totalSupply, { symbol })}`);
+    console.log(`  Max Token Supply: ${describeTokens(maxTokenSupply, { symbol })}`);
     
     console.log('\nTimelock Address:');
     console.log(`  ${timelockAddress}`);
     
     if (minLockDuration !== 0n || maxLockDuration !== 0n) {
       console.log('\nLock Durations:');
-      console.log(`  Min Lock Duration: ${formatSeconds(minLockDuration)}`);
-      console.log(`  Max Lock Duration: ${formatSeconds(maxLockDuration)}`);
+      console.log(`  Min Lock Duration: ${describeDuration(minLockDuration)}`);
+      console.log(`  Max Lock Duration: ${describeDuration(maxLockDuration)}`);
     }
     
     console.log('\nRole Assignments:');
@@ -338,51 +372,6 @@ async function getCurrentParameters(tokenContract) {
   }
 }
 
-// Format seconds into days, hours, minutes, seconds
-function formatSeconds(seconds) {
-  const bigSeconds = BigInt(seconds);
-  const days = bigSeconds / 86400n;
-  const hours = (bigSeconds % 86400n) / 3600n;
-  const minutes = (bigSeconds % 3600n) / 60n;
-  const secs = bigSeconds % 60n;
-  
-  let result = '';
-  if (days > 0n) result += `${days}d `;
-  if (hours > 0n) result += `${hours}h `;
-  if (minutes > 0n) result += `${minutes}m `;
-  if (secs > 0n || result === '') result += `${secs}s`;
-  
-  return `${seconds.toString()} (${result.trim()})`;
-}
-
-// Format token amount to make it more readable
-function formatTokenAmount(amount) {
-  // Assuming 18 decimals, but you should adjust this if needed
-  const decimals = 18;
-  const bigAmount = BigInt(amount);
-  
-  if (bigAmount === 0n) return "0";
-  
-  // Convert to a whole number and decimal part
-  const divisor = 10n ** BigInt(decimals);
-  const wholeNumber = bigAmount / divisor;
-  const decimalPart = bigAmount % divisor;
-  
-  // Format the decimal part
-  const decimalStr = decimalPart.toString().padStart(decimals, '0');
-  const trimmedDecimal = decimalStr.replace(/0+$/, '');
-  
-  if (wholeNumber === 0n && trimmedDecimal === '') {
-    return "0";
-  } else if (wholeNumber === 0n) {
-    return `0.${trimmedDecimal}`;
-  } else if (trimmedDecimal === '') {
-    return wholeNumber.toString();
-  } else {
-    return `${wholeNumber}.${trimmedDecimal}`;
-  }
-}
-
 // Format a list of addresses for display
 function formatAddressList(addresses) {
   if (addresses.length === 0) return 'None';
@@ -407,7 +396,7 @@ async function promptForUpdates(currentParams) {
     
     switch (choice) {
       case '1':
-        return await promptForMaxSupply(currentParams.basicInfo.maxTokenSupply);
+        return await promptForMaxSupply(currentParams.basicInfo);
       case '2':
         return await promptForTimelockAddress(currentParams.timelock);
       case '3':
@@ -432,31 +421,32 @@ async function promptForUpdates(currentParams) {
 }
 
 // Prompt for max token supply update
-async function promptForMaxSupply(currentMaxSupply) {
+async function promptForMaxSupply(basicInfo) {
+  const units = { symbol: basicInfo.symbol };
   console.log('\nUpdating Max Token Supply:');
-  console.log(`Current Max Supply: ${formatTokenAmount(currentMaxSupply)}`);
+  console.log(`Current Max Supply: ${describeTokens(basicInfo.maxTokenSupply, units)}`);
   
-  const newMaxSupplyInput = await question('\nNew Max Token Supply (in tokens, leave blank to keep current value): ');
+  const newMaxSupplyInput = await question(`\nNew Max Token Supply, e.g. "10m" or "2500000 ${units.symbol}" (leave blank to keep current value): `);
   
   if (!newMaxSupplyInput) {
-    return await promptForUpdates({ basicInfo: { maxTokenSupply: currentMaxSupply } });
+    return await promptForUpdates({ basicInfo });
   }
   
   // Parse input and convert to wei
   let newMaxSupply;
   try {
-    newMaxSupply = ethers.parseEther(newMaxSupplyInput);
+    newMaxSupply = parseTokenAmount(newMaxSupplyInput, units);
   } catch (error) {
-    console.error('Invalid token amount. Please try again.');
-    return await promptForMaxSupply(currentMaxSupply);
+    console.error(`${error.message}. Please try again.`);
+    return await promptForMaxSupply(basicInfo);
   }
   
   console.log('\nNew value:');
-  console.log(`- Max Token Supply: ${formatTokenAmount(newMaxSupply)}`);
+  console.log(`- Max Token Supply: ${describeTokens(newMaxSupply, units)}`);
   
   const confirm = await question('\nConfirm this value? (y/n): ');
   if (confirm.toLowerCase() !== 'y') {
-    return await promptForMaxSupply(currentMaxSupply);
+    return await promptForMaxSupply(basicInfo);
   }
   
   return {
@@ -768,11 +758,12 @@ async function promptForMintTokens(basicInfo) {
   const currentSupply = BigInt(basicInfo.totalSupply);
   const maxSupply = BigInt(basicInfo.maxTokenSupply);
   const remainingSupply = maxSupply - currentSupply;
+  const units = { symbol: basicInfo.symbol };
   
   console.log('\nMint Tokens:');
-  console.log(`Current Supply: ${formatTokenAmount(currentSupply)}`);
-  console.log(`Max Supply: ${formatTokenAmount(maxSupply)}`);
-  console.log(`Remaining Mintable: ${formatTokenAmount(remainingSupply)}`);
+  console.log(`Current Supply: ${describeTokens(currentSupply, units)}`);
+  console.log(`Max Supply: ${describeTokens(maxSupply, units)}`);
+  console.log(`Remaining Mintable: ${describeTokens(remainingSupply, units)}`);
   
   const recipientAddress = await question('\nEnter recipient address: ');
   
@@ -781,22 +772,22 @@ async function promptForMintTokens(basicInfo) {
     return await promptForMintTokens(basicInfo);
   }
   
-  const amountInput = await question('\nEnter amount to mint (in tokens): ');
+  const amountInput = await question(`\nEnter amount to mint, e.g. "1.5k" or "2500 ${units.symbol}": `);
   
   let amount;
   try {
-    amount = ethers.parseEther(amountInput);
+    amount = parseTokenAmount(amountInput, units);
   } catch (error) {
-    console.error('Invalid token amount. Please try again.');
+    console.error(`${error.message}. Please try again.`);
     return await promptForMintTokens(basicInfo);
   }
   
   if (amount > remainingSupply) {
-    console.error(`Cannot mint more than remaining supply (${formatTokenAmount(remainingSupply)})`);
+    console.error(`Cannot mint more than remaining supply (${describeTokens(remainingSupply, units)})`);
     return await promptForMintTokens(basicInfo);
   }
   
-  console.log(`\nMint ${formatTokenAmount(amount)} tokens to ${recipientAddress}`);
+  console.log(`\nMint ${describeTokens(amount, units)} to ${recipientAddress}`);
   
   const confirm = await question('\nConfirm? (y/n): ');
   if (confirm.toLowerCase() !== 'y') {
@@ -814,6 +805,7 @@ async function promptForMintTokens(basicInfo) {
 
 // Prompt for burning tokens
 async function promptForBurnTokens(basicInfo) {
+  const units = { symbol: basicInfo.symbol };
   console.log('\nBurn Tokens:');
   
   const fromAddress = await question('\nEnter address to burn tokens from: ');
@@ -823,17 +815,17 @@ async function promptForBurnTokens(basicInfo) {
     return await promptForBurnTokens(basicInfo);
   }
   
-  const amountInput = await question('\nEnter amount to burn (in tokens): ');
+  const amountInput = await question(`\nEnter amount to burn, e.g. "1.5k" or "2500 ${units.symbol}": `);
   
   let amount;
   try {
-    amount = ethers.parseEther(amountInput);
+    amount = parseTokenAmount(amountInput, units);
   } catch (error) {
-    console.error('Invalid token amount. Please try again.');
+    console.error(`${error.message}. Please try again.`);
     return await promptForBurnTokens(basicInfo);
   }
   
-  console.log(`\nBurn ${formatTokenAmount(amount)} tokens from ${fromAddress}`);
+  console.log(`\nBurn ${describeTokens(amount, units)} from ${fromAddress}`);
   
   const confirm = await question('\nConfirm? (y/n): ');
   if (confirm.toLowerCase() !== 'y') {
@@ -851,6 +843,7 @@ async function promptForBurnTokens(basicInfo) {
 
 // Prompt for transferring tokens
 async function promptForTransferTokens(basicInfo) {
+  const units = { symbol: basicInfo.symbol };
   console.log('\nTransfer Tokens:');
   
   const fromAddress = await question('\nEnter address to transfer tokens from: ');
@@ -867,17 +860,17 @@ async function promptForTransferTokens(basicInfo) {
     return await promptForTransferTokens(basicInfo);
   }
   
-  const amountInput = await question('\nEnter amount to transfer (in tokens): ');
+  const amountInput = await question(`\nEnter amount to transfer, e.g. "1.5k" or "2500 ${units.symbol}": `);
   
   let amount;
   try {
-    amount = ethers.parseEther(amountInput);
+    amount = parseTokenAmount(amountInput, units);
   } catch (error) {
-    console.error('Invalid token amount. Please try again.');
+    console.error(`${error.message}. Please try again.`);
     return await promptForTransferTokens(basicInfo);
   }
   
-  console.log(`\nTransfer ${formatTokenAmount(amount)} tokens from ${fromAddress} to ${toAddress}`);
+  console.log(`\nTransfer ${describeTokens(amount, units)} from ${fromAddress} to ${toAddress}`);
   
   const confirm = await question('\nConfirm? (y/n): ');
   if (confirm.toLowerCase() !== 'y') {
@@ -935,31 +928,45 @@ async function executeTransaction(tokenContract, updateData, config) {
     const wallet = tokenContract.runner;
     const provider = wallet.provider;
     
-    // Allow user to customize gas settings if desired
-    let gasPrice;
-    let gasLimit;
+    // Current EIP-1559 fees (or a legacy gas price), capped by MAX_FEE_GWEI
+    let fees = await getFeeOverrides(provider);
+    let gasLimit = config.gasLimit;
     
+    // Allow user to customize gas settings if desired
     const customGas = await question('Do you want to customize gas settings? (y/n): ');
     if (customGas.toLowerCase() === 'y') {
-      const currentGasPrice = await provider.getGasPrice();
-      console.log(`Current network gas price: ${ethers.formatUnits(currentGasPrice, 'gwei')} gwei`);
+      console.log(`Current network fees: ${describeFees(fees)}`);
+      // Custom fees are held to MAX_FEE_GWEI like the computed ones
+      const feeConfig = getFeeConfig();
       
-      const customPriceInput = await question(`Enter gas price in gwei (default: ${ethers.formatUnits(currentGasPrice, 'gwei')}): `);
-      gasPrice = customPriceInput ? 
-        ethers.parseUnits(customPriceInput, 'gwei') : 
-        currentGasPrice;
+      if (fees.gasPrice !== undefined) {
+        const customPriceInput = await question(`Enter gas price in gwei (default: ${ethers.formatUnits(fees.gasPrice, 'gwei')}): `);
+        if (customPriceInput) {
+          const gasPrice = ethers.parseUnits(customPriceInput, 'gwei');
+          assertWithinCap(gasPrice, feeConfig, 'Custom gas price');
+          fees = { gasPrice };
+        }
+      } else {
+        const customMaxFeeInput = await question(`Enter max fee per gas in gwei (default: ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')}): `);
+        const customTipInput = await question(`Enter priority fee per gas in gwei (default: ${ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')}): `);
+        const maxFeePerGas = customMaxFeeInput ? ethers.parseUnits(customMaxFeeInput, 'gwei') : fees.maxFeePerGas;
+        const maxPriorityFeePerGas = customTipInput ? ethers.parseUnits(customTipInput, 'gwei') : fees.maxPriorityFeePerGas;
+        assertWithinCap(maxFeePerGas, feeConfig, 'Custom max fee per gas');
+        assertWithinCap(maxPriorityFeePerGas, feeConfig, 'Custom priority fee per gas');
+        if (maxPriorityFeePerGas > maxFeePerGas) {
+          throw new Error('Priority fee cannot be higher than the max fee per gas');
+        }
+        fees = { maxFeePerGas, maxPriorityFeePerGas };
+      }
       
       const customLimitInput = await question(`Enter gas limit (default: ${config.gasLimit}): `);
       gasLimit = customLimitInput ? 
         parseInt(customLimitInput) : 
         config.gasLimit;
-    } else {
-      gasPrice = ethers.parseUnits(config.gasPrice, 'wei');
-      gasLimit = config.gasLimit;
     }
     
     // Estimate transaction cost
-    const estimatedCost = gasPrice * BigInt(gasLimit);
+    const estimatedCost = maxTransactionCost(fees, gasLimit);
     console.log(`Estimated maximum transaction cost: ${ethers.formatEther(estimatedCost)} ETH`);
     
     // Check if wallet has enough balance
@@ -975,10 +982,10 @@ async function executeTransaction(tokenContract, updateData, config) {
     let tx;
     const options = {
       gasLimit: gasLimit,
-      gasPrice: gasPrice
+      ...fees
     };
     
-    console.log(`Using gas limit: ${gasLimit}, gas price: ${ethers.formatUnits(gasPrice, 'gwei')} gwei`);
+    console.log(`Using gas limit: ${gasLimit}, ${describeFees(fees)}`);
     
     switch (updateData.type) {
       case 'setMaxTokenSupply':
@@ -1081,7 +1088,7 @@ async function executeTransaction(tokenContract, updateData, config) {
     // Wait for transaction to be mined
     console.log('Transaction sent. Waiting for confirmation...');
     console.log(`Transaction hash: ${tx.hash}`);
-    const receipt = await tx.wait();
+    const receipt = await waitForTransaction(wallet, tx, { onStuck: promptStuckAction(question) });
     
     console.log(`Transaction executed successfully!`);
     return receipt;
@@ -1097,16 +1104,18 @@ async function main() {
     // Get the configuration file path from command line arguments
     const args = process.argv.slice(2);
     let configPath = null;
+    let networkArg = null;
     
     for (let i = 0; i < args.length; i++) {
       if (args[i] === '--config' && args[i + 1]) {
         configPath = args[i + 1];
-        break;
+      } else if (args[i] === '--network' && args[i + 1]) {
+        networkArg = args[i + 1];
       }
     }
     
     // Load configuration
-    const config = await loadConfig(configPath);
+    const config = await loadConfig(configPath, networkArg);
     
     // Setup ethers
     const { tokenContract } = await setupEthers(config);
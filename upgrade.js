@@ -0,0 +1,322 @@
+// SPDX-License-Identifier: MIT
+// upgrade.js - Ship a new UUPS implementation for one of the five JustDAO proxies
+//
+//   UPGRADE_CONTRACT=JustGovernance npx hardhat run upgrade.js --network sepolia
+//
+// Environment:
+//   UPGRADE_CONTRACT        Manifest key of the proxy (JustTimelock, JustToken, JustGovernance,
+//                           JustDAOHelper, JustAnalyticsHelper)
+//   UPGRADE_IMPLEMENTATION  Fully qualified name of the new implementation
+//                           (defaults to the contract the proxy was deployed from)
+//   UPGRADE_CALL            Optional function to call through upgradeToAndCall, e.g. "initializeV2(uint256)"
+//   UPGRADE_CALL_ARGS       JSON array of arguments for UPGRADE_CALL
+//   UPGRADE_REFERENCE       Fully qualified name of the currently deployed version. Only needed when
+//                           the proxy is missing from the .openzeppelin network file, so its storage
+//                           layout can be imported before validating the upgrade.
+//
+// The storage layout of the new implementation is always validated against the deployed one.
+// If the signer holds ADMIN_ROLE on the proxy the upgrade is sent directly. Otherwise the new
+// implementation is deployed and the upgradeTo/upgradeToAndCall calldata is written out together
+// with a timelock queue payload and a governance proposal, since upgradeTo is a CRITICAL threat.
+// New implementations are verified on the block explorer as described in explorerVerify.js.
+
+const hre = require("hardhat");
+const { ethers, upgrades, network } = hre;
+const {
+  CONTRACT_KEYS,
+  FACTORY_NAMES,
+  recordContract,
+  getReportPath,
+  writeJsonFile
+} = require("./deploymentManifest");
+const { getFeeOverrides } = require("./fees");
+const { guardDeployment } = require("./chainGuard");
+const { getExplorerConfig, verifyDeployment } = require("./explorerVerify");
+
+const UUPS_INTERFACE = new ethers.Interface([
+  "function upgradeTo(address newImplementation)",
+  "function upgradeToAndCall(address newImplementation, bytes data)"
+]);
+
+// ProposalType.General in JustGovernanceUpgradeable
+const GENERAL_PROPOSAL = 0;
+
+const THREAT_LEVEL_NAMES = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+// Read the upgrade settings from the environment
+function getUpgradeOptions() {
+  const key = process.env.UPGRADE_CONTRACT;
+  if (!CONTRACT_KEYS.includes(key)) {
+    throw new Error(`Set UPGRADE_CONTRACT to one of: ${CONTRACT_KEYS.join(", ")}`);
+  }
+
+  let call = null;
+  if (process.env.UPGRADE_CALL) {
+    const args = process.env.UPGRADE_CALL_ARGS ? JSON.parse(process.env.UPGRADE_CALL_ARGS) : [];
+    if (!Array.isArray(args)) {
+      throw new Error("UPGRADE_CALL_ARGS must be a JSON array");
+    }
+    call = { fn: process.env.UPGRADE_CALL, args };
+  }
+
+  return {
+    key,
+    implementationName: process.env.UPGRADE_IMPLEMENTATION || FACTORY_NAMES[key],
+    referenceName: process.env.UPGRADE_REFERENCE || null,
+    call
+  };
+}
+
+// Validate the storage layout of the new implementation against the deployed one. A proxy the
+// plugin has never seen is imported first from UPGRADE_REFERENCE.
+async function validateStorageLayout(proxyAddress, newFactory, referenceName) {
+  try {
+    await upgrades.validateUpgrade(proxyAddress, newFactory, { kind: "uups" });
+  } catch (error) {
+    if (!/not registered|forceImport/i.test(error.message)) {
+      throw error;
+    }
+    if (!referenceName) {
+      throw new Error(
+        `Proxy ${proxyAddress} is not in the .openzeppelin network file, so its storage layout is unknown. ` +
+        "Set UPGRADE_REFERENCE to the fully qualified name of the currently deployed implementation."
+      );
+    }
+    console.log(`Importing ${proxyAddress} using ${referenceName} as the deployed layout...`);
+    const referenceFactory = await ethers.getContractFactory(referenceName);
+    await upgrades.forceImport(proxyAddress, referenceFactory, { kind: "uups" });
+    await upgrades.validateUpgrade(proxyAddress, newFactory, { kind: "uups" });
+  }
+  console.log("✅ Storage layout is compatible with the deployed implementation");
+}
+
+// Calldata the proxy itself must receive to switch to the new implementation
+function encodeUpgradeCall(newFactory, implementationAddress, call) {
+  if (!call) {
+    return UUPS_INTERFACE.encodeFunctionData("upgradeTo", [implementationAddress]);
+  }
+  const initData = newFactory.interface.encodeFunctionData(call.fn, call.args);
+  return UUPS_INTERFACE.encodeFunctionData("upgradeToAndCall", [implementationAddress, initData]);
+}
+
+// Append an entry to the upgrade history of a contract in the manifest
+function recordUpgrade(manifest, key, fields) {
+  const entry = manifest.contracts[key];
+  const history = entry.upgrades || [];
+  return recordContract(manifest, key, {
+    implementation: fields.implementation,
+    pendingUpgrade: undefined,
+    upgrades: [...history, { ...fields, upgradedAt: new Date().toISOString() }]
+  });
+}
+
+// Verify a new implementation on the explorer (linking the proxy once it points there) and
+// record the outcome in the manifest. Returns null when no explorer is configured.
+async function verifyOnExplorer(manifest, key, fields, pending) {
+  const config = getExplorerConfig(network.name);
+  if (!config) {
+    return null;
+  }
+  console.log(`Verifying ${fields.contractName} on ${config.apiUrl}...`);
+  const verification = await verifyDeployment(hre, config, {
+    proxy: pending ? null : fields.proxy,
+    implementation: fields.implementation,
+    contractName: fields.contractName
+  });
+  if (pending) {
+    recordContract(manifest, key, { pendingUpgrade: { ...manifest.contracts[key].pendingUpgrade, verification } });
+  } else {
+    recordContract(manifest, key, { verification });
+  }
+  return verification;
+}
+
+// Build the timelock and governance payloads for an upgrade the signer cannot send itself
+async function buildProposalPayloads(manifest, key, proxyAddress, upgradeCalldata) {
+  const timelock = (await ethers.getContractFactory(FACTORY_NAMES.JustTimelock))
+    .attach(manifest.contracts.JustTimelock.proxy);
+  const governance = (await ethers.getContractFactory(FACTORY_NAMES.JustGovernance))
+    .attach(manifest.contracts.JustGovernance.proxy);
+  const target = (await ethers.getContractFactory(FACTORY_NAMES[key])).attach(proxyAddress);
+
+  const threatLevel = Number(await timelock.getThreatLevel(proxyAddress, upgradeCalldata));
+  const delay = await timelock.getDelayForThreatLevel(threatLevel);
+  const description = `Upgrade ${key} (${proxyAddress}) to a new implementation`;
+  const warnings = [];
+
+  // Governance executes General proposals through the timelock, which must be able to upgrade the proxy
+  const timelockIsAdmin = await target.hasRole(await target.ADMIN_ROLE(), await timelock.getAddress());
+  if (!timelockIsAdmin) {
+    warnings.push(`JustTimelock does not hold ADMIN_ROLE on ${key}; the queued upgrade would revert when executed`);
+  }
+  const selector = upgradeCalldata.slice(0, 10);
+  if (!(await governance.allowedFunctionSelectors(selector))) {
+    warnings.push(`Selector ${selector} is not in the governance allowlist; createProposal will revert until it is allowed`);
+  }
+
+  const proposalArgs = [
+    description,
+    GENERAL_PROPOSAL,
+    proxyAddress,
+    upgradeCalldata,
+    0,
+    ethers.ZeroAddress,
+    ethers.ZeroAddress,
+    0,
+    0,
+    0,
+    0
+  ];
+
+  return {
+    threatLevel: THREAT_LEVEL_NAMES[threatLevel],
+    delay: delay.toString(),
+    warnings,
+    timelock: {
+      to: await timelock.getAddress(),
+      value: "0",
+      function: "queueTransactionWithThreatLevel(address,uint256,bytes)",
+      args: [proxyAddress, "0", upgradeCalldata],
+      data: timelock.interface.encodeFunctionData("queueTransactionWithThreatLevel", [proxyAddress, 0, upgradeCalldata])
+    },
+    governanceProposal: {
+      to: await governance.getAddress(),
+      value: "0",
+      function: "createProposal(string,uint8,address,bytes,uint256,address,address,uint256,uint256,uint256,uint256)",
+      args: proposalArgs.map(String),
+      data: governance.interface.encodeFunctionData("createProposal", proposalArgs)
+    }
+  };
+}
+
+async function main() {
+  const options = getUpgradeOptions();
+  const { manifest } = await guardDeployment(ethers.provider, network.name, { keys: [options.key] });
+  const entry = manifest.contracts[options.key];
+  if (!entry || !entry.proxy) {
+    throw new Error(`Deployment manifest for "${network.name}" has no address for ${options.key}`);
+  }
+  const proxyAddress = entry.proxy;
+
+  const [signer] = await ethers.getSigners();
+  console.log(`Upgrading ${options.key} at ${proxyAddress} on ${network.name}`);
+  console.log(`New implementation: ${options.implementationName}`);
+  console.log(`Signer: ${signer.address}`);
+
+  // An upgrade prepared by an earlier run may since have been executed through governance
+  const currentImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  const pending = entry.pendingUpgrade;
+  if (pending && currentImplementation.toLowerCase() === pending.implementation.toLowerCase()) {
+    const manifestPath = recordUpgrade(manifest, options.key, {
+      from: pending.from,
+      implementation: pending.implementation,
+      contractName: pending.contractName,
+      method: "proposal"
+    });
+    console.log(`✅ Pending upgrade to ${pending.implementation} has been executed. Recorded in ${manifestPath}`);
+    await verifyOnExplorer(manifest, options.key, {
+      proxy: proxyAddress,
+      implementation: pending.implementation,
+      contractName: pending.contractName
+    }, false);
+    return;
+  }
+
+  await hre.run("compile");
+  const newFactory = await ethers.getContractFactory(options.implementationName);
+
+  await validateStorageLayout(proxyAddress, newFactory, options.referenceName);
+
+  const proxy = (await ethers.getContractFactory(FACTORY_NAMES[options.key])).attach(proxyAddress);
+  const signerIsAdmin = await proxy.hasRole(await proxy.ADMIN_ROLE(), signer.address);
+
+  if (signerIsAdmin) {
+    console.log("Signer holds ADMIN_ROLE, upgrading directly...");
+    const upgradeOptions = { kind: "uups", txOverrides: await getFeeOverrides(ethers.provider) };
+    if (options.call) {
+      upgradeOptions.call = options.call;
+    }
+    const upgraded = await upgrades.upgradeProxy(proxyAddress, newFactory, upgradeOptions);
+    await upgraded.waitForDeployment();
+
+    const newImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+    const manifestPath = recordUpgrade(manifest, options.key, {
+      from: currentImplementation,
+      implementation: newImplementation,
+      contractName: options.implementationName,
+      method: "direct"
+    });
+    console.log(`✅ ${options.key} now points to ${newImplementation}`);
+    console.log(`Recorded in ${manifestPath}`);
+    await verifyOnExplorer(manifest, options.key, {
+      proxy: proxyAddress,
+      implementation: newImplementation,
+      contractName: options.implementationName
+    }, false);
+    return;
+  }
+
+  console.log("Signer does not hold ADMIN_ROLE; deploying the implementation and preparing a proposal...");
+  const newImplementation = await upgrades.prepareUpgrade(proxyAddress, newFactory, {
+    kind: "uups",
+    txOverrides: await getFeeOverrides(ethers.provider)
+  });
+  console.log(`New implementation deployed at ${newImplementation}`);
+
+  const upgradeCalldata = encodeUpgradeCall(newFactory, newImplementation, options.call);
+  const payloads = await buildProposalPayloads(manifest, options.key, proxyAddress, upgradeCalldata);
+
+  const reportPath = writeJsonFile(getReportPath(network.name, `upgrade-${options.key}`), {
+    network: network.name,
+    chainId: manifest.chainId,
+    contract: options.key,
+    proxy: proxyAddress,
+    currentImplementation,
+    newImplementation,
+    implementationName: options.implementationName,
+    upgradeCall: {
+      to: proxyAddress,
+      value: "0",
+      function: options.call ? "upgradeToAndCall(address,bytes)" : "upgradeTo(address)",
+      data: upgradeCalldata
+    },
+    ...payloads,
+    createdAt: new Date().toISOString()
+  });
+
+  console.log(`\nUpgrade calldata (send to ${proxyAddress}):`);
+  console.log(upgradeCalldata);
+  console.log(`\nThreat level: ${payloads.threatLevel}, timelock delay ${payloads.delay} seconds`);
+  console.log(`\nTimelock: call ${payloads.timelock.function} on ${payloads.timelock.to}`);
+  console.log(payloads.timelock.data);
+  console.log(`\nGovernance: call createProposal on ${payloads.governanceProposal.to}`);
+  console.log(payloads.governanceProposal.data);
+  for (const warning of payloads.warnings) {
+    console.log(`⚠️ ${warning}`);
+  }
+  console.log(`\nFull payload written to ${reportPath}`);
+
+  const manifestPath = recordContract(manifest, options.key, {
+    pendingUpgrade: {
+      from: currentImplementation,
+      implementation: newImplementation,
+      contractName: options.implementationName,
+      calldata: upgradeCalldata,
+      preparedAt: new Date().toISOString()
+    }
+  });
+  console.log(`Recorded as a pending upgrade in ${manifestPath}`);
+
+  // The proxy is linked once the proposal has executed and upgrade.js is run again
+  await verifyOnExplorer(manifest, options.key, {
+    implementation: newImplementation,
+    contractName: options.implementationName
+  }, true);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Upgrade failed:", error);
+    process.exit(1);
+  });
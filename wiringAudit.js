@@ -0,0 +1,189 @@
+// SPDX-License-Identifier: MIT
+// wiringAudit.js - Checks of every expected cross-contract reference and role of a deployment
+//
+// Used by doctor.js against a live deployment and by the deploy.js dry run against a fork.
+// Every check returns pass, warn or fail; a call that reverts counts as a failure.
+
+const { ethers, upgrades } = require("hardhat");
+const { CONTRACT_KEYS, FACTORY_NAMES } = require("./deploymentManifest");
+
+const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+
+const PASS = "pass";
+const WARN = "warn";
+const FAIL = "fail";
+
+// Collects check results. A failed check is severity "fail"; a check that only
+// matters once setup.js has run is downgraded to "warn".
+function createReport() {
+  const results = [];
+
+  async function check(contract, name, severity, probe) {
+    try {
+      const { ok, detail } = await probe();
+      results.push({ contract, check: name, status: ok ? PASS : severity, detail: detail || "" });
+    } catch (error) {
+      // A reverted or failing call is itself a failure, never silently swallowed
+      results.push({ contract, check: name, status: FAIL, detail: `call failed: ${error.shortMessage || error.message}` });
+    }
+  }
+
+  return { results, check };
+}
+
+function sameAddress(a, b) {
+  return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+// Check that a reference getter returns the expected address
+function expectReference(report, contractKey, contract, getter, expectedKey, addresses) {
+  return report.check(contractKey, `${getter}() == ${expectedKey}`, FAIL, async () => {
+    const actual = await contract[getter]();
+    return { ok: sameAddress(actual, addresses[expectedKey]), detail: actual };
+  });
+}
+
+// Check that an account holds a role
+function expectRole(report, contractKey, contract, roleName, accountLabel, account, severity = FAIL) {
+  return report.check(contractKey, `${roleName} -> ${accountLabel}`, severity, async () => {
+    const role = roleName === "DEFAULT_ADMIN_ROLE" ? DEFAULT_ADMIN_ROLE : await contract[roleName]();
+    const held = await contract.hasRole(role, account);
+    return { ok: held, detail: held ? "granted" : "missing" };
+  });
+}
+
+function printTable(results) {
+  const icons = { [PASS]: "✅ PASS", [WARN]: "⚠️ WARN", [FAIL]: "❌ FAIL" };
+  const contractWidth = Math.max(...results.map(r => r.contract.length), "Contract".length);
+  const checkWidth = Math.max(...results.map(r => r.check.length), "Check".length);
+
+  console.log(`\n${"Contract".padEnd(contractWidth)}  ${"Check".padEnd(checkWidth)}  Status   Detail`);
+  console.log(`${"-".repeat(contractWidth)}  ${"-".repeat(checkWidth)}  -------  ------`);
+  for (const r of results) {
+    console.log(`${r.contract.padEnd(contractWidth)}  ${r.check.padEnd(checkWidth)}  ${icons[r.status]}  ${r.detail}`);
+  }
+}
+
+// Attach to the five proxies recorded in a manifest
+async function attachContracts(manifest) {
+  const addresses = {};
+  const contracts = {};
+  for (const key of CONTRACT_KEYS) {
+    const entry = manifest.contracts[key];
+    if (!entry || !entry.proxy) {
+      throw new Error(`Deployment manifest for "${manifest.network}" has no address for ${key}`);
+    }
+    addresses[key] = entry.proxy;
+    const factory = await ethers.getContractFactory(FACTORY_NAMES[key]);
+    contracts[key] = factory.attach(entry.proxy);
+  }
+  return { addresses, contracts };
+}
+
+// Run every check against the deployment recorded in the manifest
+async function auditDeployment(manifest, options = {}) {
+  const { addresses, contracts } = await attachContracts(manifest);
+  const deployerAddress = manifest.deployer;
+  const multisigAddress = options.multisigAddress;
+
+  const report = createReport();
+  const { JustToken: token, JustTimelock: timelock, JustGovernance: governance,
+    JustDAOHelper: daoHelper, JustAnalyticsHelper: analyticsHelper } = contracts;
+
+  // Network and code
+  await report.check("network", "chainId matches manifest", FAIL, async () => {
+    const { chainId } = await ethers.provider.getNetwork();
+    return { ok: Number(chainId) === manifest.chainId, detail: `connected to ${chainId}` };
+  });
+  for (const key of CONTRACT_KEYS) {
+    await report.check(key, "proxy has code", FAIL, async () => {
+      const code = await ethers.provider.getCode(addresses[key]);
+      return { ok: code !== "0x" && code !== "0x0", detail: addresses[key] };
+    });
+    // A different implementation is expected after an upgrade, so this is only a warning
+    await report.check(key, "implementation matches manifest", WARN, async () => {
+      const implementation = await upgrades.erc1967.getImplementationAddress(addresses[key]);
+      const pending = manifest.contracts[key].pendingUpgrade;
+      if (pending && sameAddress(implementation, pending.implementation)) {
+        return { ok: false, detail: `${implementation} (pending upgrade executed; re-run upgrade.js to record it)` };
+      }
+      return { ok: sameAddress(implementation, manifest.contracts[key].implementation), detail: implementation };
+    });
+    await report.check(key, "not paused", WARN, async () => {
+      const paused = await contracts[key].paused();
+      return { ok: !paused, detail: paused ? "paused" : "active" };
+    });
+    await report.check(key, "has an ADMIN_ROLE holder", FAIL, async () => {
+      const count = await contracts[key].getRoleMemberCount(await contracts[key].ADMIN_ROLE());
+      return { ok: count > 0n, detail: `${count} holder(s)` };
+    });
+  }
+
+  // Cross-contract references
+  await expectReference(report, "JustToken", token, "timelock", "JustTimelock", addresses);
+  await expectReference(report, "JustTimelock", timelock, "justToken", "JustToken", addresses);
+  await expectReference(report, "JustGovernance", governance, "justToken", "JustToken", addresses);
+  await expectReference(report, "JustGovernance", governance, "timelock", "JustTimelock", addresses);
+  for (const helperKey of ["JustDAOHelper", "JustAnalyticsHelper"]) {
+    await expectReference(report, helperKey, contracts[helperKey], "justToken", "JustToken", addresses);
+    await expectReference(report, helperKey, contracts[helperKey], "justGovernance", "JustGovernance", addresses);
+    await expectReference(report, helperKey, contracts[helperKey], "justTimelock", "JustTimelock", addresses);
+  }
+
+  // Roles granted by deploy.js
+  const gov = addresses.JustGovernance;
+  const tl = addresses.JustTimelock;
+  await expectRole(report, "JustToken", token, "GOVERNANCE_ROLE", "JustGovernance", gov);
+  await expectRole(report, "JustToken", token, "GOVERNANCE_ROLE", "JustTimelock", tl);
+  await expectRole(report, "JustToken", token, "MINTER_ROLE", "JustGovernance", gov);
+  await expectRole(report, "JustToken", token, "MINTER_ROLE", "JustTimelock", tl);
+  await expectRole(report, "JustToken", token, "GUARDIAN_ROLE", "JustGovernance", gov);
+  await expectRole(report, "JustTimelock", timelock, "PROPOSER_ROLE", "JustGovernance", gov);
+  await expectRole(report, "JustTimelock", timelock, "EXECUTOR_ROLE", "JustGovernance", gov);
+  await expectRole(report, "JustTimelock", timelock, "CANCELLER_ROLE", "JustGovernance", gov);
+  await expectRole(report, "JustTimelock", timelock, "GUARDIAN_ROLE", "JustGovernance", gov);
+  await expectRole(report, "JustDAOHelper", daoHelper, "ANALYTICS_ROLE", "JustGovernance", gov);
+  await expectRole(report, "JustAnalyticsHelper", analyticsHelper, "ANALYTICS_ROLE", "JustGovernance", gov);
+
+  // Roles granted by setup.js, and ADMIN_ROLE and DEFAULT_ADMIN_ROLE by the admin handover (handover.js).
+  // Missing ones only mean that has not run yet.
+  await expectRole(report, "JustToken", token, "DEFAULT_ADMIN_ROLE", "JustTimelock", tl, WARN);
+  await expectRole(report, "JustToken", token, "ADMIN_ROLE", "JustTimelock", tl, WARN);
+  await expectRole(report, "JustTimelock", timelock, "TIMELOCK_ADMIN_ROLE", "JustTimelock", tl, WARN);
+  if (multisigAddress && !sameAddress(multisigAddress, deployerAddress)) {
+    await expectRole(report, "JustToken", token, "GUARDIAN_ROLE", "multisig", multisigAddress, WARN);
+    await expectRole(report, "JustTimelock", timelock, "GUARDIAN_ROLE", "multisig", multisigAddress, WARN);
+    await expectRole(report, "JustTimelock", timelock, "TIMELOCK_ADMIN_ROLE", "multisig", multisigAddress, WARN);
+    await expectRole(report, "JustTimelock", timelock, "PROPOSER_ROLE", "multisig", multisigAddress, WARN);
+    await expectRole(report, "JustTimelock", timelock, "EXECUTOR_ROLE", "multisig", multisigAddress, WARN);
+    await expectRole(report, "JustGovernance", governance, "GUARDIAN_ROLE", "multisig", multisigAddress, WARN);
+    await expectRole(report, "JustDAOHelper", daoHelper, "ADMIN_ROLE", "multisig", multisigAddress, WARN);
+    await expectRole(report, "JustDAOHelper", daoHelper, "ANALYTICS_ROLE", "multisig", multisigAddress, WARN);
+    await expectRole(report, "JustAnalyticsHelper", analyticsHelper, "ADMIN_ROLE", "multisig", multisigAddress, WARN);
+    await expectRole(report, "JustAnalyticsHelper", analyticsHelper, "ANALYTICS_ROLE", "multisig", multisigAddress, WARN);
+  }
+
+  // The deployer keeping DEFAULT_ADMIN_ROLE means the admin handover has not happened yet
+  for (const key of CONTRACT_KEYS) {
+    await report.check(key, "deployer released DEFAULT_ADMIN_ROLE", WARN, async () => {
+      const held = await contracts[key].hasRole(DEFAULT_ADMIN_ROLE, deployerAddress);
+      return { ok: !held, detail: held ? `${deployerAddress} still holds it` : "released" };
+    });
+  }
+
+  const { results } = report;
+  const summary = {
+    pass: results.filter(r => r.status === PASS).length,
+    warn: results.filter(r => r.status === WARN).length,
+    fail: results.filter(r => r.status === FAIL).length
+  };
+  return { addresses, results, summary };
+}
+
+module.exports = {
+  PASS,
+  WARN,
+  FAIL,
+  auditDeployment,
+  printTable
+};